@@ -0,0 +1,34 @@
+// Police 288 API - Admin authentication
+// لوحة الطلبات (admin.html) ترسل ADMIN_TOKEN في Authorization: Bearer <token>
+// بدون ADMIN_TOKEN في متغيرات البيئة تبقى اللوحة مغلقة بالكامل
+
+const crypto = require('crypto');
+
+function getAdminToken(env = process.env) {
+    return env.ADMIN_TOKEN || '';
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : '';
+}
+
+// مقارنة بزمن ثابت - hash أولاً حتى لا يكشف اختلاف الطول شيئاً
+function timingSafeEqual(received, expected) {
+    if (!expected || !received) return false;
+
+    const hash = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(hash(received), hash(expected));
+}
+
+// Authorization: Bearer <token> يطابق الرمز المتوقع (false إذا كان أحدهما فارغاً)
+function hasBearerToken(req, expected) {
+    return timingSafeEqual(getBearerToken(req), expected);
+}
+
+function isAdminRequest(req, env = process.env) {
+    return hasBearerToken(req, getAdminToken(env));
+}
+
+module.exports = { getAdminToken, isAdminRequest, hasBearerToken, timingSafeEqual };
@@ -0,0 +1,172 @@
+// Police 288 API - Admin order queries and updates
+// البحث والفلاتر والإجماليات اليومية وتغيير الحالة والملاحظات لـ api/admin-orders.js
+
+const { normalizeEgyptianPhone } = require('../../js/phone-validator');
+const { ORDER_STATUSES, LOST_ORDER_STATUSES, isOrderStatus, canTransition } = require('../../js/order-status');
+const { getCairoDate } = require('./social-proof');
+
+const MAX_RESULTS = 500;
+const MAX_BULK_ORDERS = 200;
+const MAX_NOTE_LENGTH = 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function cleanQueryValue(value, maxLength = 100) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// ?q=&from=2026-10-01&to=2026-10-18&governorate=cairo&status=new&campaign=winter
+function parseOrderFilters(query = {}) {
+    const from = cleanQueryValue(query.from);
+    const to = cleanQueryValue(query.to);
+    const status = cleanQueryValue(query.status);
+
+    return {
+        q: cleanQueryValue(query.q),
+        from: DATE_PATTERN.test(from) ? from : '',
+        to: DATE_PATTERN.test(to) ? to : '',
+        governorate: cleanQueryValue(query.governorate),
+        status: isOrderStatus(status) ? status : '',
+        campaign: cleanQueryValue(query.campaign)
+    };
+}
+
+// آخر حملة قبل الطلب، وإلا حملة أول زيارة
+function getOrderCampaign(order) {
+    const attribution = order.attribution || {};
+    return (attribution.lastTouch && attribution.lastTouch.utm_campaign)
+        || (attribution.firstTouch && attribution.firstTouch.utm_campaign)
+        || '';
+}
+
+// يوم الطلب بتوقيت القاهرة (YYYY-MM-DD)
+function getOrderDate(order) {
+    const receivedAt = new Date(order.receivedAt);
+    return Number.isNaN(receivedAt.getTime()) ? '' : getCairoDate(receivedAt);
+}
+
+// البحث برقم الطلب أو الاسم أو الهاتف بأي صيغة (010... / +2010... / أرقام عربية)
+function matchesSearch(order, q) {
+    if (!q) return true;
+
+    const phone = normalizeEgyptianPhone(q);
+    if (phone.valid) {
+        return order.phone === phone.e164 || order.whatsapp === phone.e164;
+    }
+
+    const needle = q.toLowerCase();
+    return [order.orderId, order.name, order.phone, order.city]
+        .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+}
+
+function filterOrders(orders, filters) {
+    return orders
+        .filter(order => {
+            const date = getOrderDate(order);
+            return matchesSearch(order, filters.q)
+                && (!filters.from || date >= filters.from)
+                && (!filters.to || date <= filters.to)
+                && (!filters.governorate || order.governorate === filters.governorate)
+                && (!filters.status || order.status === filters.status)
+                && (!filters.campaign || getOrderCampaign(order) === filters.campaign);
+        })
+        .sort((a, b) => String(b.receivedAt).localeCompare(String(a.receivedAt)));
+}
+
+// لكل يوم: عدد الطلبات والقطع، والإيراد بدون الملغي والمرتجع، وعدد الطلبات في كل حالة
+function getDailyTotals(orders) {
+    const days = new Map();
+
+    orders.forEach(order => {
+        const date = getOrderDate(order);
+        if (!date) return;
+
+        if (!days.has(date)) {
+            days.set(date, { date, orders: 0, pieces: 0, revenue: 0, byStatus: {} });
+        }
+        const day = days.get(date);
+        day.orders += 1;
+        day.pieces += Number(order.quantity) || 0;
+        if (!LOST_ORDER_STATUSES.includes(order.status)) {
+            day.revenue += Number(order.totalValue) || 0;
+        }
+        day.byStatus[order.status] = (day.byStatus[order.status] || 0) + 1;
+    });
+
+    return Array.from(days.values()).sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function getCampaigns(orders) {
+    return Array.from(new Set(orders.map(getOrderCampaign).filter(Boolean))).sort();
+}
+
+// شركة الشحن ورقم الشحنة - يظهران للعميل في track.html
+function cleanShipment(shipment) {
+    if (!shipment || typeof shipment !== 'object') return null;
+
+    const reference = cleanQueryValue(shipment.reference, 60);
+    return reference ? { courier: cleanQueryValue(shipment.courier, 60), reference } : null;
+}
+
+// PATCH: { orderIds: [...], status: 'shipped', note: '...', shipment: { courier, reference } } - أي تغيير منها أو أكثر
+function validateOrderUpdate(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'بيانات غير صالحة' };
+    }
+
+    const orderIds = Array.isArray(body.orderIds)
+        ? Array.from(new Set(body.orderIds.filter(orderId => typeof orderId === 'string' && orderId)))
+        : [];
+    if (orderIds.length === 0 || orderIds.length > MAX_BULK_ORDERS) {
+        return { valid: false, error: `اختر من 1 إلى ${MAX_BULK_ORDERS} طلب` };
+    }
+
+    const status = cleanQueryValue(body.status);
+    if (status && !isOrderStatus(status)) {
+        return { valid: false, error: 'حالة غير معروفة' };
+    }
+
+    const note = cleanQueryValue(body.note, MAX_NOTE_LENGTH);
+    const shipment = cleanShipment(body.shipment);
+    if (!status && !note && !shipment) {
+        return { valid: false, error: 'لا يوجد تغيير' };
+    }
+
+    // اسم الموظف اختياري - بدونه لا يُحفظ الحقل
+    return { valid: true, orderIds, status, note, shipment, author: cleanQueryValue(body.author, 50) || undefined };
+}
+
+// يُمرر لـ store.update - يعدّل الطلب أو يرجع سبب الرفض بدون تعديل
+function createOrderChange({ status, note, shipment, author }, now = new Date()) {
+    const at = now.toISOString();
+
+    return order => {
+        if (status && !canTransition(order.status, status)) {
+            const from = ORDER_STATUSES[order.status] ? ORDER_STATUSES[order.status].label : order.status;
+            return { ok: false, error: `لا يمكن تغيير الحالة من "${from}" إلى "${ORDER_STATUSES[status].label}"` };
+        }
+
+        if (status) {
+            order.status = status;
+            order.statusHistory = [...(order.statusHistory || []), { status, at, author }];
+        }
+        if (note) {
+            order.notes = [...(order.notes || []), { text: note, at, author }];
+        }
+        if (shipment) {
+            order.shipment = { ...shipment, at, author };
+        }
+        return { ok: true };
+    };
+}
+
+module.exports = {
+    MAX_RESULTS,
+    parseOrderFilters,
+    getOrderCampaign,
+    getOrderDate,
+    filterOrders,
+    getDailyTotals,
+    getCampaigns,
+    validateOrderUpdate,
+    createOrderChange
+};
@@ -0,0 +1,29 @@
+// Police 288 API - In-memory coupon usage per phone
+// مثل حدود الطلبات: الذاكرة خاصة بكل instance، فهذا حد أساسي وليس عداداً دقيقاً عبر كل الـ instances
+
+class CouponUsage {
+    constructor({ maxKeys = 10000 } = {}) {
+        this.maxKeys = maxKeys;
+        this.uses = new Map();
+    }
+
+    key(code, phone) {
+        return `${code}:${phone}`;
+    }
+
+    canUse(coupon, phone) {
+        if (!coupon.maxUsesPerPhone) return true;
+        return (this.uses.get(this.key(coupon.code, phone)) || 0) < coupon.maxUsesPerPhone;
+    }
+
+    record(coupon, phone) {
+        const key = this.key(coupon.code, phone);
+        this.uses.set(key, (this.uses.get(key) || 0) + 1);
+
+        if (this.uses.size > this.maxKeys) {
+            this.uses.delete(this.uses.keys().next().value);
+        }
+    }
+}
+
+module.exports = { CouponUsage };
@@ -0,0 +1,62 @@
+// Police 288 API - Coupon codes
+// أكواد الخصم لحملات التيك توك والمؤثرين: نسبة مئوية، مبلغ ثابت، أو شحن مجاني
+// القائمة على الخادم فقط: المتصفح يتحقق من الكود عبر POST /api/coupons ويعرض الخصم الذي يرجعه
+// إضافة كود أو إيقافه = تعديل هذه القائمة فقط
+
+const { normalizeCouponCode } = require('../../js/coupons');
+
+const COUPON_CODES = [
+    {
+        code: 'TIKTOK10',
+        type: 'percent',
+        value: 10,
+        expiresAt: '2026-12-31T23:59:59+02:00',
+        maxUsesPerPhone: 1
+    },
+    {
+        code: 'SAVE150',
+        type: 'fixed',
+        value: 150,
+        expiresAt: '2026-12-31T23:59:59+02:00',
+        maxUsesPerPhone: 1
+    },
+    {
+        code: 'FREESHIP',
+        type: 'free_shipping',
+        expiresAt: '2026-12-31T23:59:59+02:00',
+        maxUsesPerPhone: 2
+    }
+];
+
+function findCoupon(code) {
+    const normalized = normalizeCouponCode(code);
+    return COUPON_CODES.find(coupon => coupon.code === normalized) || null;
+}
+
+function validateCoupon(code, now = Date.now()) {
+    if (!normalizeCouponCode(code)) {
+        return { valid: false, errorCode: 'required', error: 'يرجى إدخال كود الخصم' };
+    }
+
+    const coupon = findCoupon(code);
+    if (!coupon) {
+        return { valid: false, errorCode: 'invalid', error: 'كود الخصم غير صحيح' };
+    }
+
+    if (coupon.startsAt && now < Date.parse(coupon.startsAt)) {
+        return { valid: false, errorCode: 'notStarted', error: 'كود الخصم غير مفعل بعد' };
+    }
+
+    if (coupon.expiresAt && now > Date.parse(coupon.expiresAt)) {
+        return { valid: false, errorCode: 'expired', error: 'انتهت صلاحية كود الخصم' };
+    }
+
+    return { valid: true, coupon };
+}
+
+// ما يحتاجه المتصفح لعرض الخصم وحسابه (applyCoupon في js/coupons.js) - بدون حدود الاستخدام والتواريخ
+function getPublicCoupon(coupon) {
+    return { code: coupon.code, type: coupon.type, value: coupon.value };
+}
+
+module.exports = { COUPON_CODES, findCoupon, validateCoupon, getPublicCoupon };
@@ -0,0 +1,110 @@
+// Police 288 API - Order forwarding destinations
+// الوجهات تُضبط من متغيرات البيئة، ولا يظهر أي رابط webhook في كود المتصفح
+//
+// ORDER_DESTINATIONS='[{"type":"make","url":"..."},{"type":"sheets","url":"..."},{"type":"webhook","url":"...","secret":"..."}]'
+// أو بشكل مختصر: MAKE_WEBHOOK_URL, GOOGLE_SHEETS_WEBHOOK_URL, ORDER_WEBHOOK_URL (+ ORDER_WEBHOOK_SECRET)
+
+const crypto = require('crypto');
+
+const FORWARD_TIMEOUT = 8000;
+
+function getDestinations(env = process.env) {
+    if (env.ORDER_DESTINATIONS) {
+        try {
+            return JSON.parse(env.ORDER_DESTINATIONS).filter(destination => destination && destination.url);
+        } catch (error) {
+            console.error('❌ ORDER_DESTINATIONS is not valid JSON:', error.message);
+            return [];
+        }
+    }
+
+    const destinations = [];
+    if (env.MAKE_WEBHOOK_URL) {
+        destinations.push({ type: 'make', url: env.MAKE_WEBHOOK_URL });
+    }
+    if (env.GOOGLE_SHEETS_WEBHOOK_URL) {
+        destinations.push({ type: 'sheets', url: env.GOOGLE_SHEETS_WEBHOOK_URL });
+    }
+    if (env.ORDER_WEBHOOK_URL) {
+        destinations.push({ type: 'webhook', url: env.ORDER_WEBHOOK_URL, secret: env.ORDER_WEBHOOK_SECRET });
+    }
+    return destinations;
+}
+
+// Google Sheets (Apps Script web app) يحتاج صفاً مسطحاً: كل قيمة في عمود
+// الكائنات المتداخلة تصبح أعمدة منفصلة، مثل attribution.lastTouch.utm_campaign -> attribution_lastTouch_utm_campaign
+function toSheetRow(order, prefix = '', row = {}) {
+    Object.entries(order).forEach(([key, value]) => {
+        const column = prefix + key;
+        if (Array.isArray(value)) {
+            row[column] = JSON.stringify(value);
+        } else if (value !== null && typeof value === 'object') {
+            toSheetRow(value, `${column}_`, row);
+        } else {
+            row[column] = value;
+        }
+    });
+    return row;
+}
+
+const formatters = {
+    make: order => order,
+    sheets: order => toSheetRow(order),
+    webhook: order => ({ event: 'order.created', order })
+};
+
+// POST JSON مع توقيع X-Police288-Signature (HMAC-SHA256) إذا كان هناك secret
+async function postJson(url, payload, secret, timeout = FORWARD_TIMEOUT) {
+    const body = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (secret) {
+        headers['X-Police288-Signature'] = crypto
+            .createHmac('sha256', secret)
+            .update(body)
+            .digest('hex');
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers,
+            body,
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            return { ok: false, error: `HTTP ${response.status}` };
+        }
+        return { ok: true };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+async function sendToDestination(destination, order) {
+    const format = formatters[destination.type];
+    if (!format) {
+        return { type: destination.type, ok: false, error: `Unknown destination type: ${destination.type}` };
+    }
+
+    const result = await postJson(destination.url, format(order), destination.secret);
+    return { type: destination.type, ...result };
+}
+
+async function forwardOrder(order, destinations) {
+    const results = await Promise.all(destinations.map(destination => sendToDestination(destination, order)));
+
+    results.filter(result => !result.ok).forEach(result => {
+        console.error(`❌ Forwarding order ${order.orderId} to ${result.type} failed: ${result.error}`);
+    });
+
+    return results;
+}
+
+module.exports = { getDestinations, forwardOrder, postJson, toSheetRow };
@@ -0,0 +1,37 @@
+// Police 288 API - HTTP helpers shared by the serverless functions
+
+function getClientIp(req) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (forwardedFor) {
+        return forwardedFor.split(',')[0].trim();
+    }
+    return req.headers['x-real-ip'] || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Vercel يحلل JSON تلقائياً، لكن قد يصل الـ body كنص (sendBeacon أو content-type مختلف)
+function readJsonBody(req) {
+    if (!req.body) return null;
+    if (typeof req.body === 'object') return req.body;
+
+    try {
+        return JSON.parse(req.body);
+    } catch (error) {
+        return null;
+    }
+}
+
+function methodNotAllowed(res, allowed) {
+    res.setHeader('Allow', allowed.join(', '));
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+}
+
+function tooManyRequests(res, retryAfter) {
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: 'عدد كبير من الطلبات، يرجى المحاولة بعد قليل',
+        retryAfter
+    });
+}
+
+module.exports = { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests };
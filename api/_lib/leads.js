@@ -0,0 +1,108 @@
+// Police 288 API - Abandoned-checkout leads
+// الطلبات غير المكتملة من js/form-draft.js تُرسل إلى webhook منفصل لفريق المتابعة (call center)
+//
+// LEADS_WEBHOOK_URL (+ LEADS_WEBHOOK_SECRET اختياري للتوقيع)
+// كل حدث يصل كصف مسطح فيه عمود event و leadId:
+//   lead.abandoned  - رقم صحيح بدون إرسال الطلب
+//   lead.recovered  - نفس الزائر أرسل الطلب لاحقاً (orderId) - لا يحتاج متابعة
+//   lead.withdrawn  - الزائر مسح بياناته - لا يتم التواصل معه
+
+const { normalizeEgyptianPhone } = require('../../js/phone-validator');
+const { getGovernorate } = require('../../js/governorates');
+const { getOffer } = require('../../js/catalog');
+const { postJson, toSheetRow } = require('./destinations');
+const { cleanString, cleanAttribution, cleanExperiments, cleanLeadId } = require('./validate-order');
+
+// مهلة قصيرة لأن الرد على الطلب ينتظر lead.recovered (api/orders.js)
+const LEAD_EVENT_TIMEOUT = 3000;
+
+// رقم الهاتف لكل lead وصل لفريق المتابعة - الطلب يعلّم الـ lead كـ recovered فقط إذا كان بنفس الرقم
+// ذاكرة الـ instance فقط مثل processedOrders: في الإنتاج على Vercel يحتاج store مشترك بنفس الواجهة
+const LEAD_TTL = 24 * 60 * 60 * 1000;
+const forwardedLeads = new Map();
+
+function rememberLead(lead, now = Date.now()) {
+    forwardedLeads.set(lead.leadId, { phone: lead.phone, at: now });
+}
+
+function forgetLead(leadId) {
+    forwardedLeads.delete(leadId);
+}
+
+function getLeadPhone(leadId, now = Date.now()) {
+    const entry = forwardedLeads.get(leadId);
+    if (!entry) return null;
+
+    if (now - entry.at > LEAD_TTL) {
+        forwardedLeads.delete(leadId);
+        return null;
+    }
+    return entry.phone;
+}
+
+function getLeadsWebhook(env = process.env) {
+    if (!env.LEADS_WEBHOOK_URL) return null;
+    return { url: env.LEADS_WEBHOOK_URL, secret: env.LEADS_WEBHOOK_SECRET };
+}
+
+function validateLead(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, error: 'بيانات غير صالحة' };
+    }
+
+    const leadId = cleanLeadId(body.leadId);
+    if (!leadId) {
+        return { valid: false, error: 'leadId غير صالح' };
+    }
+
+    if (body.action === 'withdraw') {
+        return { valid: true, event: 'lead.withdrawn', lead: { leadId } };
+    }
+
+    // التواصل مع الزائر يحتاج موافقته (js/consent.js)
+    if (body.trackingConsent !== 'granted') {
+        return { valid: false, error: 'لا توجد موافقة على المتابعة' };
+    }
+
+    const phone = normalizeEgyptianPhone(cleanString(body.phone, 20));
+    if (!phone.valid) {
+        return { valid: false, error: phone.error };
+    }
+
+    const governorate = getGovernorate(cleanString(body.governorate));
+    const quantity = getOffer(String(body.quantity || '')) ? String(body.quantity) : '';
+
+    return {
+        valid: true,
+        event: 'lead.abandoned',
+        lead: {
+            leadId,
+            name: cleanString(body.name, 100),
+            phone: phone.e164,
+            quantity,
+            governorate: governorate ? governorate.id : '',
+            governorateName: governorate ? governorate.name : '',
+            pageUrl: cleanString(body.pageUrl),
+            attribution: cleanAttribution(body.attribution),
+            experiments: cleanExperiments(body.experiments)
+        }
+    };
+}
+
+// لا يؤثر على نتيجة الطلب أو الصفحة: أي فشل يُسجل فقط
+async function sendLeadEvent(event, lead, webhook = getLeadsWebhook()) {
+    if (!webhook) return { ok: false, skipped: true };
+
+    const result = await postJson(webhook.url, {
+        event,
+        at: new Date().toISOString(),
+        ...toSheetRow(lead)
+    }, webhook.secret, LEAD_EVENT_TIMEOUT);
+
+    if (!result.ok) {
+        console.error(`❌ Forwarding ${event} for lead ${lead.leadId} failed: ${result.error}`);
+    }
+    return result;
+}
+
+module.exports = { getLeadsWebhook, validateLead, sendLeadEvent, rememberLead, forgetLead, getLeadPhone };
@@ -0,0 +1,34 @@
+// Police 288 API - Order ID generation
+// الصيغة: 288-YYMMDD-NNNNNN بتوقيت القاهرة، أرقام فقط لتسهيل قراءتها في مكالمات خدمة العملاء
+// الرقم عشوائي (مليون رقم لكل يوم) فيُعاد توليده إذا كان مستخدماً في مخزن الطلبات - get / update تعمل على أول طلب بنفس الرقم
+
+const crypto = require('crypto');
+
+function createOrderId(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'Africa/Cairo',
+        year: '2-digit',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date);
+
+    const part = type => parts.find(item => item.type === type).value;
+    const serial = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+    return `288-${part('year')}${part('month')}${part('day')}-${serial}`;
+}
+
+const MAX_ORDER_ID_ATTEMPTS = 10;
+
+// isTaken(orderId) ترجع true (أو Promise) إذا كان الرقم لطلب موجود
+async function createUniqueOrderId(isTaken, date = new Date()) {
+    for (let attempt = 0; attempt < MAX_ORDER_ID_ATTEMPTS; attempt++) {
+        const orderId = createOrderId(date);
+        if (!(await isTaken(orderId))) {
+            return orderId;
+        }
+    }
+    throw new Error(`No unused order ID after ${MAX_ORDER_ID_ATTEMPTS} attempts`);
+}
+
+module.exports = { createOrderId, createUniqueOrderId };
@@ -0,0 +1,99 @@
+// Police 288 API - Order store
+// نسخة من كل طلب مع حالته وملاحظات فريق التنفيذ - مصدر لوحة admin.html (api/admin-orders.js)
+//
+// ORDER_STORE_FILE: ملف JSON واحد (التشغيل المحلي، أو خادم بقرص دائم)
+// ملفات Vercel مؤقتة لكل instance: في الإنتاج يُستبدل FileOrderStore بـ store على قاعدة بيانات بنفس الواجهة
+// (add / list / get / update)
+
+const fs = require('fs/promises');
+const path = require('path');
+const { INITIAL_ORDER_STATUS } = require('../../js/order-status');
+
+class FileOrderStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        // الكتابة بالترتيب داخل نفس الـ instance حتى لا يضيع تعديل بين قراءة وكتابة
+        this.queue = Promise.resolve();
+    }
+
+    async read() {
+        try {
+            const orders = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+            return Array.isArray(orders) ? orders : [];
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    // ملف مؤقت ثم rename - الملف لا يبقى نصف مكتوب إذا توقفت العملية
+    async write(orders) {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(orders, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+
+    exclusive(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    add(order, now = new Date()) {
+        return this.exclusive(async () => {
+            const orders = await this.read();
+            const record = {
+                ...order,
+                status: INITIAL_ORDER_STATUS,
+                statusHistory: [{ status: INITIAL_ORDER_STATUS, at: now.toISOString() }],
+                notes: []
+            };
+            orders.push(record);
+            await this.write(orders);
+            return record;
+        });
+    }
+
+    list() {
+        return this.read();
+    }
+
+    async get(orderId) {
+        return (await this.read()).find(order => order.orderId === orderId) || null;
+    }
+
+    // change(order) يعدّل الطلب مباشرة ويرجع { ok, error } - كتابة واحدة لكل الطلبات المحددة
+    update(orderIds, change) {
+        return this.exclusive(async () => {
+            const orders = await this.read();
+            const results = orderIds.map(orderId => {
+                const order = orders.find(item => item.orderId === orderId);
+                if (!order) {
+                    return { orderId, ok: false, error: 'الطلب غير موجود' };
+                }
+                return { orderId, ...change(order), order };
+            });
+
+            if (results.some(result => result.ok)) {
+                await this.write(orders);
+            }
+            return results;
+        });
+    }
+}
+
+// نفس الـ store لنفس الملف في كل الـ functions داخل الـ instance (طابور كتابة واحد)
+const stores = new Map();
+
+function getOrderStore(env = process.env) {
+    if (!env.ORDER_STORE_FILE) return null;
+
+    const filePath = path.resolve(env.ORDER_STORE_FILE);
+    if (!stores.has(filePath)) {
+        stores.set(filePath, new FileOrderStore(filePath));
+    }
+    return stores.get(filePath);
+}
+
+module.exports = { FileOrderStore, getOrderStore };
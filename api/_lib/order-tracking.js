@@ -0,0 +1,61 @@
+// Police 288 API - Customer order tracking
+// ما يراه العميل في track.html: الحالة ومراحلها وبيانات الشحن فقط - بدون الاسم أو العنوان أو الملاحظات الداخلية
+
+const { normalizeDigits, normalizeEgyptianPhone } = require('../../js/phone-validator');
+const { ORDER_TRACKING_STEPS } = require('../../js/order-status');
+
+// 288-YYMMDD-NNNNNN (api/_lib/order-id.js)
+const ORDER_ID_PATTERN = /^288-\d{6}-\d{6}$/;
+
+// العميل ينسخ الرقم من صفحة التأكيد أو من رسالة واتساب: "#288-261018-123456" أو بأرقام عربية
+function normalizeOrderId(orderId) {
+    return normalizeDigits(typeof orderId === 'string' ? orderId : '')
+        .replace(/[\s#\u200E\u200F]/g, '')
+        .slice(0, 30);
+}
+
+function validateTrackingRequest(body) {
+    if (!body || typeof body !== 'object') {
+        return { valid: false, code: 'invalid', error: 'بيانات غير صالحة' };
+    }
+
+    const orderId = normalizeOrderId(body.orderId);
+    if (!ORDER_ID_PATTERN.test(orderId)) {
+        return { valid: false, code: 'orderId', error: 'رقم الطلب غير صحيح' };
+    }
+
+    const phone = normalizeEgyptianPhone(typeof body.phone === 'string' ? body.phone.slice(0, 20) : '');
+    if (!phone.valid) {
+        return { valid: false, code: 'phone', error: phone.error };
+    }
+
+    return { valid: true, orderId, phone: phone.e164 };
+}
+
+// وقت أول وصول لكل حالة من سجل اللوحة (statusHistory)
+function getTrackingView(order) {
+    const reachedAt = {};
+    (order.statusHistory || []).forEach(entry => {
+        if (!reachedAt[entry.status]) {
+            reachedAt[entry.status] = entry.at;
+        }
+    });
+    reachedAt.new = reachedAt.new || order.receivedAt;
+
+    return {
+        orderId: order.orderId,
+        status: order.status,
+        statusAt: (order.statusHistory || []).length > 0 ? order.statusHistory[order.statusHistory.length - 1].at : order.receivedAt,
+        steps: ORDER_TRACKING_STEPS.map(status => ({ status, at: reachedAt[status] || null })),
+        shipment: order.shipment && order.shipment.reference
+            ? { courier: order.shipment.courier || '', reference: order.shipment.reference }
+            : null,
+        quantity: Number(order.quantity) || 1,
+        offerId: order.offerId,
+        totalValue: order.totalValue,
+        governorate: order.governorate,
+        receivedAt: order.receivedAt
+    };
+}
+
+module.exports = { normalizeOrderId, validateTrackingRequest, getTrackingView };
@@ -0,0 +1,54 @@
+// Police 288 API - In-memory sliding window rate limiter
+// الذاكرة خاصة بكل instance من الـ function، لذا هذه حماية أساسية ضد الإغراق وليست حداً دقيقاً
+
+class RateLimiter {
+    constructor({ limit, windowMs, maxKeys = 5000 }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.maxKeys = maxKeys;
+        this.hits = new Map();
+    }
+
+    hit(key, now = Date.now()) {
+        const timestamps = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (timestamps.length >= this.limit) {
+            this.hits.set(key, timestamps);
+            return {
+                allowed: false,
+                retryAfter: Math.ceil((timestamps[0] + this.windowMs - now) / 1000)
+            };
+        }
+
+        timestamps.push(now);
+        this.hits.set(key, timestamps);
+        this.prune(now);
+
+        return { allowed: true, remaining: this.limit - timestamps.length };
+    }
+
+    // نفس الحساب بدون تسجيل محاولة - للحدود التي تُسجل فيها المحاولات الفاشلة فقط
+    peek(key, now = Date.now()) {
+        const timestamps = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+
+        if (timestamps.length >= this.limit) {
+            return {
+                allowed: false,
+                retryAfter: Math.ceil((timestamps[0] + this.windowMs - now) / 1000)
+            };
+        }
+        return { allowed: true, remaining: this.limit - timestamps.length };
+    }
+
+    prune(now) {
+        if (this.hits.size <= this.maxKeys) return;
+
+        for (const [key, timestamps] of this.hits) {
+            if (timestamps.every(time => now - time >= this.windowMs)) {
+                this.hits.delete(key);
+            }
+        }
+    }
+}
+
+module.exports = { RateLimiter };
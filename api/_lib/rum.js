@@ -0,0 +1,96 @@
+// Police 288 API - Real-user performance (RUM) samples
+// القياسات من PerformanceMonitor في script.js: التحقق منها وتجميعها كـ p75 لكل صفحة ونوع جهاز
+// مشترك بين api/rum.js و scripts/rum-report.js
+
+const RUM_METRICS = {
+    lcp: 60000,
+    inp: 60000,
+    fid: 60000,
+    ttfb: 60000,
+    cls: 10
+};
+const DEVICE_CLASSES = ['mobile', 'tablet', 'desktop'];
+const CONNECTION_TYPES = ['slow-2g', '2g', '3g', '4g'];
+
+function cleanString(value, maxLength) {
+    if (typeof value !== 'string') return '';
+    return value.trim().slice(0, maxLength);
+}
+
+function cleanNumber(value, max) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max ? value : null;
+}
+
+// قيم خارج النطاق أو مفاتيح غير معروفة يتم تجاهلها - الـ beacon يُرسل من أي متصفح بدون تحقق
+function cleanRumSample(body) {
+    if (!body || typeof body !== 'object' || !body.metrics || typeof body.metrics !== 'object') return null;
+
+    const viewId = cleanString(body.viewId, 40);
+    const page = cleanString(body.page, 200);
+    if (!viewId || !page.startsWith('/')) return null;
+
+    const metrics = {};
+    Object.entries(RUM_METRICS).forEach(([name, max]) => {
+        const value = cleanNumber(body.metrics[name], max);
+        if (value !== null) {
+            metrics[name] = Math.round(value * 1000) / 1000;
+        }
+    });
+    if (Object.keys(metrics).length === 0) return null;
+
+    const device = body.device && typeof body.device === 'object' ? body.device : {};
+
+    return {
+        viewId,
+        page,
+        deviceClass: DEVICE_CLASSES.includes(device.deviceClass) ? device.deviceClass : 'unknown',
+        effectiveType: CONNECTION_TYPES.includes(device.effectiveType) ? device.effectiveType : 'unknown',
+        deviceMemory: cleanNumber(device.deviceMemory, 1024),
+        cpuCores: cleanNumber(device.cpuCores, 1024),
+        rtt: cleanNumber(device.rtt, 60000),
+        saveData: device.saveData === true,
+        metrics,
+        receivedAt: new Date().toISOString()
+    };
+}
+
+// nearest-rank percentile
+function percentile(values, p) {
+    if (values.length === 0) return null;
+
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.max(0, Math.ceil(p / 100 * sorted.length) - 1)];
+}
+
+// كل زيارة ترسل عدة beacons (عند كل إخفاء للصفحة) - نحتفظ بآخر قياس لكل viewId
+function aggregateRum(samples) {
+    const latest = new Map();
+    samples.forEach(sample => latest.set(sample.viewId, sample));
+
+    const groups = new Map();
+    latest.forEach(sample => {
+        const key = `${sample.page}|${sample.deviceClass}`;
+        if (!groups.has(key)) {
+            groups.set(key, { page: sample.page, deviceClass: sample.deviceClass, views: 0, values: {} });
+        }
+
+        const group = groups.get(key);
+        group.views++;
+        Object.entries(sample.metrics).forEach(([name, value]) => {
+            (group.values[name] = group.values[name] || []).push(value);
+        });
+    });
+
+    return Array.from(groups.values())
+        .map(group => {
+            const p75 = {};
+            Object.keys(RUM_METRICS).forEach(name => {
+                const values = group.values[name] || [];
+                p75[name] = { value: percentile(values, 75), samples: values.length };
+            });
+            return { page: group.page, deviceClass: group.deviceClass, views: group.views, p75 };
+        })
+        .sort((a, b) => a.page.localeCompare(b.page) || a.deviceClass.localeCompare(b.deviceClass));
+}
+
+module.exports = { RUM_METRICS, cleanRumSample, percentile, aggregateRum };
@@ -0,0 +1,75 @@
+// Police 288 API - Social proof feed
+// تحويل الطلبات الحقيقية إلى feed مجهول الهوية لإشعارات الثقة الاجتماعية في script.js:
+// الاسم الأول + المحافظة + وقت الطلب فقط - بدون رقم هاتف أو عنوان أو اسم كامل
+// مشترك بين api/social-proof.js و scripts/build-social-proof.js
+
+const { getGovernorate } = require('../../js/governorates');
+const { LOST_ORDER_STATUSES } = require('../../js/order-status');
+
+const FEED_DEFAULTS = {
+    maxRecentOrders: 20,
+    maxAgeHours: 48
+};
+
+function getFirstName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().split(/\s+/)[0].slice(0, 20);
+}
+
+function getGovernorateName(order) {
+    const governorate = getGovernorate(order.governorate);
+    if (governorate) return governorate.name;
+    return typeof order.governorateName === 'string' ? order.governorateName.trim().slice(0, 40) : '';
+}
+
+// "اليوم" بتوقيت القاهرة وليس توقيت الخادم
+function getCairoDate(date) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'Africa/Cairo' }).format(date);
+}
+
+// source: مصفوفة طلبات أو { orders, totalOrders, stats } - نفس حقول الطلب في الشيت (name, governorate, quantity, receivedAt, status)
+// الطلبات الملغية والمرتجعة (LOST_ORDER_STATUSES) لا تظهر ولا تُحسب، والطلب بدون status يُعتبر نشطاً
+// stats اختياري لقيم لا تأتي من الطلبات (مثل rating و satisfaction من التقييمات)
+function buildSocialProofFeed(source, now = new Date(), options = {}) {
+    const { maxRecentOrders, maxAgeHours } = { ...FEED_DEFAULTS, ...options };
+    const orders = (Array.isArray(source) ? source : (source && source.orders) || [])
+        .filter(order => order && !LOST_ORDER_STATUSES.includes(order.status))
+        .map(order => ({
+            firstName: getFirstName(order.name),
+            governorate: getGovernorateName(order),
+            quantity: Number(order.quantity) || 1,
+            orderedAt: new Date(order.receivedAt || order.orderedAt)
+        }))
+        .filter(order => order.governorate && !Number.isNaN(order.orderedAt.getTime()) && order.orderedAt <= now)
+        .sort((a, b) => b.orderedAt - a.orderedAt);
+
+    const recentOrders = orders
+        .filter(order => order.firstName && now - order.orderedAt < maxAgeHours * 60 * 60 * 1000)
+        .slice(0, maxRecentOrders)
+        .map(order => ({ ...order, orderedAt: order.orderedAt.toISOString() }));
+
+    const today = getCairoDate(now);
+    const byGovernorate = new Map();
+    orders
+        .filter(order => getCairoDate(order.orderedAt) === today)
+        .forEach(order => byGovernorate.set(order.governorate, (byGovernorate.get(order.governorate) || 0) + 1));
+
+    const ordersToday = Array.from(byGovernorate.values()).reduce((sum, count) => sum + count, 0);
+
+    return {
+        generatedAt: now.toISOString(),
+        recentOrders,
+        today: {
+            total: ordersToday,
+            byGovernorate: Array.from(byGovernorate, ([governorate, orders]) => ({ governorate, orders }))
+                .sort((a, b) => b.orders - a.orders)
+        },
+        stats: {
+            ...(source && source.stats && typeof source.stats === 'object' ? source.stats : {}),
+            customers: Number(source && source.totalOrders) || orders.length,
+            ordersToday
+        }
+    };
+}
+
+module.exports = { buildSocialProofFeed, getFirstName, getCairoDate };
@@ -0,0 +1,115 @@
+// Police 288 API - TikTok Events API (server-side conversions)
+// نفس الـ event_id الذي يرسله البكسل من صفحة التأكيد (رقم الطلب)، فيحذف TikTok الحدث المكرر ويحتفظ بواحد
+//
+// TIKTOK_PIXEL_ID, TIKTOK_ACCESS_TOKEN (مطلوبان للتفعيل)
+// TIKTOK_EVENTS_API_URL (اختياري - للتجربة المحلية: node scripts/mock-events-api.js)
+// TIKTOK_TEST_EVENT_CODE (اختياري - يظهر الحدث في Test Events داخل Events Manager)
+
+const crypto = require('crypto');
+
+const DEFAULT_EVENTS_API_URL = 'https://business-api.tiktok.com/open_api/v1.3/event/track/';
+// مهلة قصيرة لأن الرد على العميل ينتظر الحدث (api/orders.js)
+const EVENTS_API_TIMEOUT = 3000;
+
+// نفس أسماء الأحداث التي يرسلها adapter الـ TikTok في js/analytics.js لحدث Purchase
+const PURCHASE_EVENTS = ['CompletePayment', 'Purchase'];
+
+function getTikTokEventsConfig(env = process.env) {
+    if (!env.TIKTOK_PIXEL_ID || !env.TIKTOK_ACCESS_TOKEN) return null;
+
+    return {
+        pixelId: env.TIKTOK_PIXEL_ID,
+        accessToken: env.TIKTOK_ACCESS_TOKEN,
+        url: env.TIKTOK_EVENTS_API_URL || DEFAULT_EVENTS_API_URL,
+        testEventCode: env.TIKTOK_TEST_EVENT_CODE || null
+    };
+}
+
+function sha256(value) {
+    return crypto.createHash('sha256').update(String(value).trim().toLowerCase()).digest('hex');
+}
+
+// event_id مشترك بين المتصفح والخادم - رقم الطلب معروف للطرفين بعد تسجيل الطلب
+function getPurchaseEventId(order) {
+    return order.orderId;
+}
+
+function buildPurchasePayload(order, context, config) {
+    const properties = {
+        currency: order.currency,
+        value: order.totalValue,
+        content_type: 'product',
+        order_id: order.orderId,
+        contents: [{
+            content_id: order.offerId,
+            content_name: order.product || order.offerLabel,
+            quantity: Number(order.quantity),
+            price: order.price
+        }]
+    };
+
+    const user = {
+        phone: sha256(order.phone),
+        ip: context.ip,
+        user_agent: context.userAgent
+    };
+    // ttclid من رابط إعلان TikTok يربط الطلب بالنقرة على الإعلان (js/attribution.js)
+    const lastTouch = order.attribution && order.attribution.lastTouch;
+    if (lastTouch && lastTouch.ttclid) {
+        user.ttclid = lastTouch.ttclid;
+    }
+
+    const data = PURCHASE_EVENTS.map(event => ({
+        event,
+        event_time: Math.floor(Date.parse(order.receivedAt) / 1000),
+        event_id: getPurchaseEventId(order),
+        user,
+        page: { url: order.pageUrl || undefined },
+        properties
+    }));
+
+    const payload = {
+        event_source: 'web',
+        event_source_id: config.pixelId,
+        data
+    };
+    if (config.testEventCode) {
+        payload.test_event_code = config.testEventCode;
+    }
+    return payload;
+}
+
+// لا يؤثر على نتيجة الطلب: أي فشل يُسجل فقط
+async function sendPurchaseEvent(order, context, config = getTikTokEventsConfig()) {
+    if (!config) return { ok: false, skipped: true };
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), EVENTS_API_TIMEOUT);
+
+    try {
+        const response = await fetch(config.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Access-Token': config.accessToken
+            },
+            body: JSON.stringify(buildPurchasePayload(order, context, config)),
+            signal: controller.signal
+        });
+
+        const result = await response.json().catch(() => ({}));
+        // الـ API يرجع 200 حتى عند الخطأ، والحالة الفعلية في code
+        if (!response.ok || (result.code !== undefined && result.code !== 0)) {
+            console.error(`❌ TikTok Events API rejected order ${order.orderId}: HTTP ${response.status} ${result.message || ''}`);
+            return { ok: false };
+        }
+        return { ok: true };
+    } catch (error) {
+        console.error(`❌ TikTok Events API failed for order ${order.orderId}: ${error.message}`);
+        return { ok: false };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+module.exports = { getTikTokEventsConfig, getPurchaseEventId, buildPurchasePayload, sendPurchaseEvent };
@@ -0,0 +1,201 @@
+// Police 288 API - Order payload validation
+// لا نثق في السعر القادم من المتصفح: يتم تحديد السعر والعرض من الكمية على الخادم عبر js/catalog.js
+
+const { normalizeEgyptianPhone } = require('../../js/phone-validator');
+const { getShippingInfo, formatDeliveryEstimate, formatAddress } = require('../../js/governorates');
+const { getOffer, calculateOrderTotals, getOrderPricingFields, getCatalogTime } = require('../../js/catalog');
+const { applyCoupon } = require('../../js/coupons');
+const { validateCoupon } = require('./coupons');
+
+const LIMITS = {
+    name: 100,
+    phone: 20,
+    address: 500,
+    text: 300
+};
+
+function cleanString(value, maxLength = LIMITS.text) {
+    if (typeof value !== 'string') return '';
+    return value.trim().slice(0, maxLength);
+}
+
+const ATTRIBUTION_FIELDS = [
+    'utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term',
+    'ttclid', 'fbclid', 'referrer', 'landingPage', 'landedAt'
+];
+
+// مصدر الزيارة من js/attribution.js - الحقول المعروفة فقط وبطول محدود
+function cleanTouch(touch) {
+    if (!touch || typeof touch !== 'object') return null;
+
+    const cleaned = {};
+    ATTRIBUTION_FIELDS.forEach(field => {
+        const value = cleanString(touch[field]);
+        if (value) {
+            cleaned[field] = value;
+        }
+    });
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+function cleanAttribution(attribution) {
+    if (!attribution || typeof attribution !== 'object') return null;
+
+    const firstTouch = cleanTouch(attribution.firstTouch);
+    const lastTouch = cleanTouch(attribution.lastTouch);
+    return firstTouch || lastTouch ? { firstTouch, lastTouch } : null;
+}
+
+// متغيرات اختبارات A/B من js/experiments.js - معرفات قصيرة فقط
+const EXPERIMENT_ID_PATTERN = /^[a-z0-9_-]{1,40}$/i;
+const MAX_EXPERIMENTS = 10;
+
+function cleanExperiments(experiments) {
+    if (!experiments || typeof experiments !== 'object' || Array.isArray(experiments)) return null;
+
+    const cleaned = {};
+    Object.entries(experiments).slice(0, MAX_EXPERIMENTS).forEach(([experimentId, variantId]) => {
+        if (EXPERIMENT_ID_PATTERN.test(experimentId) && typeof variantId === 'string' && EXPERIMENT_ID_PATTERN.test(variantId)) {
+            cleaned[experimentId] = variantId;
+        }
+    });
+    return Object.keys(cleaned).length > 0 ? cleaned : null;
+}
+
+// الطلب يُسعّر بلحظة عرض السعر للزائر (pricedAt) وليس بلحظة وصوله للخادم، حتى لا يخسر العرض المجدول
+// طلب أُرسل قبل نهاية العرض بثوانٍ - بحد أقصى PRICE_GRACE لأن pricedAt يأتي من المتصفح ويمكن تزويره
+// الطلب المحفوظ بدون اتصال (js/order-queue.js) بعد انتهاء العرض يُرفض ويعرض على العميل الإرسال على واتساب
+const PRICE_GRACE = 5 * 60 * 1000;
+const CLOCK_SKEW = 5 * 60 * 1000;
+
+function getPricingTime(pricedAt, now = getCatalogTime()) {
+    const time = typeof pricedAt === 'string' ? Date.parse(pricedAt) : NaN;
+    if (Number.isNaN(time) || time > now + CLOCK_SKEW || now - time > PRICE_GRACE) return now;
+    return Math.min(time, now);
+}
+
+// leadId من js/form-draft.js - الطلب الذي يحمل leadId يُعلّم الطلب غير المكتمل كـ recovered
+const LEAD_ID_PATTERN = /^[a-z0-9-]{8,40}$/i;
+
+function cleanLeadId(leadId) {
+    return typeof leadId === 'string' && LEAD_ID_PATTERN.test(leadId) ? leadId : null;
+}
+
+// وقت إرسال الطلب من المتصفح (ISO)، أو null إذا لم يكن وقتاً صالحاً
+function cleanTimestamp(value) {
+    const time = typeof value === 'string' ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// التاريخ بالعربية وبتوقيت القاهرة للعرض في الشيت (timestampLabel)
+function formatCairoDate(time) {
+    return new Date(time).toLocaleString('ar-EG', {
+        timeZone: 'Africa/Cairo',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// لغة الواجهة التي أرسل منها العميل الطلب (js/i18n.js) - نصوص العرض (*Label) بالعربية دائماً
+const ORDER_LANGUAGES = ['ar', 'en'];
+
+function cleanLanguage(language) {
+    return ORDER_LANGUAGES.includes(language) ? language : 'ar';
+}
+
+function validateOrder(body) {
+    const errors = {};
+
+    if (!body || typeof body !== 'object') {
+        return { valid: false, errors: { body: 'بيانات الطلب غير صالحة' } };
+    }
+
+    const name = cleanString(body.name, LIMITS.name);
+    const phone = normalizeEgyptianPhone(cleanString(body.phone, LIMITS.phone));
+    const whatsapp = normalizeEgyptianPhone(cleanString(body.whatsapp, LIMITS.phone));
+    const shipping = getShippingInfo(cleanString(body.governorate));
+    const city = cleanString(body.city, LIMITS.text);
+    const street = cleanString(body.street, LIMITS.address);
+    const landmark = cleanString(body.landmark, LIMITS.text);
+    const quantity = String(body.quantity || '');
+    const timestamp = cleanTimestamp(body.timestamp);
+    const coupon = body.couponCode ? validateCoupon(cleanString(body.couponCode)) : null;
+
+    if (name.length < 2) {
+        errors.name = 'الاسم مطلوب';
+    }
+
+    if (!phone.valid) {
+        errors.phone = phone.error;
+    }
+
+    if (!getOffer(quantity)) {
+        errors.quantity = 'الكمية غير صحيحة';
+    }
+
+    if (coupon && !coupon.valid) {
+        errors.couponCode = coupon.error;
+    }
+
+    if (!shipping) {
+        errors.governorate = 'يرجى اختيار المحافظة';
+    }
+
+    if (city.length < 2) {
+        errors.city = 'يرجى كتابة المدينة أو المنطقة';
+    }
+
+    if (street.length < 5) {
+        errors.street = 'يرجى كتابة اسم الشارع ورقم العقار';
+    }
+
+    if (Object.keys(errors).length > 0) {
+        return { valid: false, errors };
+    }
+
+    const totals = applyCoupon(
+        calculateOrderTotals({ quantity, shippingFee: shipping.fee, at: getPricingTime(body.pricedAt) }),
+        coupon && coupon.coupon
+    );
+
+    // المتصفح عرض سعر عرض مجدول مختلف عن السعر الفعلي في لحظة الطلب (المتصفحات القديمة لا ترسل الحقل)
+    if (typeof body.offerScheduleId === 'string' && body.offerScheduleId !== totals.scheduleId) {
+        return { valid: false, errors: { quantity: 'تم تحديث سعر العرض، يرجى مراجعة الإجمالي ثم إرسال الطلب' } };
+    }
+
+    return {
+        valid: true,
+        coupon: coupon ? coupon.coupon : null,
+        order: {
+            name,
+            phone: phone.e164,
+            whatsapp: whatsapp.valid ? whatsapp.e164 : null,
+            quantity,
+            governorate: shipping.governorate.id,
+            governorateName: shipping.governorate.name,
+            city,
+            street,
+            landmark,
+            address: formatAddress({ governorateId: shipping.governorate.id, city, street, landmark }),
+            shippingFee: shipping.fee,
+            deliveryDays: { min: shipping.deliveryDays[0], max: shipping.deliveryDays[1] },
+            deliveryEstimateLabel: formatDeliveryEstimate(shipping.deliveryDays),
+            ...getOrderPricingFields(totals),
+            timestamp,
+            timestampLabel: formatCairoDate(timestamp || getCatalogTime()),
+            source: cleanString(body.source),
+            product: cleanString(body.product),
+            language: cleanLanguage(body.language),
+            userAgent: cleanString(body.userAgent),
+            pageUrl: cleanString(body.pageUrl),
+            attribution: cleanAttribution(body.attribution),
+            experiments: cleanExperiments(body.experiments),
+            leadId: cleanLeadId(body.leadId)
+        }
+    };
+}
+
+module.exports = { validateOrder, cleanString, cleanAttribution, cleanExperiments, cleanLeadId, cleanLanguage, cleanTimestamp };
@@ -0,0 +1,239 @@
+// Police 288 API - admin orders tests
+// الفلاتر والإجماليات وتغيير الحالة كدوال، ثم /api/admin-orders على مخزن طلبات في ملف مؤقت (ORDER_STORE_FILE)
+// node --test api/_tests/admin-orders.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { callHandler } = require('./http-fixtures');
+const {
+    parseOrderFilters,
+    filterOrders,
+    getDailyTotals,
+    validateOrderUpdate,
+    createOrderChange
+} = require('../_lib/admin-orders');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+// اليوم بتوقيت القاهرة (+03:00): الطلب الثاني 00:30 يوم 18 في القاهرة وما زال يوم 17 في UTC
+const ORDERS = [
+    {
+        orderId: '288-261017-000001',
+        name: 'أحمد محمد',
+        phone: '+201012345678',
+        city: 'مدينة نصر',
+        governorate: 'cairo',
+        quantity: '1',
+        totalValue: 1745,
+        status: 'new',
+        receivedAt: '2026-10-17T20:30:00.000Z',
+        attribution: { firstTouch: { utm_campaign: 'autumn' } }
+    },
+    {
+        orderId: '288-261018-000002',
+        name: 'Sara Ali',
+        phone: '+201112345678',
+        city: 'سموحة',
+        governorate: 'alexandria',
+        quantity: '2',
+        totalValue: 3045,
+        status: 'shipped',
+        receivedAt: '2026-10-17T21:30:00.000Z',
+        attribution: { firstTouch: { utm_campaign: 'autumn' }, lastTouch: { utm_campaign: 'winter' } }
+    },
+    {
+        orderId: '288-261018-000003',
+        name: 'محمود حسن',
+        phone: '+201212345678',
+        city: 'مدينة نصر',
+        governorate: 'cairo',
+        quantity: '3',
+        totalValue: 4300,
+        status: 'cancelled',
+        receivedAt: '2026-10-18T12:00:00.000Z'
+    }
+];
+
+function filterIds(query) {
+    return filterOrders(ORDERS, parseOrderFilters(query)).map(order => order.orderId);
+}
+
+function storedOrder(fields) {
+    return {
+        ...fields,
+        statusHistory: [{ status: fields.status, at: '2026-10-18T10:00:00.000Z' }],
+        notes: []
+    };
+}
+
+test('filterOrders matches the search by name, order ID or phone in any format, newest first', () => {
+    assert.deepEqual(filterIds({ q: 'sara' }), ['288-261018-000002']);
+    assert.deepEqual(filterIds({ q: '261018' }), ['288-261018-000003', '288-261018-000002']);
+    assert.deepEqual(filterIds({ q: '٠١٠١٢٣٤٥٦٧٨' }), ['288-261017-000001']);
+    assert.deepEqual(filterIds({ q: 'مدينة نصر' }), ['288-261018-000003', '288-261017-000001']);
+});
+
+test('filterOrders filters by Cairo date, governorate, status and campaign', () => {
+    assert.deepEqual(filterIds({ from: '2026-10-18', to: '2026-10-18' }), ['288-261018-000003', '288-261018-000002']);
+    assert.deepEqual(filterIds({ to: '2026-10-17' }), ['288-261017-000001']);
+    assert.deepEqual(filterIds({ governorate: 'cairo', status: 'cancelled' }), ['288-261018-000003']);
+    // آخر حملة قبل الطلب تسبق حملة أول زيارة
+    assert.deepEqual(filterIds({ campaign: 'autumn' }), ['288-261017-000001']);
+    assert.deepEqual(filterIds({ campaign: 'winter' }), ['288-261018-000002']);
+});
+
+test('parseOrderFilters drops invalid dates and unknown statuses', () => {
+    const filters = parseOrderFilters({ from: '18/10/2026', status: 'lost', q: '  sara  ' });
+    assert.equal(filters.from, '');
+    assert.equal(filters.status, '');
+    assert.equal(filters.q, 'sara');
+    assert.equal(filterIds({ from: '18/10/2026', status: 'lost' }).length, ORDERS.length);
+});
+
+test('getDailyTotals groups by Cairo day and leaves lost orders out of the revenue', () => {
+    assert.deepEqual(getDailyTotals(ORDERS), [
+        { date: '2026-10-18', orders: 2, pieces: 5, revenue: 3045, byStatus: { shipped: 1, cancelled: 1 } },
+        { date: '2026-10-17', orders: 1, pieces: 1, revenue: 1745, byStatus: { new: 1 } }
+    ]);
+});
+
+test('validateOrderUpdate needs orders and at least one change', () => {
+    assert.equal(validateOrderUpdate({ orderIds: [], status: 'confirmed' }).valid, false);
+    assert.equal(validateOrderUpdate({ orderIds: ['288-261018-000002'] }).valid, false);
+    assert.equal(validateOrderUpdate({ orderIds: ['288-261018-000002'], status: 'lost' }).valid, false);
+    assert.equal(validateOrderUpdate({ orderIds: new Array(201).fill(0).map((_, i) => `id-${i}`), status: 'confirmed' }).valid, false);
+
+    const update = validateOrderUpdate({ orderIds: ['a', 'a', 'b', 5], note: 'اتصل مساءً', shipment: { courier: 'Bosta' } });
+    assert.equal(update.valid, true);
+    assert.deepEqual(update.orderIds, ['a', 'b']);
+    assert.equal(update.shipment, null);
+    assert.equal(update.author, undefined);
+});
+
+test('createOrderChange allows only the transitions in js/order-status.js', () => {
+    const at = new Date('2026-10-18T12:00:00.000Z');
+    const change = status => createOrderChange({ status, author: 'منى' }, at);
+
+    const order = { status: 'new', statusHistory: [] };
+    assert.deepEqual(change('confirmed')(order), { ok: true });
+    assert.deepEqual(change('shipped')(order), { ok: true });
+    assert.equal(order.status, 'shipped');
+    assert.deepEqual(order.statusHistory, [
+        { status: 'confirmed', at: at.toISOString(), author: 'منى' },
+        { status: 'shipped', at: at.toISOString(), author: 'منى' }
+    ]);
+
+    // الإلغاء قبل الشحن فقط، ولا تغيير بعد التسليم
+    const cancelAfterShipping = change('cancelled')(order);
+    assert.equal(cancelAfterShipping.ok, false);
+    assert.match(cancelAfterShipping.error, /تم الشحن/);
+    assert.equal(order.status, 'shipped');
+
+    assert.deepEqual(change('delivered')(order), { ok: true });
+    assert.equal(change('returned')(order).ok, false);
+    assert.equal(change('new')({ status: 'new' }).ok, false);
+});
+
+test('/api/admin-orders', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'police288-admin-'));
+    const env = { ...process.env };
+    process.env.ADMIN_TOKEN = ADMIN_TOKEN;
+    process.env.ORDER_STORE_FILE = path.join(dir, 'orders.json');
+    fs.writeFileSync(process.env.ORDER_STORE_FILE, JSON.stringify(ORDERS.map(storedOrder)));
+
+    const handler = require('../admin-orders');
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    t.after(() => {
+        process.env = env;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const asAdmin = { authorization: `Bearer ${ADMIN_TOKEN}` };
+
+    await t.test('requests without the admin bearer token are rejected', async () => {
+        const requests = [
+            {},
+            { authorization: ADMIN_TOKEN },
+            { authorization: 'Bearer wrong-token' },
+            { authorization: `Basic ${ADMIN_TOKEN}` }
+        ];
+        for (const [i, headers] of requests.entries()) {
+            const res = await callHandler(handler, { method: 'GET', headers, ip: `10.4.0.${i}` });
+            assert.equal(res.statusCode, 401);
+            assert.equal(res.body.success, false);
+            assert.equal(res.body.orders, undefined);
+        }
+
+        const rejectedUpdate = await callHandler(handler, {
+            method: 'PATCH',
+            body: { orderIds: ['288-261017-000001'], status: 'confirmed' },
+            headers: { authorization: 'Bearer wrong-token' },
+            ip: '10.4.0.9'
+        });
+        assert.equal(rejectedUpdate.statusCode, 401);
+        assert.equal(JSON.parse(fs.readFileSync(process.env.ORDER_STORE_FILE, 'utf8'))[0].status, 'new');
+    });
+
+    await t.test('repeated wrong tokens from one IP are rate limited', async () => {
+        let res;
+        for (let i = 0; i < 11; i++) {
+            res = await callHandler(handler, { method: 'GET', headers: { authorization: 'Bearer wrong-token' }, ip: '10.4.1.1' });
+        }
+        assert.equal(res.statusCode, 429);
+    });
+
+    await t.test('GET returns the matching orders and their daily totals', async () => {
+        const res = await callHandler(handler, { method: 'GET', headers: asAdmin, query: { governorate: 'cairo' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['cache-control'], 'no-store');
+        assert.deepEqual(res.body.orders.map(order => order.orderId), ['288-261018-000003', '288-261017-000001']);
+        assert.equal(res.body.total, 2);
+        assert.deepEqual(res.body.dailyTotals.map(day => day.date), ['2026-10-18', '2026-10-17']);
+        assert.deepEqual(res.body.campaigns, ['autumn', 'winter']);
+    });
+
+    await t.test('a bulk PATCH updates the allowed orders and reports the rest', async () => {
+        const res = await callHandler(handler, {
+            method: 'PATCH',
+            headers: asAdmin,
+            body: {
+                orderIds: ['288-261017-000001', '288-261018-000003', '288-261018-999999'],
+                status: 'confirmed',
+                note: 'تم الاتصال',
+                author: 'منى'
+            }
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.updated.map(order => order.orderId), ['288-261017-000001']);
+        assert.deepEqual(res.body.failed.map(result => result.orderId), ['288-261018-000003', '288-261018-999999']);
+        assert.match(res.body.failed[0].error, /ملغي/);
+
+        const stored = JSON.parse(fs.readFileSync(process.env.ORDER_STORE_FILE, 'utf8'));
+        const [confirmed, , cancelled] = stored;
+        assert.equal(confirmed.status, 'confirmed');
+        assert.equal(confirmed.statusHistory.at(-1).author, 'منى');
+        assert.equal(confirmed.notes[0].text, 'تم الاتصال');
+        assert.equal(cancelled.status, 'cancelled');
+        assert.deepEqual(cancelled.notes, []);
+    });
+
+    await t.test('a bulk PATCH where every order is rejected returns 409 without writing', async () => {
+        const before = fs.readFileSync(process.env.ORDER_STORE_FILE, 'utf8');
+        const res = await callHandler(handler, {
+            method: 'PATCH',
+            headers: asAdmin,
+            body: { orderIds: ['288-261018-000002', '288-261018-000003'], status: 'cancelled' }
+        });
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.success, false);
+        assert.equal(res.body.failed.length, 2);
+        assert.equal(fs.readFileSync(process.env.ORDER_STORE_FILE, 'utf8'), before);
+    });
+});
@@ -0,0 +1,54 @@
+// Police 288 API - /api/coupons tests
+// الـ handler يعمل كما في Vercel - الأكواد من api/_lib/coupons.js، والوقت ثابت قبل انتهاء صلاحيتها
+// node --test api/_tests/coupons.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { callHandler } = require('./http-fixtures');
+const handler = require('../coupons');
+
+test.before(() => test.mock.method(Date, 'now', () => Date.parse('2026-10-19T12:00:00+03:00')));
+test.after(() => test.mock.restoreAll());
+
+test('a valid code returns only its discount', async () => {
+    const res = await callHandler(handler, { body: { code: ' tiktok١٠ ' }, ip: '10.5.0.1' });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.headers['cache-control'], 'no-store');
+    assert.deepEqual(res.body, { success: true, coupon: { code: 'TIKTOK10', type: 'percent', value: 10 } });
+});
+
+test('an unknown or empty code returns its error code', async () => {
+    const invalid = await callHandler(handler, { body: { code: 'NOPE' }, ip: '10.5.0.2' });
+    assert.equal(invalid.statusCode, 400);
+    assert.equal(invalid.body.errorCode, 'invalid');
+    assert.equal(invalid.body.coupon, undefined);
+
+    const empty = await callHandler(handler, { body: {}, ip: '10.5.0.2' });
+    assert.equal(empty.statusCode, 400);
+    assert.equal(empty.body.errorCode, 'required');
+});
+
+test('wrong codes from one IP are limited, valid codes do not count', async () => {
+    for (let i = 0; i < 5; i++) {
+        const res = await callHandler(handler, { body: { code: 'SAVE150' }, ip: '10.5.1.1' });
+        assert.equal(res.statusCode, 200);
+    }
+    for (let i = 0; i < 10; i++) {
+        const res = await callHandler(handler, { body: { code: `GUESS${i}` }, ip: '10.5.1.1' });
+        assert.equal(res.statusCode, 400);
+    }
+
+    const blocked = await callHandler(handler, { body: { code: 'SAVE150' }, ip: '10.5.1.1' });
+    assert.equal(blocked.statusCode, 429);
+    assert.ok(Number(blocked.headers['retry-after']) > 0);
+
+    const otherIp = await callHandler(handler, { body: { code: 'SAVE150' }, ip: '10.5.1.2' });
+    assert.equal(otherIp.statusCode, 200);
+});
+
+test('only POST is allowed', async () => {
+    const res = await callHandler(handler, { method: 'GET' });
+    assert.equal(res.statusCode, 405);
+    assert.equal(res.headers.allow, 'POST');
+});
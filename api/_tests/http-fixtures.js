@@ -0,0 +1,70 @@
+// Police 288 API - shared test fixtures for the serverless handlers
+// req / res بنفس شكل Vercel (req.body محلل، res.status().json())، و webhook محلي يسجل ما يصله
+
+const http = require('http');
+
+async function callHandler(handler, { method = 'POST', body, ip = '127.0.0.1', headers = {}, query } = {}) {
+    const req = {
+        method,
+        headers: { 'x-forwarded-for': ip, 'user-agent': 'node-test', ...headers },
+        body,
+        query: query || {},
+        socket: {}
+    };
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: null,
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        status(code) { this.statusCode = code; return this; },
+        json(data) { this.body = data; return this; },
+        end() { return this; }
+    };
+
+    await handler(req, res);
+    return res;
+}
+
+// webhook محلي: يسجل كل طلب، و hold() يؤخر الرد حتى يتم استدعاء release()
+// statusCode و responseBody لرد مختلف (مثل 409 أو رد /api/orders)
+function startWebhookStub(path = '/') {
+    const stub = { requests: [], held: null, statusCode: 200 };
+
+    stub.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            stub.requests.push({ url: req.url, headers: req.headers, body, payload: body ? JSON.parse(body) : null });
+            if (stub.held) {
+                stub.held.arrived();
+                await stub.held.released;
+            }
+            res.writeHead(stub.statusCode, { 'Content-Type': 'application/json' });
+            res.end(stub.responseBody || '{"ok":true}');
+        });
+    });
+
+    stub.hold = () => {
+        const held = {};
+        held.arrival = new Promise(resolve => { held.arrived = resolve; });
+        held.released = new Promise(resolve => { held.release = resolve; });
+        stub.held = held;
+        return held;
+    };
+
+    // يحرر أي رد معلق ويغلق الاتصالات المفتوحة حتى ينتهي الاختبار
+    stub.close = () => {
+        if (stub.held) stub.held.release();
+        stub.server.closeAllConnections();
+        stub.server.close();
+    };
+
+    return new Promise(resolve => {
+        stub.server.listen(0, '127.0.0.1', () => {
+            stub.url = `http://127.0.0.1:${stub.server.address().port}${path}`;
+            resolve(stub);
+        });
+    });
+}
+
+module.exports = { callHandler, startWebhookStub };
@@ -0,0 +1,62 @@
+// Police 288 API - order ID tests
+// الرقم العشوائي من crypto.randomInt (mock)، والأرقام المستخدمة من FileOrderStore على ملف مؤقت
+// node --test api/_tests/order-id.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createOrderId, createUniqueOrderId } = require('../_lib/order-id');
+const { FileOrderStore } = require('../_lib/order-store');
+
+// 23:30 بتوقيت القاهرة (التوقيت الصيفي +03:00)
+const DATE = new Date('2026-10-18T20:30:00.000Z');
+
+function mockSerials(t, serials) {
+    const queue = [...serials];
+    return t.mock.method(crypto, 'randomInt', () => queue.shift());
+}
+
+test('the order ID uses the Cairo date and a six-digit serial', t => {
+    mockSerials(t, [42, 7]);
+    assert.equal(createOrderId(DATE), '288-261018-000042');
+    // 21:30 UTC = 00:30 في القاهرة: اليوم التالي
+    assert.equal(createOrderId(new Date('2026-10-18T21:30:00.000Z')), '288-261019-000007');
+});
+
+test('a serial already in the order store is generated again', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'police288-order-id-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const store = new FileOrderStore(path.join(dir, 'orders.json'));
+    await store.add({ orderId: '288-261018-123456', phone: '+201012345678' });
+
+    const randomInt = mockSerials(t, [123456, 654321]);
+    const orderId = await createUniqueOrderId(async candidate => Boolean(await store.get(candidate)), DATE);
+
+    assert.equal(orderId, '288-261018-654321');
+    assert.equal(randomInt.mock.callCount(), 2);
+});
+
+test('an unused serial is returned without checking again', async t => {
+    mockSerials(t, [1, 2]);
+    const checked = [];
+    const orderId = await createUniqueOrderId(candidate => {
+        checked.push(candidate);
+        return false;
+    }, DATE);
+
+    assert.equal(orderId, '288-261018-000001');
+    assert.deepEqual(checked, [orderId]);
+});
+
+test('gives up after repeated collisions', async () => {
+    let attempts = 0;
+    await assert.rejects(
+        createUniqueOrderId(() => { attempts += 1; return true; }, DATE),
+        /No unused order ID/
+    );
+    assert.equal(attempts, 10);
+});
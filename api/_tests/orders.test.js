@@ -0,0 +1,255 @@
+// Police 288 API - /api/orders idempotency tests
+// الـ handler يعمل كما في Vercel، والوجهة webhook محلي (ORDER_WEBHOOK_URL) يسجل ما يصله
+// node --test api/_tests/orders.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { callHandler, startWebhookStub } = require('./http-fixtures');
+
+const WEBHOOK_SECRET = 'test-secret';
+
+function buildOrder(idempotencyKey, phone) {
+    return {
+        name: 'أحمد محمد',
+        phone,
+        quantity: '1',
+        governorate: 'cairo',
+        city: 'مدينة نصر',
+        street: 'شارع عباس العقاد 12',
+        idempotencyKey
+    };
+}
+
+test('/api/orders idempotency', async t => {
+    const stub = await startWebhookStub('/orders');
+    const env = { ...process.env };
+
+    ['ORDER_DESTINATIONS', 'MAKE_WEBHOOK_URL', 'GOOGLE_SHEETS_WEBHOOK_URL', 'ORDER_STORE_FILE',
+        'TIKTOK_PIXEL_ID', 'TIKTOK_ACCESS_TOKEN', 'TIKTOK_EVENTS_API_URL', 'LEADS_WEBHOOK_URL'].forEach(name => delete process.env[name]);
+    process.env.ORDER_WEBHOOK_URL = stub.url;
+    process.env.ORDER_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    const handler = require('../orders');
+    // سجلات الـ handler (✅ / ❌) لا تختلط بمخرجات node --test
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+
+    t.after(() => {
+        process.env = env;
+        stub.close();
+    });
+
+    await t.test('a replayed order is forwarded once and returns the same orderId', async () => {
+        stub.requests.length = 0;
+        const order = buildOrder('test-replay-0001', '01012345678');
+
+        const first = await callHandler(handler, { body: order, ip: '10.0.0.1' });
+        assert.equal(first.statusCode, 201);
+        assert.equal(first.body.success, true);
+        assert.match(first.body.orderId, /\S/);
+
+        const replay = await callHandler(handler, { body: { ...order }, ip: '10.0.0.1' });
+        assert.equal(replay.statusCode, 200);
+        assert.deepEqual(replay.body, { success: true, orderId: first.body.orderId, duplicate: true });
+
+        assert.equal(stub.requests.length, 1);
+        const { headers, body, payload } = stub.requests[0];
+        assert.equal(payload.event, 'order.created');
+        assert.equal(payload.order.orderId, first.body.orderId);
+        assert.equal(payload.order.idempotencyKey, 'test-replay-0001');
+        assert.equal(payload.order.phone, '+201012345678');
+        assert.equal(payload.order.whatsapp, null);
+        assert.equal(payload.order.offerId, 'single');
+        assert.equal(typeof payload.order.price, 'number');
+        assert.equal(typeof payload.order.totalValue, 'number');
+        assert.equal(typeof payload.order.totalSavings, 'number');
+        assert.deepEqual(Object.keys(payload.order.deliveryDays), ['min', 'max']);
+        assert.equal(payload.order.timestamp, null);
+        assert.equal(new Date(payload.order.receivedAt).toISOString(), payload.order.receivedAt);
+        assert.equal(
+            headers['x-police288-signature'],
+            crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')
+        );
+    });
+
+    await t.test('a replay while the first request is still forwarding gets 409, then the same orderId', async () => {
+        stub.requests.length = 0;
+        const order = buildOrder('test-replay-0002', '01112345678');
+        const held = stub.hold();
+
+        const firstPromise = callHandler(handler, { body: order, ip: '10.0.0.2' });
+        await held.arrival;
+
+        const inProgress = await callHandler(handler, { body: { ...order }, ip: '10.0.0.2' });
+        assert.equal(inProgress.statusCode, 409);
+        assert.equal(inProgress.body.success, false);
+
+        stub.held = null;
+        held.release();
+        const first = await firstPromise;
+        assert.equal(first.statusCode, 201);
+
+        const replay = await callHandler(handler, { body: { ...order }, ip: '10.0.0.2' });
+        assert.equal(replay.statusCode, 200);
+        assert.equal(replay.body.orderId, first.body.orderId);
+        assert.equal(stub.requests.length, 1);
+    });
+
+    await t.test('the Idempotency-Key header works like the body field', async () => {
+        stub.requests.length = 0;
+        const order = buildOrder(undefined, '01212345678');
+        const sendWithHeader = () => callHandler(handler, { body: order, ip: '10.0.0.3', headers: { 'idempotency-key': 'test-header-0003' } });
+
+        const first = await sendWithHeader();
+        const replay = await sendWithHeader();
+        assert.equal(first.statusCode, 201);
+        assert.equal(replay.statusCode, 200);
+        assert.equal(replay.body.orderId, first.body.orderId);
+        assert.equal(stub.requests.length, 1);
+    });
+
+    await t.test('a long Idempotency-Key header is cut like the body field', async () => {
+        stub.requests.length = 0;
+        const longKey = 'k'.repeat(100);
+        const order = buildOrder(undefined, '01212345670');
+
+        const first = await callHandler(handler, { body: order, ip: '10.0.0.6', headers: { 'idempotency-key': longKey + 'a' } });
+        const replay = await callHandler(handler, { body: order, ip: '10.0.0.6', headers: { 'idempotency-key': longKey + 'b' } });
+        assert.equal(first.statusCode, 201);
+        assert.equal(replay.statusCode, 200);
+        assert.equal(replay.body.orderId, first.body.orderId);
+        assert.equal(stub.requests[0].payload.order.idempotencyKey, longKey);
+    });
+
+    await t.test('different keys create different orders', async () => {
+        stub.requests.length = 0;
+
+        const first = await callHandler(handler, { body: buildOrder('test-distinct-0004', '01512345678'), ip: '10.0.0.4' });
+        const second = await callHandler(handler, { body: buildOrder('test-distinct-0005', '01512345679'), ip: '10.0.0.4' });
+        assert.equal(first.statusCode, 201);
+        assert.equal(second.statusCode, 201);
+        assert.notEqual(first.body.orderId, second.body.orderId);
+        assert.equal(stub.requests.length, 2);
+    });
+
+    await t.test('a rejected order does not reserve its key', async () => {
+        stub.requests.length = 0;
+        const order = buildOrder('test-invalid-0006', '01312345678');
+
+        const invalid = await callHandler(handler, { body: order, ip: '10.0.0.5' });
+        assert.equal(invalid.statusCode, 400);
+        assert.ok(invalid.body.fields.phone);
+
+        const fixed = await callHandler(handler, { body: { ...order, phone: '01012345670' }, ip: '10.0.0.5' });
+        assert.equal(fixed.statusCode, 201);
+        assert.equal(stub.requests.length, 1);
+    });
+
+    await t.test('the server-side purchase event is sent before the handler settles', async () => {
+        const events = await startWebhookStub('/event/track/');
+        process.env.TIKTOK_PIXEL_ID = 'test-pixel';
+        process.env.TIKTOK_ACCESS_TOKEN = 'test-token';
+        process.env.TIKTOK_EVENTS_API_URL = events.url;
+
+        try {
+            const held = events.hold();
+            let settled = false;
+            const pending = callHandler(handler, {
+                body: { ...buildOrder('test-purchase-0007', '01012345671'), trackingConsent: 'granted' },
+                ip: '10.0.0.7'
+            }).then(res => { settled = true; return res; });
+
+            await held.arrival;
+            assert.equal(settled, false);
+            events.held = null;
+            held.release();
+
+            const res = await pending;
+            assert.equal(res.statusCode, 201);
+            assert.equal(events.requests.length, 1);
+            assert.equal(events.requests[0].headers['access-token'], 'test-token');
+            assert.equal(events.requests[0].payload.data[0].event_id, res.body.orderId);
+
+            // بدون موافقة على التتبع لا يُرسل أي حدث
+            const withoutConsent = await callHandler(handler, { body: buildOrder('test-purchase-0008', '01012345672'), ip: '10.0.0.8' });
+            assert.equal(withoutConsent.statusCode, 201);
+            assert.equal(events.requests.length, 1);
+        } finally {
+            ['TIKTOK_PIXEL_ID', 'TIKTOK_ACCESS_TOKEN', 'TIKTOK_EVENTS_API_URL'].forEach(name => delete process.env[name]);
+            events.close();
+        }
+    });
+
+    await t.test('lead.recovered is sent before the handler settles, only for the lead phone', async () => {
+        const leads = await startWebhookStub('/leads');
+        process.env.LEADS_WEBHOOK_URL = leads.url;
+
+        try {
+            const leadsHandler = require('../leads');
+            const leadId = 'test-lead-0010';
+            const abandoned = await callHandler(leadsHandler, {
+                body: { leadId, phone: '01012345674', trackingConsent: 'granted' },
+                ip: '10.0.0.10'
+            });
+            assert.equal(abandoned.statusCode, 200);
+            assert.equal(leads.requests[0].payload.event, 'lead.abandoned');
+
+            // نفس الـ leadId برقم آخر: الـ lead يبقى في المتابعة
+            stub.requests.length = 0;
+            const otherPhone = await callHandler(handler, {
+                body: { ...buildOrder('test-lead-order-0010', '01012345675'), leadId },
+                ip: '10.0.0.10'
+            });
+            assert.equal(otherPhone.statusCode, 201);
+            assert.equal(stub.requests[0].payload.order.leadId, null);
+            assert.equal(leads.requests.length, 1);
+
+            stub.requests.length = 0;
+            const held = leads.hold();
+            let settled = false;
+            const pending = callHandler(handler, {
+                body: { ...buildOrder('test-lead-order-0011', '01012345674'), leadId },
+                ip: '10.0.0.11'
+            }).then(res => { settled = true; return res; });
+
+            await held.arrival;
+            assert.equal(settled, false);
+            leads.held = null;
+            held.release();
+
+            const res = await pending;
+            assert.equal(res.statusCode, 201);
+            assert.equal(stub.requests[0].payload.order.leadId, leadId);
+            assert.equal(leads.requests.length, 2);
+            assert.equal(leads.requests[1].payload.event, 'lead.recovered');
+            assert.equal(leads.requests[1].payload.leadId, leadId);
+            assert.equal(leads.requests[1].payload.orderId, res.body.orderId);
+        } finally {
+            delete process.env.LEADS_WEBHOOK_URL;
+            leads.close();
+        }
+    });
+
+    await t.test('a hanging Events API delays the order response only until the timeout', async () => {
+        const events = await startWebhookStub('/event/track/');
+        process.env.TIKTOK_PIXEL_ID = 'test-pixel';
+        process.env.TIKTOK_ACCESS_TOKEN = 'test-token';
+        process.env.TIKTOK_EVENTS_API_URL = events.url;
+
+        try {
+            events.hold();
+            const startedAt = Date.now();
+            const res = await callHandler(handler, {
+                body: { ...buildOrder('test-purchase-0009', '01012345673'), trackingConsent: 'granted' },
+                ip: '10.0.0.9'
+            });
+
+            assert.equal(res.statusCode, 201);
+            assert.ok(Date.now() - startedAt < 5000);
+        } finally {
+            ['TIKTOK_PIXEL_ID', 'TIKTOK_ACCESS_TOKEN', 'TIKTOK_EVENTS_API_URL'].forEach(name => delete process.env[name]);
+            events.close();
+        }
+    });
+});
@@ -0,0 +1,69 @@
+// Police 288 API - social proof feed tests
+// buildSocialProofFeed بوقت ثابت (now) على طلبات بنفس حقول الشيت
+// node --test api/_tests/social-proof.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSocialProofFeed } = require('../_lib/social-proof');
+
+// 2026-10-19 14:00 بتوقيت القاهرة (+03:00)
+const NOW = new Date('2026-10-19T11:00:00.000Z');
+
+function buildOrder(fields) {
+    return {
+        name: 'أحمد محمد علي',
+        phone: '+201012345678',
+        governorate: 'cairo',
+        city: 'مدينة نصر',
+        street: 'شارع عباس العقاد 12',
+        quantity: '1',
+        receivedAt: '2026-10-19T10:00:00.000Z',
+        ...fields
+    };
+}
+
+test('cancelled and returned orders are neither shown nor counted', () => {
+    const feed = buildSocialProofFeed([
+        buildOrder({ name: 'أحمد محمد', status: 'new' }),
+        buildOrder({ name: 'سارة علي', status: 'cancelled', receivedAt: '2026-10-19T10:30:00.000Z' }),
+        buildOrder({ name: 'محمود حسن', status: 'returned', governorate: 'giza', receivedAt: '2026-10-19T10:40:00.000Z' }),
+        buildOrder({ name: 'منى سالم', governorate: 'alexandria', receivedAt: '2026-10-19T09:00:00.000Z' })
+    ], NOW);
+
+    assert.deepEqual(feed.recentOrders.map(order => order.firstName), ['أحمد', 'منى']);
+    assert.equal(feed.today.total, 2);
+    assert.deepEqual(feed.today.byGovernorate, [
+        { governorate: 'القاهرة', orders: 1 },
+        { governorate: 'الإسكندرية', orders: 1 }
+    ]);
+    assert.equal(feed.stats.customers, 2);
+    assert.equal(feed.stats.ordersToday, 2);
+});
+
+test('the feed keeps only the first name, the governorate, the quantity and the time', () => {
+    const feed = buildSocialProofFeed([buildOrder({ name: '  أحمد   محمد علي ', quantity: '2', status: 'shipped' })], NOW);
+
+    assert.deepEqual(feed.recentOrders, [{
+        firstName: 'أحمد',
+        governorate: 'القاهرة',
+        quantity: 2,
+        orderedAt: '2026-10-19T10:00:00.000Z'
+    }]);
+
+    const json = JSON.stringify(feed);
+    ['محمد علي', '01012345678', '201012345678', 'مدينة نصر', 'عباس العقاد'].forEach(value => {
+        assert.equal(json.includes(value), false, value);
+    });
+});
+
+test('orders without a known governorate, older than maxAgeHours or in the future are left out', () => {
+    const feed = buildSocialProofFeed([
+        buildOrder({ governorate: 'unknown' }),
+        buildOrder({ receivedAt: '2026-10-17T10:00:00.000Z' }),
+        buildOrder({ receivedAt: '2026-10-19T12:00:00.000Z' }),
+        buildOrder({ name: 'منى سالم' })
+    ], NOW);
+
+    assert.deepEqual(feed.recentOrders.map(order => order.firstName), ['منى']);
+    assert.equal(feed.today.total, 1);
+});
@@ -0,0 +1,71 @@
+// Police 288 API - /api/track rate limit tests
+// مخزن الطلبات ملف مؤقت (ORDER_STORE_FILE) فيه طلب واحد
+// node --test api/_tests/track.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { callHandler } = require('./http-fixtures');
+
+const ORDER = {
+    orderId: '288-261018-123456',
+    phone: '+201012345678',
+    name: 'أحمد محمد',
+    quantity: '1',
+    offerId: 'single',
+    totalValue: 1745,
+    governorate: 'cairo',
+    receivedAt: '2026-10-18T10:00:00.000Z'
+};
+
+test('/api/track rate limits', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'police288-track-'));
+    const env = { ...process.env };
+    process.env.ORDER_STORE_FILE = path.join(dir, 'orders.json');
+
+    const { getOrderStore } = require('../_lib/order-store');
+    await getOrderStore().add(ORDER);
+    const handler = require('../track');
+
+    t.after(() => {
+        process.env = env;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    await t.test('repeated successful lookups for one phone from many IPs are never limited', async () => {
+        for (let i = 0; i < 30; i++) {
+            const res = await callHandler(handler, { body: { orderId: ORDER.orderId, phone: '01012345678' }, ip: `10.1.0.${i}` });
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.body.order.orderId, ORDER.orderId);
+        }
+    });
+
+    await t.test('failed lookups from one IP block that IP only', async () => {
+        for (let i = 0; i < 5; i++) {
+            const res = await callHandler(handler, { body: { orderId: '288-261018-000001', phone: '01112345678' }, ip: '10.2.0.1' });
+            assert.equal(res.statusCode, 404);
+        }
+
+        const blocked = await callHandler(handler, { body: { orderId: ORDER.orderId, phone: '01012345678' }, ip: '10.2.0.1' });
+        assert.equal(blocked.statusCode, 429);
+        assert.ok(Number(blocked.headers['retry-after']) > 0);
+
+        const otherIp = await callHandler(handler, { body: { orderId: ORDER.orderId, phone: '01012345678' }, ip: '10.2.0.2' });
+        assert.equal(otherIp.statusCode, 200);
+    });
+
+    await t.test('failed lookups for one phone from many IPs block that phone only', async () => {
+        for (let i = 0; i < 10; i++) {
+            const res = await callHandler(handler, { body: { orderId: `288-261018-00001${i}`, phone: '01212345678' }, ip: `10.3.0.${i}` });
+            assert.equal(res.statusCode, 404);
+        }
+
+        const blocked = await callHandler(handler, { body: { orderId: '288-261018-000020', phone: '01212345678' }, ip: '10.3.1.1' });
+        assert.equal(blocked.statusCode, 429);
+
+        const otherPhone = await callHandler(handler, { body: { orderId: ORDER.orderId, phone: '01012345678' }, ip: '10.3.1.1' });
+        assert.equal(otherPhone.statusCode, 200);
+    });
+});
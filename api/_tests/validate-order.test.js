@@ -0,0 +1,150 @@
+// Police 288 API - scheduled offer pricing tests
+// ساعة الأسعار من setCatalogClock، والعروض تُضاف مؤقتاً إلى PRODUCT_CATALOG.schedule
+// node --test api/_tests/validate-order.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PRODUCT_CATALOG, setCatalogClock, getActiveSchedule } = require('../../js/catalog');
+const { validateOrder } = require('../_lib/validate-order');
+
+const MINUTE = 60 * 1000;
+
+// العرض الأول ينتهي ليلة نهاية التوقيت الصيفي (الساعة 23:00 تتكرر)، والثاني يبدأ بعد التقديم مباشرة
+const TEST_SCHEDULE = [
+    {
+        id: 'test-autumn',
+        label: 'عرض الخريف',
+        startsAt: '2026-10-25 00:00',
+        endsAt: '2026-10-30 00:00',
+        offers: { single: { price: 1500 } }
+    },
+    {
+        id: 'test-spring',
+        label: 'عرض الربيع',
+        startsAt: '2026-04-24 01:00',
+        endsAt: '2026-05-01 00:00',
+        offers: { single: { price: 1400 } }
+    },
+    {
+        id: 'test-winter',
+        label: 'عرض الشتاء',
+        startsAt: '2026-11-01 00:00',
+        endsAt: '2026-11-08 00:00',
+        offers: { single: { price: 1500 }, 'bundle-2': { price: 2799 } }
+    }
+];
+
+function at(isoTime) {
+    const time = Date.parse(isoTime);
+    setCatalogClock(() => time);
+    return time;
+}
+
+function buildOrder(fields = {}) {
+    return {
+        name: 'أحمد محمد',
+        phone: '01012345678',
+        quantity: '1',
+        governorate: 'cairo',
+        city: 'مدينة نصر',
+        street: 'شارع عباس العقاد 12',
+        ...fields
+    };
+}
+
+test.before(() => PRODUCT_CATALOG.schedule.push(...TEST_SCHEDULE));
+test.after(() => {
+    TEST_SCHEDULE.forEach(entry => PRODUCT_CATALOG.schedule.splice(PRODUCT_CATALOG.schedule.indexOf(entry), 1));
+    setCatalogClock(null);
+});
+
+function activeScheduleId() {
+    const schedule = getActiveSchedule();
+    return schedule ? schedule.id : null;
+}
+
+test('an offer starts exactly at startsAt in Cairo time', () => {
+    at('2026-10-24T23:59:59+03:00');
+    assert.equal(activeScheduleId(), null);
+    at('2026-10-25T00:00:00+03:00');
+    assert.equal(activeScheduleId(), 'test-autumn');
+});
+
+test('an offer ends exactly at endsAt in Cairo time', () => {
+    at('2026-11-07T23:59:59+02:00');
+    assert.equal(activeScheduleId(), 'test-winter');
+    at('2026-11-08T00:00:00+02:00');
+    assert.equal(activeScheduleId(), null);
+});
+
+test('an offer ending after the DST change lasts through the repeated hour', () => {
+    // 24:00 صيفي = 23:00 شتوي: بعدها ساعة كاملة قبل منتصف الليل بالتوقيت الجديد
+    at('2026-10-29T23:59:59+03:00');
+    assert.equal(activeScheduleId(), 'test-autumn');
+    at('2026-10-29T23:30:00+02:00');
+    assert.equal(activeScheduleId(), 'test-autumn');
+    at('2026-10-29T23:59:59+02:00');
+    assert.equal(activeScheduleId(), 'test-autumn');
+    at('2026-10-30T00:00:00+02:00');
+    assert.equal(activeScheduleId(), null);
+});
+
+test('an offer starting right after the DST jump starts at the new 01:00', () => {
+    // منتصف الليل يصبح 01:00 مباشرة: 01:00 صيفي = 00:00 شتوي
+    at('2026-04-23T23:59:59+02:00');
+    assert.equal(activeScheduleId(), null);
+    at('2026-04-24T01:00:00+03:00');
+    assert.equal(activeScheduleId(), 'test-spring');
+});
+
+test('an order priced just before the offer ends keeps the offer price', () => {
+    at('2026-11-08T00:02:00+02:00');
+    const result = validateOrder(buildOrder({
+        pricedAt: '2026-11-07T21:59:30.000Z',
+        offerScheduleId: 'test-winter'
+    }));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.order.offerScheduleId, 'test-winter');
+    assert.equal(result.order.price, 1500);
+});
+
+test('an order priced before the offer ends is repriced after the grace period', () => {
+    at('2026-11-08T00:06:00+02:00');
+    const result = validateOrder(buildOrder({
+        pricedAt: '2026-11-07T21:59:30.000Z',
+        offerScheduleId: 'test-winter'
+    }));
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.quantity);
+});
+
+test('an old pricedAt cannot buy an ended offer even without offerScheduleId', () => {
+    at('2026-11-09T12:00:00+02:00');
+    const result = validateOrder(buildOrder({ pricedAt: '2026-11-07T12:00:00.000Z' }));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.order.offerScheduleId, '');
+    assert.equal(result.order.price, PRODUCT_CATALOG.offers[0].price);
+});
+
+test('a pricedAt in the future is priced at the server time', () => {
+    const now = at('2026-10-31T23:50:00+02:00');
+    const result = validateOrder(buildOrder({
+        pricedAt: new Date(now + 20 * MINUTE).toISOString(),
+        offerScheduleId: 'test-winter'
+    }));
+
+    assert.equal(result.valid, false);
+    assert.ok(result.errors.quantity);
+});
+
+test('an order sent just after the offer starts gets the offer price', () => {
+    at('2026-11-01T00:00:01+02:00');
+    const result = validateOrder(buildOrder({ quantity: '2', pricedAt: '2026-10-31T22:00:00.500Z' }));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.order.offerScheduleId, 'test-winter');
+    assert.equal(result.order.price, 2799);
+});
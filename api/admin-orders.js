@@ -0,0 +1,89 @@
+// Police 288 API - Admin orders endpoint
+// GET /api/admin-orders?q=&from=&to=&governorate=&status=&campaign= : الطلبات المطابقة + الإجماليات اليومية
+// PATCH /api/admin-orders { orderIds, status, note, shipment, author } : تغيير الحالة، ملاحظة، أو بيانات الشحنة لطلب أو أكثر
+// يحتاج ADMIN_TOKEN (Authorization: Bearer) و ORDER_STORE_FILE
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { getAdminToken, isAdminRequest } = require('./_lib/admin-auth');
+const { getOrderStore } = require('./_lib/order-store');
+const {
+    MAX_RESULTS,
+    parseOrderFilters,
+    filterOrders,
+    getDailyTotals,
+    getCampaigns,
+    validateOrderUpdate,
+    createOrderChange
+} = require('./_lib/admin-orders');
+
+// محاولات الدخول الخاطئة فقط
+const authFailureLimiter = new RateLimiter({ limit: 10, windowMs: 15 * 60 * 1000 });
+
+async function listOrders(req, res, store) {
+    const orders = await store.list();
+    const filters = parseOrderFilters(req.query);
+    const matching = filterOrders(orders, filters);
+
+    return res.status(200).json({
+        success: true,
+        filters,
+        total: matching.length,
+        orders: matching.slice(0, MAX_RESULTS),
+        dailyTotals: getDailyTotals(matching),
+        campaigns: getCampaigns(orders)
+    });
+}
+
+async function updateOrders(req, res, store) {
+    const update = validateOrderUpdate(readJsonBody(req));
+    if (!update.valid) {
+        return res.status(400).json({ success: false, error: update.error });
+    }
+
+    const results = await store.update(update.orderIds, createOrderChange(update));
+    const updated = results.filter(result => result.ok);
+    console.log(`📝 Admin update: ${updated.length}/${results.length} orders${update.status ? ` → ${update.status}` : ''}`);
+
+    return res.status(updated.length > 0 ? 200 : 409).json({
+        success: updated.length > 0,
+        updated: updated.map(result => result.order),
+        failed: results
+            .filter(result => !result.ok)
+            .map(({ orderId, error }) => ({ orderId, error }))
+    });
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'PATCH') {
+        return methodNotAllowed(res, ['GET', 'PATCH']);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (!getAdminToken()) {
+        return res.status(503).json({ success: false, error: 'لوحة الطلبات غير مفعلة (ADMIN_TOKEN)' });
+    }
+
+    if (!isAdminRequest(req)) {
+        const limit = authFailureLimiter.hit(getClientIp(req));
+        if (!limit.allowed) {
+            return tooManyRequests(res, limit.retryAfter);
+        }
+        return res.status(401).json({ success: false, error: 'غير مصرح' });
+    }
+
+    const store = getOrderStore();
+    if (!store) {
+        return res.status(503).json({ success: false, error: 'مخزن الطلبات غير مضبوط (ORDER_STORE_FILE)' });
+    }
+
+    try {
+        return req.method === 'GET'
+            ? await listOrders(req, res, store)
+            : await updateOrders(req, res, store);
+    } catch (error) {
+        console.error(`❌ Admin orders failed: ${error.message}`);
+        return res.status(500).json({ success: false, error: 'تعذر قراءة مخزن الطلبات' });
+    }
+};
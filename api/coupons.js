@@ -0,0 +1,41 @@
+// Police 288 API - Coupon check endpoint
+// POST /api/coupons { code }: يرجع نوع الخصم وقيمته فقط للكود الصالح - قائمة الأكواد لا تصل للمتصفح
+// حد عام لكل IP، وحد للأكواد الخاطئة فقط حتى لا يمكن تخمين الأكواد
+// حد الاستخدام لكل رقم هاتف (maxUsesPerPhone) يُطبق عند إرسال الطلب (api/orders.js)
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { validateCoupon, getPublicCoupon } = require('./_lib/coupons');
+
+const ipLimiter = new RateLimiter({ limit: 30, windowMs: 10 * 60 * 1000 });
+const failureLimiter = new RateLimiter({ limit: 10, windowMs: 60 * 60 * 1000 });
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return methodNotAllowed(res, ['POST']);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const ip = getClientIp(req);
+    const ipLimit = ipLimiter.hit(ip);
+    if (!ipLimit.allowed) {
+        return tooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const failureLimit = failureLimiter.peek(ip);
+    if (!failureLimit.allowed) {
+        return tooManyRequests(res, failureLimit.retryAfter);
+    }
+
+    const body = readJsonBody(req);
+    const result = validateCoupon(body && typeof body.code === 'string' ? body.code : '');
+    if (!result.valid) {
+        if (result.errorCode !== 'required') {
+            failureLimiter.hit(ip);
+        }
+        return res.status(400).json({ success: false, errorCode: result.errorCode, error: result.error });
+    }
+
+    return res.status(200).json({ success: true, coupon: getPublicCoupon(result.coupon) });
+};
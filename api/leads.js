@@ -0,0 +1,52 @@
+// Police 288 API - Abandoned-checkout lead endpoint
+// POST /api/leads: beacon من js/form-draft.js عند مغادرة الصفحة برقم صحيح بدون إرسال الطلب
+// أو { leadId, action: 'withdraw' } عند ضغط "مسح بياناتي"
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { getLeadsWebhook, validateLead, sendLeadEvent, rememberLead, forgetLead, getLeadPhone } = require('./_lib/leads');
+
+const ipLimiter = new RateLimiter({ limit: 10, windowMs: 10 * 60 * 1000 });
+
+// نفس الـ lead بنفس الرقم لا يُرسل مرتين لفريق المتابعة (ذاكرة الـ instance فقط)
+function isDuplicate(lead) {
+    return getLeadPhone(lead.leadId) === lead.phone;
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return methodNotAllowed(res, ['POST']);
+    }
+
+    const ipLimit = ipLimiter.hit(getClientIp(req));
+    if (!ipLimit.allowed) {
+        return tooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const validation = validateLead(readJsonBody(req));
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, error: validation.error });
+    }
+
+    if (!getLeadsWebhook()) {
+        return res.status(503).json({ success: false, error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    const { event, lead } = validation;
+    if (event === 'lead.abandoned' && isDuplicate(lead)) {
+        return res.status(200).json({ success: true, duplicate: true });
+    }
+
+    const result = await sendLeadEvent(event, lead);
+    if (!result.ok) {
+        return res.status(502).json({ success: false, error: 'تعذر تسجيل البيانات' });
+    }
+
+    if (event === 'lead.abandoned') {
+        rememberLead(lead);
+    } else {
+        forgetLead(lead.leadId);
+    }
+
+    return res.status(200).json({ success: true });
+};
@@ -0,0 +1,183 @@
+// Police 288 API - Order ingestion endpoint
+// POST /api/orders: التحقق من الطلب، إصدار رقم الطلب، ثم إرساله إلى الوجهات المضبوطة
+// ومخزن الطلبات (ORDER_STORE_FILE) للوحة فريق التنفيذ admin.html
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { CouponUsage } = require('./_lib/coupon-usage');
+const { validateOrder } = require('./_lib/validate-order');
+const { createUniqueOrderId } = require('./_lib/order-id');
+const { getDestinations, forwardOrder } = require('./_lib/destinations');
+const { getOrderStore } = require('./_lib/order-store');
+const { sendPurchaseEvent } = require('./_lib/tiktok-events');
+const { sendLeadEvent, getLeadPhone, forgetLead } = require('./_lib/leads');
+
+const ipLimiter = new RateLimiter({ limit: 5, windowMs: 10 * 60 * 1000 });
+const phoneLimiter = new RateLimiter({ limit: 3, windowMs: 60 * 60 * 1000 });
+const couponUsage = new CouponUsage();
+
+// الطلبات التي تم استلامها حسب مفتاح idempotency - إعادة الإرسال ترجع نفس رقم الطلب
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+const processedOrders = new Map();
+
+function getProcessedOrder(key) {
+    const entry = processedOrders.get(key);
+    if (!entry) return null;
+
+    if (Date.now() - entry.at > IDEMPOTENCY_TTL) {
+        processedOrders.delete(key);
+        return null;
+    }
+    return entry;
+}
+
+// نفس الحد للمفتاح من الـ body ومن header الـ Idempotency-Key - مفتاح في ذاكرة processedOrders
+const IDEMPOTENCY_KEY_LENGTH = 100;
+
+function cleanIdempotencyKey(key) {
+    return typeof key === 'string' && key ? key.slice(0, IDEMPOTENCY_KEY_LENGTH) : null;
+}
+
+// المخزن وجهة مثل الـ webhooks: فشله وحده لا يرفض الطلب إذا وصل لوجهة أخرى
+async function saveToStore(store, order) {
+    try {
+        await store.add(order);
+        return { type: 'store', ok: true };
+    } catch (error) {
+        console.error(`❌ Saving order ${order.orderId} to the order store failed: ${error.message}`);
+        return { type: 'store', ok: false, error: error.message };
+    }
+}
+
+// بدون مخزن لا يوجد مصدر للأرقام المستخدمة - وإذا تعذرت قراءته فالحفظ فيه سيفشل ويُسجل في saveToStore
+async function isOrderIdTaken(store, orderId) {
+    if (!store) return false;
+
+    try {
+        return Boolean(await store.get(orderId));
+    } catch (error) {
+        console.error(`❌ Checking order ID ${orderId} in the order store failed: ${error.message}`);
+        return false;
+    }
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return methodNotAllowed(res, ['POST']);
+    }
+
+    const body = readJsonBody(req);
+    const idempotencyKey = cleanIdempotencyKey(body && body.idempotencyKey)
+        || cleanIdempotencyKey(req.headers['idempotency-key']);
+
+    if (idempotencyKey) {
+        const processed = getProcessedOrder(idempotencyKey);
+        if (processed && processed.orderId) {
+            return res.status(200).json({ success: true, orderId: processed.orderId, duplicate: true });
+        }
+        if (processed) {
+            return res.status(409).json({ success: false, error: 'الطلب قيد المعالجة بالفعل' });
+        }
+    }
+
+    const ipLimit = ipLimiter.hit(getClientIp(req));
+    if (!ipLimit.allowed) {
+        return tooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const validation = validateOrder(body);
+    if (!validation.valid) {
+        return res.status(400).json({ success: false, error: 'بيانات الطلب غير مكتملة', fields: validation.errors });
+    }
+
+    const phoneLimit = phoneLimiter.hit(validation.order.phone);
+    if (!phoneLimit.allowed) {
+        return tooManyRequests(res, phoneLimit.retryAfter);
+    }
+
+    const { coupon } = validation;
+    if (coupon && !couponUsage.canUse(coupon, validation.order.phone)) {
+        return res.status(400).json({
+            success: false,
+            error: 'بيانات الطلب غير مكتملة',
+            fields: { couponCode: 'تم استخدام كود الخصم بالفعل لهذا الرقم' }
+        });
+    }
+
+    const destinations = getDestinations();
+    const store = getOrderStore();
+    if (destinations.length === 0 && !store) {
+        console.error('❌ No order destinations configured');
+        return res.status(503).json({ success: false, error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    // المفتاح محجوز قبل أول await حتى تحصل إعادة الإرسال المتزامنة على 409
+    if (idempotencyKey) {
+        processedOrders.set(idempotencyKey, { orderId: null, at: Date.now() });
+    }
+
+    let orderId;
+    try {
+        orderId = await createUniqueOrderId(candidate => isOrderIdTaken(store, candidate));
+    } catch (error) {
+        console.error(`❌ Creating an order ID failed: ${error.message}`);
+        if (idempotencyKey) {
+            processedOrders.delete(idempotencyKey);
+        }
+        return res.status(503).json({ success: false, error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    // leadId من المتصفح يُقبل فقط إذا كان الـ lead المسجل بنفس رقم الطلب - وإلا يبقى الـ lead في المتابعة
+    const { leadId, phone } = validation.order;
+    const order = {
+        ...validation.order,
+        leadId: leadId && getLeadPhone(leadId) === phone ? leadId : null,
+        orderId,
+        receivedAt: new Date().toISOString(),
+        idempotencyKey: idempotencyKey || null
+    };
+
+    const results = await forwardOrder(order, destinations);
+    if (store) {
+        results.push(await saveToStore(store, order));
+    }
+
+    if (!results.some(result => result.ok)) {
+        if (idempotencyKey) {
+            processedOrders.delete(idempotencyKey);
+        }
+        return res.status(502).json({ success: false, error: 'تعذر تسجيل الطلب، يرجى المحاولة مرة أخرى' });
+    }
+
+    if (idempotencyKey) {
+        processedOrders.set(idempotencyKey, { orderId: order.orderId, at: Date.now() });
+    }
+
+    if (coupon) {
+        couponUsage.record(coupon, order.phone);
+    }
+
+    // الزائر كان مسجلاً كطلب غير مكتمل (js/form-draft.js) - فريق المتابعة لا يتصل به
+    // قبل الرد مثل حدث الشراء حتى لا يضيع إذا توقفت الـ function - المدة محدودة بـ LEAD_EVENT_TIMEOUT
+    if (order.leadId) {
+        forgetLead(order.leadId);
+        await sendLeadEvent('lead.recovered', {
+            leadId: order.leadId,
+            orderId: order.orderId,
+            name: order.name,
+            phone: order.phone
+        });
+    }
+
+    // حدث الشراء من الخادم فقط إذا وافق الزائر على التتبع (js/consent.js)
+    // قبل الرد: Vercel قد يوقف الـ function بعد إرسال الرد فيضيع الحدث - المدة محدودة بـ EVENTS_API_TIMEOUT
+    if (body.trackingConsent === 'granted') {
+        await sendPurchaseEvent(order, {
+            ip: getClientIp(req),
+            userAgent: req.headers['user-agent'] || order.userAgent
+        });
+    }
+
+    console.log(`✅ Order ${order.orderId} accepted (${results.filter(result => result.ok).length}/${results.length} destinations)`);
+    return res.status(201).json({ success: true, orderId: order.orderId });
+};
@@ -0,0 +1,56 @@
+// Police 288 API - Real-user performance collection endpoint
+// POST /api/rum: beacon من PerformanceMonitor (navigator.sendBeacon) - يرجع 204 دائماً تقريباً
+// GET /api/rum: تقرير p75 لكل صفحة ونوع جهاز (Authorization: Bearer RUM_REPORT_TOKEN)
+//
+// العينات في ذاكرة الـ instance فقط، وكل عينة تُسجل أيضاً كسطر JSON (rum ...) في logs الـ function
+// لتقرير كامل: node scripts/rum-report.js logs.txt
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { cleanRumSample, aggregateRum } = require('./_lib/rum');
+const { hasBearerToken } = require('./_lib/admin-auth');
+
+const MAX_SAMPLES = 5000;
+const samples = [];
+
+const ipLimiter = new RateLimiter({ limit: 30, windowMs: 10 * 60 * 1000 });
+
+function sendReport(req, res) {
+    if (!hasBearerToken(req, process.env.RUM_REPORT_TOKEN)) {
+        return res.status(401).json({ success: false, error: 'Unauthorized' });
+    }
+
+    return res.status(200).json({
+        success: true,
+        samples: samples.length,
+        since: samples.length > 0 ? samples[0].receivedAt : null,
+        report: aggregateRum(samples)
+    });
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method === 'GET') {
+        return sendReport(req, res);
+    }
+    if (req.method !== 'POST') {
+        return methodNotAllowed(res, ['GET', 'POST']);
+    }
+
+    const ipLimit = ipLimiter.hit(getClientIp(req));
+    if (!ipLimit.allowed) {
+        return tooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    const sample = cleanRumSample(readJsonBody(req));
+    if (!sample) {
+        return res.status(400).json({ success: false, error: 'Invalid sample' });
+    }
+
+    samples.push(sample);
+    if (samples.length > MAX_SAMPLES) {
+        samples.splice(0, samples.length - MAX_SAMPLES);
+    }
+
+    console.log(`rum ${JSON.stringify(sample)}`);
+    return res.status(204).end();
+};
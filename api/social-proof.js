@@ -0,0 +1,53 @@
+// Police 288 API - Social proof feed endpoint
+// GET /api/social-proof: آخر الطلبات الحقيقية (مجهولة الهوية) وعدد طلبات اليوم لإشعارات الثقة الاجتماعية
+//
+// SOCIAL_PROOF_SOURCE_URL: رابط يرجع الطلبات كـ JSON (مثلاً doGet في Google Apps Script على شيت الطلبات)
+// بديل بدون خادم: node scripts/build-social-proof.js orders.json > social-proof.json وتغيير feedUrl في js/config.js
+
+const { methodNotAllowed } = require('./_lib/http');
+const { buildSocialProofFeed } = require('./_lib/social-proof');
+
+const SOURCE_TIMEOUT = 5000;
+const CACHE_TTL = 5 * 60 * 1000;
+let cache = null;
+
+async function fetchSourceOrders(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SOURCE_TIMEOUT);
+
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'GET') {
+        return methodNotAllowed(res, ['GET']);
+    }
+
+    const sourceUrl = process.env.SOCIAL_PROOF_SOURCE_URL;
+    if (!sourceUrl) {
+        return res.status(503).json({ success: false, error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    if (!cache || Date.now() - cache.at > CACHE_TTL) {
+        try {
+            cache = { feed: buildSocialProofFeed(await fetchSourceOrders(sourceUrl)), at: Date.now() };
+        } catch (error) {
+            console.error(`❌ Social proof source failed: ${error.message}`);
+            // feed قديم أفضل من لا شيء، والمتصفح يخفي الإشعارات إذا لم يصل أي feed
+            if (!cache) {
+                return res.status(502).json({ success: false, error: 'تعذر تحميل البيانات' });
+            }
+        }
+    }
+
+    res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+    return res.status(200).json(cache.feed);
+};
@@ -0,0 +1,66 @@
+// Police 288 API - Customer order tracking endpoint
+// POST /api/track { orderId, phone }: حالة الطلب لصفحة track.html
+// الطلب يظهر فقط برقم الطلب + رقم الهاتف معاً، ونفس الرد للطلب غير الموجود والهاتف الخطأ
+// حد عام لكل IP، وحدود للمحاولات الفاشلة فقط لكل IP ولكل هاتف حتى لا يمكن تخمين أرقام الطلبات
+// بدون أن يستطيع أي شخص إيقاف التتبع لعميل بمجرد تكرار البحث برقم هاتفه
+
+const { getClientIp, readJsonBody, methodNotAllowed, tooManyRequests } = require('./_lib/http');
+const { RateLimiter } = require('./_lib/rate-limit');
+const { getOrderStore } = require('./_lib/order-store');
+const { validateTrackingRequest, getTrackingView } = require('./_lib/order-tracking');
+
+const ipLimiter = new RateLimiter({ limit: 20, windowMs: 10 * 60 * 1000 });
+const failureLimiter = new RateLimiter({ limit: 5, windowMs: 60 * 60 * 1000 });
+const phoneFailureLimiter = new RateLimiter({ limit: 10, windowMs: 60 * 60 * 1000 });
+
+module.exports = async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return methodNotAllowed(res, ['POST']);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    const ip = getClientIp(req);
+    const ipLimit = ipLimiter.hit(ip);
+    if (!ipLimit.allowed) {
+        return tooManyRequests(res, ipLimit.retryAfter);
+    }
+
+    // بعد عدة محاولات فاشلة من نفس الـ IP يتوقف البحث تماماً حتى نهاية المدة
+    const failureLimit = failureLimiter.peek(ip);
+    if (!failureLimit.allowed) {
+        return tooManyRequests(res, failureLimit.retryAfter);
+    }
+
+    const request = validateTrackingRequest(readJsonBody(req));
+    if (!request.valid) {
+        return res.status(400).json({ success: false, code: request.code, error: request.error });
+    }
+
+    // تخمين أرقام الطلبات لنفس الهاتف من عدة IPs
+    const phoneFailureLimit = phoneFailureLimiter.peek(request.phone);
+    if (!phoneFailureLimit.allowed) {
+        return tooManyRequests(res, phoneFailureLimit.retryAfter);
+    }
+
+    const store = getOrderStore();
+    if (!store) {
+        return res.status(503).json({ success: false, code: 'unavailable', error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    let order;
+    try {
+        order = await store.get(request.orderId);
+    } catch (error) {
+        console.error(`❌ Order tracking failed: ${error.message}`);
+        return res.status(500).json({ success: false, code: 'unavailable', error: 'الخدمة غير متاحة حالياً' });
+    }
+
+    if (!order || order.phone !== request.phone) {
+        failureLimiter.hit(ip);
+        phoneFailureLimiter.hit(request.phone);
+        return res.status(404).json({ success: false, code: 'notFound', error: 'لم نعثر على طلب بهذا الرقم وهذا الهاتف' });
+    }
+
+    return res.status(200).json({ success: true, order: getTrackingView(order) });
+};
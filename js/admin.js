@@ -0,0 +1,373 @@
+// Police 288 Admin Dashboard - v2.2.0
+// لوحة فريق التنفيذ (admin.html): الطلبات من مخزن الطلبات عبر /api/admin-orders
+// بحث وفلاتر، تغيير الحالة (جديد → تأكيد بالهاتف → شحن → تسليم / مرتجع / إلغاء)، ملاحظات، وإجراءات جماعية
+// الـ token في sessionStorage فقط - يُطلب مرة أخرى عند فتح تبويب جديد
+
+const ADMIN_TOKEN_KEY = 'police288_admin_token';
+const ADMIN_AUTHOR_KEY = 'police288_admin_author';
+const ADMIN_ENDPOINT = '/api/admin-orders';
+
+const adminNumberFormat = new Intl.NumberFormat('ar-EG-u-nu-latn');
+const adminDateFormat = new Intl.DateTimeFormat('ar-EG-u-nu-latn', {
+    timeZone: 'Africa/Cairo',
+    day: 'numeric',
+    month: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+});
+
+// عنصر DOM بالنص فقط (textContent) - بيانات العملاء لا تُكتب كـ HTML أبداً
+function createElement(tag, props = {}, children = []) {
+    const element = document.createElement(tag);
+    Object.entries(props).forEach(([key, value]) => {
+        if (key === 'text') {
+            element.textContent = value;
+        } else if (key === 'className') {
+            element.className = value;
+        } else if (key.startsWith('on')) {
+            element.addEventListener(key.slice(2).toLowerCase(), value);
+        } else if (value !== undefined && value !== null && value !== false) {
+            element.setAttribute(key, value === true ? '' : value);
+        }
+    });
+    children.filter(Boolean).forEach(child => element.append(child));
+    return element;
+}
+
+function formatAdminAmount(amount) {
+    return `${adminNumberFormat.format(amount || 0)} جنيه`;
+}
+
+function formatAdminDate(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '-' : adminDateFormat.format(date);
+}
+
+function getStatusLabel(status) {
+    const info = ORDER_STATUSES[status];
+    return info ? `${info.icon} ${info.label}` : status;
+}
+
+class AdminDashboard {
+    constructor() {
+        this.token = sessionStorage.getItem(ADMIN_TOKEN_KEY) || '';
+        this.orders = [];
+        this.selected = new Set();
+    }
+
+    get author() {
+        return document.getElementById('adminAuthor').value.trim();
+    }
+
+    async request(method, body) {
+        const query = method === 'GET' ? `?${new URLSearchParams(this.getFilters())}` : '';
+        const response = await fetch(ADMIN_ENDPOINT + query, {
+            method,
+            headers: {
+                Authorization: `Bearer ${this.token}`,
+                ...(body ? { 'Content-Type': 'application/json' } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+            this.logout(data.error || 'غير مصرح');
+            throw new Error(data.error || 'غير مصرح');
+        }
+        if (!response.ok && !data.failed) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        return data;
+    }
+
+    getFilters() {
+        const filters = {};
+        new FormData(document.getElementById('adminFilters')).forEach((value, key) => {
+            if (String(value).trim()) {
+                filters[key] = String(value).trim();
+            }
+        });
+        return filters;
+    }
+
+    setMessage(text, isError = false) {
+        const message = document.getElementById('adminMessage');
+        message.textContent = text;
+        message.classList.toggle('error', isError);
+    }
+
+    // الدخول
+    showLogin(error = '') {
+        document.getElementById('adminLogin').hidden = false;
+        document.getElementById('adminApp').hidden = true;
+        document.getElementById('adminLoginError').textContent = error;
+    }
+
+    async login(token) {
+        this.token = token;
+        try {
+            await this.load();
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, token);
+            document.getElementById('adminLogin').hidden = true;
+            document.getElementById('adminApp').hidden = false;
+        } catch (error) {
+            this.showLogin(error.message);
+        }
+    }
+
+    logout(error = '') {
+        this.token = '';
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY);
+        this.showLogin(error);
+    }
+
+    // البيانات
+    async load() {
+        this.setMessage('⏳ جاري التحميل...');
+        const data = await this.request('GET');
+
+        this.orders = data.orders;
+        this.selected = new Set(Array.from(this.selected).filter(orderId => this.orders.some(order => order.orderId === orderId)));
+        this.renderCampaigns(data.campaigns);
+        this.renderDailyTotals(data.dailyTotals);
+        this.renderOrders();
+
+        this.setMessage(data.total > data.orders.length
+            ? `عرض ${adminNumberFormat.format(data.orders.length)} من ${adminNumberFormat.format(data.total)} طلب - استخدم الفلاتر لتضييق النتائج`
+            : `${adminNumberFormat.format(data.total)} طلب`);
+    }
+
+    async update(orderIds, { status, note, shipment }) {
+        try {
+            const data = await this.request('PATCH', { orderIds, status, note, shipment, author: this.author });
+            data.updated.forEach(updated => {
+                const index = this.orders.findIndex(order => order.orderId === updated.orderId);
+                if (index !== -1) this.orders[index] = updated;
+            });
+            this.renderOrders();
+
+            const failed = data.failed.map(result => `#${result.orderId}: ${result.error}`).join('\n');
+            this.setMessage(failed
+                ? `✅ تم تحديث ${data.updated.length} طلب - ⚠️ لم يتم تحديث:\n${failed}`
+                : `✅ تم تحديث ${data.updated.length} طلب`, Boolean(failed));
+            return data.updated.length > 0;
+        } catch (error) {
+            this.setMessage(`❌ ${error.message}`, true);
+            return false;
+        }
+    }
+
+    // العرض
+    renderCampaigns(campaigns) {
+        const select = document.getElementById('filterCampaign');
+        const current = select.value;
+        select.replaceChildren(
+            createElement('option', { value: '', text: 'كل الحملات' }),
+            ...campaigns.map(campaign => createElement('option', { value: campaign, text: campaign }))
+        );
+        select.value = campaigns.includes(current) ? current : '';
+    }
+
+    renderDailyTotals(dailyTotals) {
+        const body = document.getElementById('dailyTotalsBody');
+        body.replaceChildren(...dailyTotals.map(day => createElement('tr', {}, [
+            createElement('td', { text: day.date }),
+            createElement('td', { text: adminNumberFormat.format(day.orders) }),
+            createElement('td', { text: adminNumberFormat.format(day.pieces) }),
+            createElement('td', { text: formatAdminAmount(day.revenue) }),
+            createElement('td', {
+                text: Object.entries(day.byStatus)
+                    .map(([status, count]) => `${getStatusLabel(status)}: ${adminNumberFormat.format(count)}`)
+                    .join(' · ')
+            })
+        ])));
+    }
+
+    renderOrders() {
+        const body = document.getElementById('ordersBody');
+        body.replaceChildren(...this.orders.map(order => this.renderOrder(order)));
+        this.updateSelection();
+    }
+
+    renderOrder(order) {
+        const campaign = (order.attribution && order.attribution.lastTouch && order.attribution.lastTouch.utm_campaign)
+            || (order.attribution && order.attribution.firstTouch && order.attribution.firstTouch.utm_campaign)
+            || '-';
+        const governorate = getGovernorate(order.governorate);
+        const nextStatuses = (ORDER_STATUSES[order.status] || { next: [] }).next;
+
+        return createElement('tr', { 'data-order-id': order.orderId }, [
+            createElement('td', {}, [createElement('input', {
+                type: 'checkbox',
+                'aria-label': `تحديد الطلب ${order.orderId}`,
+                checked: this.selected.has(order.orderId),
+                onChange: event => this.toggle(order.orderId, event.target.checked)
+            })]),
+            createElement('td', {}, [
+                createElement('strong', { text: `#${order.orderId}` }),
+                createElement('div', { className: 'muted', text: formatAdminDate(order.receivedAt) })
+            ]),
+            createElement('td', {}, [
+                createElement('div', { text: order.name }),
+                createElement('a', { href: `tel:${order.phone}`, dir: 'ltr', text: order.phone })
+            ]),
+            createElement('td', {}, [
+                createElement('div', { text: governorate ? governorate.name : order.governorateName }),
+                createElement('div', { className: 'muted', text: order.city })
+            ]),
+            createElement('td', {}, [
+                // offer في الطلبات المحفوظة قبل offerLabel
+                createElement('div', { text: order.offerLabel || order.offer }),
+                createElement('div', { className: 'muted', text: formatAdminAmount(order.totalValue) })
+            ]),
+            createElement('td', { text: campaign }),
+            createElement('td', {}, [
+                createElement('span', { className: `status-badge status-${order.status}`, text: getStatusLabel(order.status) }),
+                order.shipment ? createElement('div', { className: 'muted', text: `${order.shipment.courier} ${order.shipment.reference}`.trim() }) : null
+            ]),
+            createElement('td', { className: 'row-actions' }, [
+                ...nextStatuses.map(status => createElement('button', {
+                    type: 'button',
+                    className: 'status-btn',
+                    text: getStatusLabel(status),
+                    onClick: () => this.update([order.orderId], { status })
+                })),
+                this.renderOrderDetails(order)
+            ])
+        ]);
+    }
+
+    // العنوان والملاحظات وسجل الحالات + إضافة ملاحظة
+    renderOrderDetails(order) {
+        const noteInput = createElement('input', { type: 'text', placeholder: 'ملاحظة (مثلاً: لم يرد، اتصل بعد 5 مساءً)', maxlength: '1000' });
+        const history = (order.statusHistory || []).map(entry => createElement('li', {
+            text: `${formatAdminDate(entry.at)} - ${getStatusLabel(entry.status)}${entry.author ? ` (${entry.author})` : ''}`
+        }));
+        const courierInput = createElement('input', { type: 'text', placeholder: 'شركة الشحن', maxlength: '60', value: order.shipment ? order.shipment.courier : '' });
+        const referenceInput = createElement('input', { type: 'text', placeholder: 'رقم الشحنة', maxlength: '60', dir: 'ltr', value: order.shipment ? order.shipment.reference : '' });
+        const notes = (order.notes || []).map(note => createElement('li', {
+            text: `${formatAdminDate(note.at)}${note.author ? ` - ${note.author}` : ''}: ${note.text}`
+        }));
+
+        return createElement('details', { className: 'order-details' }, [
+            createElement('summary', { text: `📝 التفاصيل${notes.length ? ` (${notes.length})` : ''}` }),
+            createElement('p', { text: `📍 ${order.address}` }),
+            order.landmark ? createElement('p', { text: `🏷️ ${order.landmark}` }) : null,
+            order.whatsapp ? createElement('p', { text: `💬 واتساب: ${order.whatsapp}` }) : null,
+            order.couponCode ? createElement('p', { text: `🎟️ ${order.couponCode}` }) : null,
+            createElement('h4', { text: 'الشحنة (تظهر للعميل في صفحة التتبع)' }),
+            createElement('form', {
+                className: 'note-form',
+                onSubmit: event => {
+                    event.preventDefault();
+                    if (referenceInput.value.trim()) {
+                        this.update([order.orderId], {
+                            shipment: { courier: courierInput.value.trim(), reference: referenceInput.value.trim() }
+                        });
+                    }
+                }
+            }, [courierInput, referenceInput, createElement('button', { type: 'submit', text: 'حفظ' })]),
+            createElement('h4', { text: 'السجل' }),
+            createElement('ul', {}, history),
+            createElement('h4', { text: 'الملاحظات' }),
+            notes.length ? createElement('ul', {}, notes) : createElement('p', { className: 'muted', text: 'لا توجد ملاحظات' }),
+            createElement('form', {
+                className: 'note-form',
+                onSubmit: async event => {
+                    event.preventDefault();
+                    if (noteInput.value.trim() && await this.update([order.orderId], { note: noteInput.value.trim() })) {
+                        noteInput.value = '';
+                    }
+                }
+            }, [noteInput, createElement('button', { type: 'submit', text: 'إضافة' })])
+        ]);
+    }
+
+    // التحديد والإجراءات الجماعية
+    toggle(orderId, checked) {
+        if (checked) {
+            this.selected.add(orderId);
+        } else {
+            this.selected.delete(orderId);
+        }
+        this.updateSelection();
+    }
+
+    updateSelection() {
+        const count = this.selected.size;
+        document.getElementById('bulkCount').textContent = `${adminNumberFormat.format(count)} طلب محدد`;
+        document.getElementById('bulkApply').disabled = count === 0;
+
+        const selectAll = document.getElementById('selectAll');
+        selectAll.checked = count > 0 && count === this.orders.length;
+        selectAll.indeterminate = count > 0 && count < this.orders.length;
+    }
+
+    async applyBulk() {
+        const status = document.getElementById('bulkStatus').value;
+        const noteInput = document.getElementById('bulkNote');
+        const note = noteInput.value.trim();
+        if (!status && !note) {
+            this.setMessage('اختر حالة أو اكتب ملاحظة', true);
+            return;
+        }
+
+        if (await this.update(Array.from(this.selected), { status, note })) {
+            noteInput.value = '';
+            this.selected.clear();
+            this.renderOrders();
+        }
+    }
+
+    initFilters() {
+        const governorateSelect = document.getElementById('filterGovernorate');
+        EGYPT_GOVERNORATES.forEach(governorate => {
+            governorateSelect.append(createElement('option', { value: governorate.id, text: governorate.name }));
+        });
+
+        ['filterStatus', 'bulkStatus'].forEach(id => {
+            const select = document.getElementById(id);
+            Object.keys(ORDER_STATUSES).forEach(status => {
+                select.append(createElement('option', { value: status, text: getStatusLabel(status) }));
+            });
+        });
+
+        document.getElementById('adminFilters').addEventListener('submit', event => {
+            event.preventDefault();
+            this.load().catch(error => this.setMessage(`❌ ${error.message}`, true));
+        });
+        document.getElementById('adminFilters').addEventListener('reset', () => {
+            setTimeout(() => this.load().catch(error => this.setMessage(`❌ ${error.message}`, true)));
+        });
+    }
+
+    init() {
+        this.initFilters();
+
+        const authorInput = document.getElementById('adminAuthor');
+        authorInput.value = localStorage.getItem(ADMIN_AUTHOR_KEY) || '';
+        authorInput.addEventListener('change', () => localStorage.setItem(ADMIN_AUTHOR_KEY, authorInput.value.trim()));
+
+        document.getElementById('adminLoginForm').addEventListener('submit', event => {
+            event.preventDefault();
+            this.login(document.getElementById('adminToken').value.trim());
+        });
+        document.getElementById('adminLogout').addEventListener('click', () => this.logout());
+
+        document.getElementById('selectAll').addEventListener('change', event => {
+            this.selected = new Set(event.target.checked ? this.orders.map(order => order.orderId) : []);
+            this.renderOrders();
+        });
+        document.getElementById('bulkApply').addEventListener('click', () => this.applyBulk());
+
+        if (this.token) {
+            this.login(this.token);
+        } else {
+            this.showLogin();
+        }
+    }
+}
+
+const adminDashboard = new AdminDashboard();
+document.addEventListener('DOMContentLoaded', () => adminDashboard.init());
@@ -0,0 +1,344 @@
+// Police 288 Analytics - v2.2.0
+// طبقة تتبع واحدة: الكود يرسل أحداثاً بصيغة موحدة، وكل adapter يحولها لصيغة منصته (TikTok / Meta / GA4 / Snap)
+// الإعدادات في js/config.js، والموافقة من js/consent.js، ومتغيرات اختبارات A/B من js/experiments.js
+
+const ANALYTICS_DEBUG_KEY = 'police288_analytics_debug';
+
+// الأحداث المعتمدة - أي حدث آخر يتم تجاهله مع تحذير حتى لا تختلف الأسماء بين الصفحات
+const ANALYTICS_EVENTS = [
+    'ViewContent',
+    'AddToCart',
+    'InitiateCheckout',
+    'Purchase',
+    'VideoComplete',
+    'GalleryInteraction'
+];
+
+function loadExternalScript(src) {
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = src;
+    document.head.appendChild(script);
+}
+
+const ANALYTICS_ADAPTERS = {
+    // البكسل يُحمّل دائماً ويحتفظ بالأحداث بنفسه حتى الموافقة (holdConsent)
+    tiktok: {
+        holdsEventsUntilConsent: true,
+        events: {
+            ViewContent: ['ViewContent'],
+            AddToCart: ['AddToCart'],
+            InitiateCheckout: ['InitiateCheckout'],
+            Purchase: ['CompletePayment', 'Purchase'],
+            VideoComplete: ['CompleteRegistration'],
+            GalleryInteraction: ['ClickButton']
+        },
+        load(config) {
+            ttq.load(config.pixelId);
+        },
+        setConsent(status) {
+            if (status === 'granted') {
+                ttq.grantConsent();
+            } else if (status === 'denied') {
+                ttq.revokeConsent();
+            } else {
+                ttq.holdConsent();
+            }
+        },
+        page() {
+            ttq.page();
+        },
+        track(event) {
+            const { params } = event;
+            const payload = {
+                content_type: params.contentType,
+                content_id: params.contentId,
+                content_name: params.contentName,
+                currency: params.currency,
+                ...params.extra
+            };
+            if (params.value !== undefined) payload.value = String(params.value);
+            if (params.quantity !== undefined) payload.quantity = params.quantity;
+            if (params.orderId) payload.order_id = params.orderId;
+            if (params.experiments) payload.experiments = params.experiments;
+
+            (this.events[event.name] || []).forEach(name => {
+                ttq.track(name, payload, { event_id: event.eventId });
+            });
+        }
+    },
+
+    meta: {
+        events: {
+            ViewContent: 'ViewContent',
+            AddToCart: 'AddToCart',
+            InitiateCheckout: 'InitiateCheckout',
+            Purchase: 'Purchase'
+        },
+        load(config) {
+            if (!window.fbq) {
+                const fbq = window.fbq = function() {
+                    fbq.callMethod ? fbq.callMethod.apply(fbq, arguments) : fbq.queue.push(arguments);
+                };
+                window._fbq = fbq;
+                fbq.push = fbq;
+                fbq.loaded = true;
+                fbq.version = '2.0';
+                fbq.queue = [];
+                loadExternalScript('https://connect.facebook.net/en_US/fbevents.js');
+            }
+            window.fbq('init', config.pixelId);
+        },
+        setConsent(status) {
+            window.fbq('consent', status === 'granted' ? 'grant' : 'revoke');
+        },
+        page() {
+            window.fbq('track', 'PageView');
+        },
+        track(event) {
+            const { params } = event;
+            const payload = {
+                content_ids: [params.contentId],
+                content_name: params.contentName,
+                content_type: 'product',
+                currency: params.currency
+            };
+            if (params.value !== undefined) payload.value = params.value;
+            if (params.quantity !== undefined) payload.num_items = params.quantity;
+            if (params.experiments) payload.experiments = params.experiments;
+
+            const standardName = this.events[event.name];
+            window.fbq(standardName ? 'track' : 'trackCustom', standardName || event.name, payload, { eventID: event.eventId });
+        }
+    },
+
+    ga4: {
+        events: {
+            ViewContent: 'view_item',
+            AddToCart: 'add_to_cart',
+            InitiateCheckout: 'begin_checkout',
+            Purchase: 'purchase',
+            VideoComplete: 'video_complete',
+            GalleryInteraction: 'select_content'
+        },
+        load(config) {
+            window.dataLayer = window.dataLayer || [];
+            window.gtag = window.gtag || function() { window.dataLayer.push(arguments); };
+            window.gtag('consent', 'default', {
+                ad_storage: 'denied',
+                ad_user_data: 'denied',
+                ad_personalization: 'denied',
+                analytics_storage: 'denied'
+            });
+            window.gtag('js', new Date());
+            window.gtag('config', config.measurementId);
+            loadExternalScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(config.measurementId)}`);
+        },
+        setConsent(status) {
+            const value = status === 'granted' ? 'granted' : 'denied';
+            window.gtag('consent', 'update', {
+                ad_storage: value,
+                ad_user_data: value,
+                ad_personalization: value,
+                analytics_storage: value
+            });
+        },
+        page() {
+            // gtag('config') يرسل page_view تلقائياً
+        },
+        track(event) {
+            const { params } = event;
+            const payload = {
+                currency: params.currency,
+                items: [{
+                    item_id: params.contentId,
+                    item_name: params.contentName,
+                    quantity: params.quantity || 1
+                }]
+            };
+            if (params.value !== undefined) payload.value = params.value;
+            if (params.orderId) payload.transaction_id = params.orderId;
+            if (params.experiments) payload.experiments = params.experiments;
+            if (event.name === 'GalleryInteraction') payload.content_type = params.contentType;
+
+            window.gtag('event', this.events[event.name], payload);
+        }
+    },
+
+    snap: {
+        events: {
+            ViewContent: 'VIEW_CONTENT',
+            AddToCart: 'ADD_CART',
+            InitiateCheckout: 'START_CHECKOUT',
+            Purchase: 'PURCHASE'
+        },
+        load(config) {
+            if (!window.snaptr) {
+                const snaptr = window.snaptr = function() {
+                    snaptr.handleRequest ? snaptr.handleRequest.apply(snaptr, arguments) : snaptr.queue.push(arguments);
+                };
+                snaptr.queue = [];
+                loadExternalScript('https://sc-static.net/scevent.min.js');
+            }
+            window.snaptr('init', config.pixelId);
+        },
+        setConsent() {
+            // لا يوجد consent API - البكسل لا يُحمّل أصلاً قبل الموافقة
+        },
+        page() {
+            window.snaptr('track', 'PAGE_VIEW');
+        },
+        track(event) {
+            const name = this.events[event.name];
+            if (!name) return;
+
+            const { params } = event;
+            const payload = {
+                currency: params.currency,
+                item_ids: [params.contentId],
+                client_dedup_id: event.eventId
+            };
+            if (params.value !== undefined) payload.price = params.value;
+            if (params.quantity !== undefined) payload.number_items = params.quantity;
+            if (params.orderId) payload.transaction_id = params.orderId;
+
+            window.snaptr('track', name, payload);
+        }
+    },
+
+    // وضع الاختبار: يعرض الأحداث في الـ console بدلاً من إرسالها
+    debug: {
+        holdsEventsUntilConsent: true,
+        load() {
+            console.log('🧪 Analytics debug mode - no pixels will fire');
+        },
+        setConsent(status) {
+            console.log('🧪 [analytics] consent:', status);
+        },
+        page() {
+            console.log('🧪 [analytics] PageView', window.location.pathname);
+        },
+        track(event) {
+            console.log(`🧪 [analytics] ${event.name}`, event.params, { eventId: event.eventId });
+        }
+    }
+};
+
+class Analytics {
+    constructor(config) {
+        this.config = config;
+        this.adapters = [];
+        this.pendingEvents = []; // أحداث قبل اختيار الزائر للـ adapters التي لا تحتفظ بالأحداث بنفسها
+        this.initialized = false;
+    }
+
+    isDebug() {
+        try {
+            const param = new URLSearchParams(window.location.search).get('analytics_debug');
+            if (param === '1') localStorage.setItem(ANALYTICS_DEBUG_KEY, '1');
+            if (param === '0') localStorage.removeItem(ANALYTICS_DEBUG_KEY);
+            return this.config.debug || localStorage.getItem(ANALYTICS_DEBUG_KEY) === '1';
+        } catch (error) {
+            return this.config.debug;
+        }
+    }
+
+    init() {
+        if (this.initialized) return;
+        this.initialized = true;
+
+        if (this.isDebug()) {
+            this.adapters = [{ name: 'debug', adapter: ANALYTICS_ADAPTERS.debug, config: {}, loaded: false }];
+        } else {
+            this.adapters = Object.entries(this.config.adapters)
+                .filter(([name, adapterConfig]) => adapterConfig.enabled && ANALYTICS_ADAPTERS[name])
+                .map(([name, adapterConfig]) => ({ name, adapter: ANALYTICS_ADAPTERS[name], config: adapterConfig, loaded: false }));
+        }
+
+        trackingConsent.onChange(status => this.applyConsent(status));
+        this.applyConsent(trackingConsent.getStatus());
+    }
+
+    // تحميل البكسلات حسب الموافقة: TikTok يُحمّل دائماً مع holdConsent، والباقي بعد الموافقة فقط
+    applyConsent(status) {
+        this.adapters.forEach(entry => {
+            const canLoad = entry.adapter.holdsEventsUntilConsent || status === 'granted';
+            if (!entry.loaded && canLoad) {
+                this.safely(entry, () => {
+                    entry.adapter.load(entry.config);
+                    entry.adapter.setConsent(status);
+                    entry.adapter.page();
+                });
+                entry.loaded = true;
+            } else if (entry.loaded) {
+                this.safely(entry, () => entry.adapter.setConsent(status));
+            }
+        });
+
+        if (status === 'granted') {
+            const events = this.pendingEvents;
+            this.pendingEvents = [];
+            events.forEach(event => this.dispatch(event, entry => !entry.adapter.holdsEventsUntilConsent));
+        } else if (status === 'denied') {
+            this.pendingEvents = [];
+        }
+    }
+
+    createEventId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+
+    // params بالصيغة الموحدة: contentType, contentId, contentName, value, currency, quantity, orderId, experiments, extra
+    track(name, params = {}, options = {}) {
+        if (!ANALYTICS_EVENTS.includes(name)) {
+            console.warn(`⚠️ Unknown analytics event: ${name}`);
+            return null;
+        }
+
+        const event = {
+            name,
+            eventId: options.eventId || this.createEventId(),
+            params: {
+                contentType: 'product',
+                contentId: PRODUCT_CATALOG.product.id,
+                contentName: PRODUCT_CATALOG.product.name,
+                currency: PRODUCT_CATALOG.product.currency,
+                experiments: experiments.getLabel(),
+                ...params
+            }
+        };
+
+        if (trackingConsent.getStatus() === 'denied') {
+            return event.eventId;
+        }
+
+        if (trackingConsent.getStatus() === 'pending') {
+            // TikTok يحتفظ بالحدث بنفسه، والباقي يُرسل عند الموافقة
+            this.dispatch(event, entry => entry.adapter.holdsEventsUntilConsent);
+            this.pendingEvents.push(event);
+        } else {
+            this.dispatch(event, () => true);
+        }
+        return event.eventId;
+    }
+
+    dispatch(event, shouldSend) {
+        this.adapters
+            .filter(entry => entry.loaded && shouldSend(entry))
+            .forEach(entry => this.safely(entry, () => entry.adapter.track(event)));
+    }
+
+    // خطأ في بكسل منصة واحدة لا يوقف باقي المنصات أو الصفحة
+    safely(entry, callback) {
+        try {
+            callback();
+        } catch (error) {
+            console.error(`❌ Analytics adapter "${entry.name}" failed:`, error);
+        }
+    }
+}
+
+const analytics = new Analytics(SITE_CONFIG.analytics);
@@ -0,0 +1,95 @@
+// Police 288 Marketing Attribution - v2.2.0
+// مصدر الزيارة (UTM, ttclid, fbclid, referrer) عند أول وآخر زيارة من حملة، ويُرسل مع كل طلب
+// حتى نعرف الإيرادات لكل حملة ومؤثر في Make.com والشيت
+
+const ATTRIBUTION_STORAGE_KEY = 'police288_attribution';
+const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_content', 'utm_term', 'ttclid', 'fbclid'];
+
+class Attribution {
+    constructor(config) {
+        this.window = config.windowDays * 24 * 60 * 60 * 1000;
+        this.state = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(ATTRIBUTION_STORAGE_KEY)) || {};
+            return {
+                firstTouch: this.isFresh(stored.firstTouch) ? stored.firstTouch : null,
+                lastTouch: this.isFresh(stored.lastTouch) ? stored.lastTouch : null
+            };
+        } catch (error) {
+            return { firstTouch: null, lastTouch: null };
+        }
+    }
+
+    isFresh(touch) {
+        return Boolean(touch && Date.now() - Date.parse(touch.landedAt) < this.window);
+    }
+
+    // الـ referrer من موقع آخر فقط، بدون query string (قد تحتوي بيانات شخصية)
+    getExternalReferrer() {
+        if (!document.referrer) return '';
+
+        try {
+            const referrer = new URL(document.referrer);
+            if (referrer.host === window.location.host) return '';
+            return `${referrer.origin}${referrer.pathname}`.slice(0, 300);
+        } catch (error) {
+            return '';
+        }
+    }
+
+    getCurrentTouch() {
+        const params = new URLSearchParams(window.location.search);
+        const touch = {};
+
+        ATTRIBUTION_PARAMS.forEach(param => {
+            const value = params.get(param);
+            if (value) {
+                touch[param] = value.trim().slice(0, 300);
+            }
+        });
+
+        const referrer = this.getExternalReferrer();
+        if (referrer) {
+            touch.referrer = referrer;
+        }
+
+        // زيارة مباشرة أو تنقل داخل الموقع لا تغير مصدر الزيارة
+        if (Object.keys(touch).length === 0) return null;
+
+        return {
+            ...touch,
+            landingPage: window.location.pathname,
+            landedAt: new Date().toISOString()
+        };
+    }
+
+    capture() {
+        const touch = this.getCurrentTouch();
+        if (!touch) return;
+
+        if (!this.state.firstTouch) {
+            this.state.firstTouch = touch;
+        }
+        this.state.lastTouch = touch;
+
+        // عند رفض التتبع نستخدم مصدر الزيارة الحالية للطلب فقط بدون حفظه
+        if (trackingConsent.getStatus() === 'denied') return;
+
+        try {
+            localStorage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ مصدر الزيارة:', error);
+        }
+    }
+
+    getForOrder() {
+        if (!this.state.firstTouch && !this.state.lastTouch) return null;
+        return { firstTouch: this.state.firstTouch, lastTouch: this.state.lastTouch };
+    }
+}
+
+const attribution = new Attribution(SITE_CONFIG.attribution);
+attribution.capture();
@@ -0,0 +1,278 @@
+// Police 288 Carousel - v2.2.0
+// سلايدر صور قابل لإعادة الاستخدام (أكثر من سلايدر في نفس الصفحة): السحب والأسهم باتجاه الصفحة (RTL / LTR) و ARIA
+// التشغيل التلقائي يتوقف مع prefers-reduced-motion، وعند إخفاء التبويب، وأثناء مرور الماوس أو التركيز على السلايدر
+// الصورة الحالية والمجاورة لها فقط تُحمّل (loading="lazy" ← "eager")، و onChange لمتابعة التنقل (مثل analytics)
+//
+// <div data-carousel aria-label="...">
+//     <div data-carousel-track>
+//         <div data-carousel-slide>...</div>
+//     </div>
+//     <button data-carousel-prev></button> <button data-carousel-next></button>
+//     <button data-carousel-indicator></button> (واحد لكل صورة)
+// </div>
+
+const CAROUSEL_SWIPE_THRESHOLD = 50;
+
+let carouselCount = 0;
+
+class Carousel {
+    // options.autoplay: مدة كل صورة بالملي ثانية (0 = بدون تشغيل تلقائي)
+    constructor(root, options = {}) {
+        this.root = root;
+        this.options = { autoplay: 5000, ...options };
+        this.track = root.querySelector('[data-carousel-track]');
+        this.slides = Array.from(root.querySelectorAll('[data-carousel-slide]'));
+        this.indicators = Array.from(root.querySelectorAll('[data-carousel-indicator]'));
+        this.index = 0;
+        this.timer = null;
+        this.pauseReasons = new Set();
+        this.pointer = null;
+        this.swiped = false;
+        this.listeners = [];
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        if (this.track && this.slides.length > 0) {
+            this.init();
+        }
+    }
+
+    get total() {
+        return this.slides.length;
+    }
+
+    // الاتجاه من الصفحة نفسها - يتغير مع زر اللغة
+    isRtl() {
+        return getComputedStyle(this.root).direction === 'rtl';
+    }
+
+    init() {
+        carouselCount += 1;
+        this.track.id = this.track.id || `carousel-track-${carouselCount}`;
+
+        this.root.setAttribute('role', 'region');
+        this.slides.forEach(slide => slide.setAttribute('role', 'group'));
+        this.root.querySelectorAll('[data-carousel-prev], [data-carousel-next]').forEach(button => {
+            button.setAttribute('aria-controls', this.track.id);
+        });
+
+        this.bindControls();
+        this.bindSwipe();
+        this.bindAutoplayPause();
+        i18n.onChange(() => this.render());
+
+        this.render();
+        this.updateAutoplay();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // cause: button / indicator / keyboard / swipe / autoplay أو ما يمرره من يستدعي goTo (مثل thumbnail)
+    goTo(index, cause = 'api') {
+        if (this.total === 0) return;
+
+        const nextIndex = (index + this.total) % this.total;
+        if (nextIndex === this.index) return;
+
+        const previousIndex = this.index;
+        this.index = nextIndex;
+        this.render();
+        if (cause !== 'autoplay') this.restartAutoplay();
+
+        const event = { index: nextIndex, previousIndex, total: this.total, cause };
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('❌ Carousel listener failed:', error);
+            }
+        });
+    }
+
+    // 1 = التالي، -1 = السابق (بترتيب الصور وليس باتجاه الشاشة)
+    step(direction, cause) {
+        this.goTo(this.index + direction, cause);
+    }
+
+    render() {
+        // في RTL الصور التالية على اليسار فيتحرك الشريط لليمين
+        const offset = this.index * 100 * (this.isRtl() ? 1 : -1);
+        this.track.style.transform = `translateX(${offset}%)`;
+
+        this.root.setAttribute('aria-roledescription', i18n.t('carousel.role'));
+        this.slides.forEach((slide, index) => {
+            slide.setAttribute('aria-roledescription', i18n.t('carousel.slideRole'));
+            slide.setAttribute('aria-label', i18n.t('carousel.slide', {
+                index: i18n.formatNumber(index + 1),
+                total: i18n.formatNumber(this.total)
+            }));
+            // الصور المخفية خارج ترتيب Tab (مثل أزرار فتح الصورة بداخلها)
+            slide.setAttribute('aria-hidden', String(index !== this.index));
+            slide.inert = index !== this.index;
+        });
+        this.indicators.forEach((indicator, index) => {
+            indicator.classList.toggle('active', index === this.index);
+            indicator.setAttribute('aria-label', i18n.t('carousel.goTo', { index: i18n.formatNumber(index + 1) }));
+            if (index === this.index) {
+                indicator.setAttribute('aria-current', 'true');
+            } else {
+                indicator.removeAttribute('aria-current');
+            }
+        });
+
+        this.loadAdjacent();
+    }
+
+    loadAdjacent() {
+        [this.index - 1, this.index, this.index + 1].forEach(index => {
+            const slide = this.slides[(index + this.total) % this.total];
+            slide.querySelectorAll('img[loading="lazy"]').forEach(img => {
+                img.loading = 'eager';
+            });
+        });
+    }
+
+    bindControls() {
+        this.root.querySelectorAll('[data-carousel-prev]').forEach(button => {
+            button.addEventListener('click', () => this.step(-1, 'button'));
+        });
+        this.root.querySelectorAll('[data-carousel-next]').forEach(button => {
+            button.addEventListener('click', () => this.step(1, 'button'));
+        });
+        this.indicators.forEach((indicator, index) => {
+            indicator.addEventListener('click', () => this.goTo(index, 'indicator'));
+        });
+
+        // السهم باتجاه القراءة = الصورة التالية (الأيسر في العربية)
+        this.root.addEventListener('keydown', e => {
+            const forward = this.isRtl() ? 'ArrowLeft' : 'ArrowRight';
+            const backward = this.isRtl() ? 'ArrowRight' : 'ArrowLeft';
+
+            if (e.key === forward) {
+                this.step(1, 'keyboard');
+            } else if (e.key === backward) {
+                this.step(-1, 'keyboard');
+            } else if (e.key === 'Home') {
+                this.goTo(0, 'keyboard');
+            } else if (e.key === 'End') {
+                this.goTo(this.total - 1, 'keyboard');
+            } else {
+                return;
+            }
+            e.preventDefault();
+        });
+    }
+
+    // Pointer events للمس والماوس معاً - التمرير الرأسي للصفحة يبقى للمتصفح (touch-action: pan-y)
+    bindSwipe() {
+        this.root.addEventListener('pointerdown', e => {
+            this.swiped = false;
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.pointer = { id: e.pointerId, x: e.clientX, y: e.clientY };
+            this.pause('drag');
+        });
+
+        this.root.addEventListener('pointerup', e => {
+            if (!this.pointer || e.pointerId !== this.pointer.id) return;
+
+            const deltaX = e.clientX - this.pointer.x;
+            const deltaY = e.clientY - this.pointer.y;
+            this.pointer = null;
+            this.resume('drag');
+
+            if (Math.abs(deltaX) <= Math.abs(deltaY) || Math.abs(deltaX) <= CAROUSEL_SWIPE_THRESHOLD) return;
+
+            // السحب عكس اتجاه القراءة يُظهر الصورة التالية: لليمين في العربية ولليسار في الإنجليزية
+            const towardsNext = this.isRtl() ? deltaX > 0 : deltaX < 0;
+            this.swiped = true;
+            this.step(towardsNext ? 1 : -1, 'swipe');
+        });
+
+        // سحب بالماوس انتهى خارج السلايدر
+        ['pointercancel', 'pointerleave'].forEach(type => {
+            this.root.addEventListener(type, () => {
+                this.pointer = null;
+                this.resume('drag');
+            });
+        });
+
+        // السحب بالماوس لا يفتح الصورة ولا يسحبها كملف
+        this.root.addEventListener('click', e => {
+            if (!this.swiped) return;
+            this.swiped = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+        this.root.addEventListener('dragstart', e => e.preventDefault());
+    }
+
+    bindAutoplayPause() {
+        // الماوس فقط - اللمس يرسل mouseenter بدون mouseleave
+        this.root.addEventListener('pointerenter', e => {
+            if (e.pointerType === 'mouse') this.pause('hover');
+        });
+        this.root.addEventListener('pointerleave', e => {
+            if (e.pointerType === 'mouse') this.resume('hover');
+        });
+        this.root.addEventListener('focusin', () => this.pause('focus'));
+        this.root.addEventListener('focusout', e => {
+            if (!this.root.contains(e.relatedTarget)) this.resume('focus');
+        });
+
+        const onVisibilityChange = () => {
+            if (document.hidden) {
+                this.pause('hidden');
+            } else {
+                this.resume('hidden');
+            }
+        };
+        document.addEventListener('visibilitychange', onVisibilityChange);
+        onVisibilityChange();
+
+        // Safari قبل 14 يدعم addListener فقط على MediaQueryList
+        const onReducedMotionChange = () => this.updateAutoplay();
+        if (this.reducedMotion.addEventListener) {
+            this.reducedMotion.addEventListener('change', onReducedMotionChange);
+        } else {
+            this.reducedMotion.addListener(onReducedMotionChange);
+        }
+    }
+
+    pause(reason) {
+        this.pauseReasons.add(reason);
+        this.updateAutoplay();
+    }
+
+    resume(reason) {
+        this.pauseReasons.delete(reason);
+        this.updateAutoplay();
+    }
+
+    isAutoplaying() {
+        return this.options.autoplay > 0
+            && this.total > 1
+            && !this.reducedMotion.matches
+            && this.pauseReasons.size === 0;
+    }
+
+    // أثناء التشغيل التلقائي لا يُقرأ تغيير الصورة لقارئ الشاشة (aria-live="off")
+    updateAutoplay() {
+        const autoplaying = this.isAutoplaying();
+        this.track.setAttribute('aria-live', autoplaying ? 'off' : 'polite');
+
+        if (!autoplaying) {
+            clearInterval(this.timer);
+            this.timer = null;
+        } else if (!this.timer) {
+            this.timer = setInterval(() => this.step(1, 'autoplay'), this.options.autoplay);
+        }
+    }
+
+    // بعد التنقل اليدوي تبدأ المدة من جديد
+    restartAutoplay() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.updateAutoplay();
+    }
+}
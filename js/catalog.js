@@ -0,0 +1,215 @@
+// Police 288 Product & Offer Catalog - v2.2.0
+// المصدر الوحيد للأسعار: قائمة الكمية، عرض السعر، بيانات الطلب، قيم التتبع، وحساب الإجمالي
+// تغيير السعر = تعديل هذا الملف فقط (يُستخدم في المتصفح وفي الـ API عبر require)
+
+const PRODUCT_CATALOG = {
+    product: {
+        id: 'police-288-3in1',
+        name: 'منتج الصاعق والكشاف والليزر 3 في 1',
+        currency: 'EGP',
+        listPrice: 2000 // السعر قبل الخصم للقطعة الواحدة
+    },
+    offers: [
+        {
+            id: 'single',
+            quantity: 1,
+            price: 1700,
+            label: 'قطعة واحدة',
+            title: 'قطعة واحدة - عرض خاص',
+            badge: '🔥'
+        },
+        {
+            id: 'bundle-2',
+            quantity: 2,
+            price: 2999,
+            label: 'قطعتين',
+            title: 'قطعتين - عرض مميز',
+            badge: '💎'
+        }
+    ],
+    // عروض مجدولة: تستبدل أسعار العروض أعلاه بين startsAt و endsAt فقط، ثم تعود الأسعار تلقائياً
+    // الأوقات بتوقيت القاهرة 'YYYY-MM-DD HH:mm' (التوقيت الصيفي محسوب تلقائياً)، ونهاية اليوم = '00:00' من اليوم التالي
+    //
+    // label: 'نص' أو { ar: '...', en: '...' } حسب لغة الواجهة (js/i18n.js)
+    //
+    // {
+    //     id: 'winter-sale',
+    //     label: { ar: 'عرض الشتاء', en: 'Winter sale' },
+    //     startsAt: '2026-11-01 00:00',
+    //     endsAt: '2026-11-08 00:00',
+    //     offers: {
+    //         single: { price: 1500, badge: '⏰' },
+    //         'bundle-2': { price: 2799, badge: '⏰' }
+    //     }
+    // }
+    schedule: []
+};
+
+// ساعة الأسعار - الاختبارات تستبدلها لتجربة بداية ونهاية العروض:
+// setCatalogClock(() => Date.parse('2026-11-07T23:59:59+02:00'))
+let catalogClock = () => Date.now();
+
+function setCatalogClock(clock) {
+    catalogClock = clock || (() => Date.now());
+}
+
+function getCatalogTime() {
+    return catalogClock();
+}
+
+const CAIRO_TIME_ZONE = 'Africa/Cairo';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let cairoPartsFormatter = null;
+
+// فرق توقيت القاهرة عن UTC (بالمللي ثانية) في لحظة معينة: +2 شتاءً و +3 صيفاً
+function getCairoOffset(timestamp) {
+    cairoPartsFormatter = cairoPartsFormatter || new Intl.DateTimeFormat('en-US', {
+        timeZone: CAIRO_TIME_ZONE,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+
+    const parts = {};
+    cairoPartsFormatter.formatToParts(new Date(timestamp)).forEach(part => {
+        parts[part.type] = Number(part.value);
+    });
+
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// 'YYYY-MM-DD HH:mm' بتوقيت القاهرة -> timestamp
+// ساعة مكررة عند نهاية الصيفي: أول مرة، وساعة غير موجودة عند بدايته: بعد التقديم
+function parseCairoTime(value) {
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) return Date.parse(value);
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/.exec(value || '');
+    if (!match) return NaN;
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+    const offsetBefore = getCairoOffset(wallClock - DAY_MS);
+    const offsetAfter = getCairoOffset(wallClock + DAY_MS);
+
+    const candidates = [offsetBefore, offsetAfter]
+        .map(offset => wallClock - offset)
+        .filter(timestamp => wallClock - getCairoOffset(timestamp) === timestamp);
+
+    return candidates.length > 0 ? Math.min(...candidates) : wallClock - offsetBefore;
+}
+
+// العرض المجدول النشط الآن (أو في لحظة الطلب)، أو null
+function getActiveSchedule(now = getCatalogTime()) {
+    return PRODUCT_CATALOG.schedule.find(entry => {
+        return parseCairoTime(entry.startsAt) <= now && now < parseCairoTime(entry.endsAt);
+    }) || null;
+}
+
+// أقرب لحظة يتغير فيها السعر (بداية أو نهاية عرض مجدول)، أو null
+function getNextPriceChange(now = getCatalogTime()) {
+    const changes = [];
+    PRODUCT_CATALOG.schedule.forEach(entry => {
+        changes.push(parseCairoTime(entry.startsAt), parseCairoTime(entry.endsAt));
+    });
+    const upcoming = changes.filter(time => time > now);
+    return upcoming.length > 0 ? Math.min(...upcoming) : null;
+}
+
+function getOffer(quantity, now = getCatalogTime()) {
+    const offer = PRODUCT_CATALOG.offers.find(item => String(item.quantity) === String(quantity));
+    if (!offer) return null;
+
+    const schedule = getActiveSchedule(now);
+    const override = schedule && schedule.offers[offer.id];
+    if (!override) return offer;
+
+    return {
+        ...offer,
+        ...override,
+        scheduleId: schedule.id,
+        scheduleLabel: schedule.label,
+        endsAt: parseCairoTime(schedule.endsAt)
+    };
+}
+
+// سعر القطعة الواحدة بدون عرض الكمية - أساس حساب خصم الكمية
+function getUnitPrice(now = getCatalogTime()) {
+    return getOffer(1, now).price;
+}
+
+function formatPrice(amount) {
+    return `${amount.toLocaleString('en-US')} جنيه`;
+}
+
+// حساب تفاصيل الطلب - نفس الحساب في النموذج والـ API وصفحة التأكيد
+// at: لحظة تسعير الطلب - صفحة التأكيد والطلبات المؤجلة تُحسب بسعر لحظة الطلب وليس الآن
+function calculateOrderTotals({ quantity, shippingFee = 0, at = getCatalogTime() }) {
+    const offer = getOffer(quantity, at);
+    if (!offer) return null;
+
+    const unitPrice = getUnitPrice(at);
+    const subtotal = offer.quantity * unitPrice;
+    const bundleDiscount = subtotal - offer.price;
+    const totalSavings = offer.quantity * PRODUCT_CATALOG.product.listPrice - offer.price;
+
+    return {
+        offer,
+        quantity: offer.quantity,
+        unitPrice,
+        subtotal,
+        bundleDiscount,
+        price: offer.price,
+        shippingFee,
+        total: offer.price + shippingFee,
+        totalSavings,
+        currency: PRODUCT_CATALOG.product.currency,
+        scheduleId: offer.scheduleId || '',
+        pricedAt: new Date(at).toISOString()
+    };
+}
+
+// حقول السعر في بيانات الطلب: أرقام ومعرفات للـ webhooks، والنصوص العربية للعرض في حقول *Label فقط
+function getOrderPricingFields(totals) {
+    const bundleDiscount = totals.bundleDiscount > 0 ? ` (وفر ${formatPrice(totals.bundleDiscount)})` : '';
+
+    return {
+        offerId: totals.offer.id,
+        offerLabel: `${totals.offer.title}${bundleDiscount}`,
+        price: totals.price,
+        priceLabel: formatPrice(totals.price),
+        totalValue: totals.total,
+        totalSavings: totals.totalSavings,
+        totalSavingsLabel: `${formatPrice(totals.totalSavings)} موفرة`,
+        currency: totals.currency,
+        // العرض المجدول ولحظة التسعير - الخادم يرفض الطلب إذا تغير السعر بينهما
+        offerScheduleId: totals.scheduleId,
+        pricedAt: totals.pricedAt,
+        // كود الخصم إن وجد (js/coupons.js)
+        couponCode: totals.couponCode || '',
+        couponDiscount: totals.couponDiscount || 0,
+        shippingDiscount: totals.shippingDiscount || 0
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRODUCT_CATALOG,
+        setCatalogClock,
+        getCatalogTime,
+        getCairoOffset,
+        parseCairoTime,
+        getActiveSchedule,
+        getNextPriceChange,
+        getOffer,
+        getUnitPrice,
+        formatPrice,
+        calculateOrderTotals,
+        getOrderPricingFields
+    };
+}
@@ -0,0 +1,123 @@
+// Police 288 Site Config - v2.2.0
+// إعدادات خاصة بكل نشر (deployment): معرفات البكسلات وأي خيارات تختلف بين المواقع
+// يُحمّل في <head> قبل js/analytics.js
+
+const SITE_CONFIG = {
+    analytics: {
+        // ?analytics_debug=1 يفعّل وضع الاختبار على هذا المتصفح: الأحداث تظهر في الـ console فقط بدون إرسال للبكسلات
+        debug: false,
+        adapters: {
+            tiktok: {
+                enabled: true,
+                pixelId: 'D1CPEFBC77UEHH7Q6CVG'
+            },
+            meta: {
+                enabled: false,
+                pixelId: ''
+            },
+            ga4: {
+                enabled: false,
+                measurementId: ''
+            },
+            snap: {
+                enabled: false,
+                pixelId: ''
+            }
+        }
+    },
+    attribution: {
+        // مدة تذكر مصدر الزيارة (الحملة / المؤثر) بالأيام
+        windowDays: 30
+    },
+    rum: {
+        // قياسات الأداء من أجهزة الزوار الفعلية (PerformanceMonitor في script.js)
+        enabled: true,
+        endpoint: '/api/rum',
+        sampleRate: 1 // 0.25 = ربع الزيارات فقط
+    },
+    leads: {
+        // حفظ بيانات النموذج على الجهاز + إرسال الطلبات غير المكتملة لفريق المتابعة (js/form-draft.js)
+        enabled: true,
+        endpoint: '/api/leads',
+        draftTtlDays: 7
+    },
+    socialProof: {
+        // إشعارات "طلب الآن" وعدادات .stat-number من طلبات حقيقية (js/social-proof-feed.js)
+        // feedUrl: '/api/social-proof' أو ملف ثابت مثل 'social-proof.json' (scripts/build-social-proof.js)
+        enabled: true,
+        feedUrl: '/api/social-proof',
+        minRecentOrders: 3, // أقل من ذلك: رسائل مجمعة فقط ("5 طلبات اليوم من القاهرة")
+        maxAgeHours: 48
+    },
+    whatsapp: {
+        // رقم واتساب المتجر بالصيغة الدولية (js/whatsapp.js) - يظهر في صفحة التأكيد وصفحة التتبع ورسالة فشل الإرسال
+        phone: '201023629969',
+        // رسائل جاهزة يرسلها العميل بضغطة واحدة: {orderId} {name} {phone} {quantity} {total} {address}
+        templates: {
+            // صفحة التأكيد بعد وصول الطلب
+            orderConfirm: {
+                ar: 'مرحباً، أريد تأكيد طلبي رقم #{orderId}\n👤 الاسم: {name}\n📦 الكمية: {quantity}\n💰 الإجمالي: {total}\n📍 العنوان: {address}',
+                en: 'Hello, I would like to confirm my order #{orderId}\n👤 Name: {name}\n📦 Quantity: {quantity}\n💰 Total: {total}\n📍 Address: {address}'
+            },
+            // الطلب لم يصل للخادم (فشل الإرسال أو ينتظر المزامنة) - الرسالة نفسها هي الطلب
+            orderRequest: {
+                ar: 'مرحباً، أريد طلب منتج الصاعق والكشاف والليزر 3 في 1 (الدفع عند الاستلام)\n👤 الاسم: {name}\n📱 الهاتف: {phone}\n📦 الكمية: {quantity}\n💰 الإجمالي: {total}\n📍 العنوان: {address}',
+                en: 'Hello, I would like to order the 3-in-1 stun gun flashlight (cash on delivery)\n👤 Name: {name}\n📱 Phone: {phone}\n📦 Quantity: {quantity}\n💰 Total: {total}\n📍 Address: {address}'
+            }
+        }
+    },
+    i18n: {
+        // لغات الواجهة (js/i18n.js) - النصوص في js/i18n/<lang>.js، و ?lang=en لفتح الصفحة بالإنجليزية
+        defaultLanguage: 'ar',
+        languages: ['ar', 'en']
+    },
+    // اختبارات A/B (js/experiments.js) - المناطق المتاحة في index.html:
+    // headline, hero-media, price, cta - وخيار socialProof لإشعارات الثقة الاجتماعية
+    // نصوص التغييرات: 'نص' أو { ar: '...', en: '...' } حسب لغة الزائر
+    experiments: [
+        {
+            id: 'headline-protection',
+            enabled: false,
+            traffic: 100,
+            variants: [
+                { id: 'control', weight: 50 },
+                {
+                    id: 'protection',
+                    weight: 50,
+                    changes: {
+                        headline: {
+                            text: {
+                                ar: '🛡️ احمِ نفسك وعائلتك - صاعق وكشاف وليزر في جهاز واحد',
+                                en: '🛡️ Protect yourself and your family - stun gun, flashlight and laser in one device'
+                            }
+                        }
+                    }
+                }
+            ]
+        },
+        {
+            id: 'cta-copy',
+            enabled: false,
+            traffic: 100,
+            variants: [
+                { id: 'control', weight: 50 },
+                {
+                    id: 'cod-first',
+                    weight: 50,
+                    changes: {
+                        cta: { text: { ar: '✅ اطلب الآن وادفع عند الاستلام', en: '✅ Order now, pay on delivery' } }
+                    }
+                }
+            ]
+        },
+        {
+            id: 'social-proof',
+            enabled: false,
+            traffic: 100,
+            variants: [
+                { id: 'on', weight: 50 },
+                { id: 'off', weight: 50, settings: { socialProof: false } }
+            ]
+        }
+    ]
+};
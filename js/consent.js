@@ -0,0 +1,159 @@
+// Police 288 Tracking Consent - v2.2.0
+// موافقة الزائر على التتبع: js/analytics.js لا يرسل أي حدث للبكسلات قبل موافقة الزائر
+// يُحمّل في <head> قبل js/analytics.js حتى يتم تطبيق الاختيار قبل أول PageView
+
+const CONSENT_STORAGE_KEY = 'police288_consent';
+const CONSENT_VERSION = 2; // زيادة الرقم تعيد سؤال الزوار عند تغيير ما نتتبعه
+
+class TrackingConsent {
+    constructor() {
+        this.state = this.load();
+        this.banner = null;
+        this.preferences = null;
+        this.listeners = [];
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONSENT_STORAGE_KEY));
+            return stored && stored.version === CONSENT_VERSION ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // granted | denied | pending (لم يختر الزائر بعد)
+    getStatus() {
+        if (!this.state) return 'pending';
+        return this.state.marketing ? 'granted' : 'denied';
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    save(marketing) {
+        this.state = {
+            version: CONSENT_VERSION,
+            marketing,
+            updatedAt: new Date().toISOString()
+        };
+
+        try {
+            localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ اختيار الخصوصية:', error);
+        }
+
+        this.listeners.forEach(listener => listener(this.getStatus()));
+        this.hideBanner();
+        this.closePreferences();
+        console.log(`🔒 اختيار الخصوصية: ${this.getStatus()}`);
+    }
+
+    init() {
+        document.querySelectorAll('[data-consent-open]').forEach(link => {
+            link.addEventListener('click', e => {
+                e.preventDefault();
+                this.openPreferences();
+            });
+        });
+
+        if (this.getStatus() === 'pending') {
+            this.showBanner();
+        }
+    }
+
+    showBanner() {
+        if (this.banner) return;
+
+        this.banner = document.createElement('div');
+        this.banner.className = 'consent-banner';
+        this.banner.setAttribute('role', 'region');
+        this.banner.setAttribute('data-i18n-attr', 'aria-label:consent.label');
+        this.banner.innerHTML = `
+            <p>
+                <span data-i18n="consent.text"></span>
+                <a href="privacy-policy.html" data-i18n="consent.privacyPolicy"></a>
+            </p>
+            <div class="consent-actions">
+                <button type="button" class="consent-btn primary" data-consent-action="accept" data-i18n="consent.accept"></button>
+                <button type="button" class="consent-btn" data-consent-action="reject" data-i18n="consent.reject"></button>
+                <button type="button" class="consent-btn link" data-consent-action="preferences" data-i18n="consent.settings"></button>
+            </div>
+        `;
+        // النصوص بلغة الواجهة (js/i18n.js) - وتتغير مع زر تبديل اللغة لأنها داخل الصفحة
+        i18n.apply(this.banner);
+
+        this.banner.querySelector('[data-consent-action="accept"]').addEventListener('click', () => this.save(true));
+        this.banner.querySelector('[data-consent-action="reject"]').addEventListener('click', () => this.save(false));
+        this.banner.querySelector('[data-consent-action="preferences"]').addEventListener('click', () => this.openPreferences());
+
+        document.body.appendChild(this.banner);
+    }
+
+    hideBanner() {
+        if (this.banner) {
+            this.banner.remove();
+            this.banner = null;
+        }
+    }
+
+    openPreferences() {
+        if (this.preferences) return;
+
+        this.preferences = document.createElement('div');
+        this.preferences.className = 'consent-overlay';
+        this.preferences.innerHTML = `
+            <div class="consent-preferences" role="dialog" aria-modal="true" aria-labelledby="consentPreferencesTitle">
+                <h3 id="consentPreferencesTitle" data-i18n="consent.preferencesTitle"></h3>
+                <label class="consent-option">
+                    <input type="checkbox" checked disabled>
+                    <span>
+                        <strong data-i18n="consent.necessary.title"></strong>
+                        <span data-i18n="consent.necessary.text"></span>
+                    </span>
+                </label>
+                <label class="consent-option">
+                    <input type="checkbox" id="consentMarketing" ${this.getStatus() === 'granted' ? 'checked' : ''}>
+                    <span>
+                        <strong data-i18n="consent.marketing.title"></strong>
+                        <span data-i18n="consent.marketing.text"></span>
+                    </span>
+                </label>
+                <div class="consent-actions">
+                    <button type="button" class="consent-btn primary" data-consent-action="save" data-i18n="consent.save"></button>
+                    <button type="button" class="consent-btn" data-consent-action="accept" data-i18n="consent.acceptAll"></button>
+                </div>
+            </div>
+        `;
+        i18n.apply(this.preferences);
+
+        this.preferences.querySelector('[data-consent-action="save"]').addEventListener('click', () => {
+            this.save(this.preferences.querySelector('#consentMarketing').checked);
+        });
+        this.preferences.querySelector('[data-consent-action="accept"]').addEventListener('click', () => this.save(true));
+        this.preferences.addEventListener('click', e => {
+            if (e.target === this.preferences) this.closePreferences();
+        });
+        this.onPreferencesKeydown = e => {
+            if (e.key === 'Escape') this.closePreferences();
+        };
+        document.addEventListener('keydown', this.onPreferencesKeydown);
+
+        document.body.appendChild(this.preferences);
+        this.preferences.querySelector('#consentMarketing').focus();
+    }
+
+    closePreferences() {
+        if (!this.preferences) return;
+
+        document.removeEventListener('keydown', this.onPreferencesKeydown);
+        this.preferences.remove();
+        this.preferences = null;
+    }
+}
+
+const trackingConsent = new TrackingConsent();
+
+document.addEventListener('DOMContentLoaded', () => trackingConsent.init());
@@ -0,0 +1,44 @@
+// Police 288 Coupon Codes - v2.2.0
+// حساب خصم الكود (نسبة مئوية، مبلغ ثابت، أو شحن مجاني) - يُستخدم في المتصفح وفي الـ API عبر require
+// قائمة الأكواد على الخادم فقط (api/_lib/coupons.js): المتصفح يحصل على { code, type, value } من POST /api/coupons
+
+// الأكواد تُكتب بأي حالة أحرف وقد تُنسخ بمسافات أو أرقام عربية
+function normalizeCouponCode(code) {
+    return String(code || '')
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/\s+/g, '')
+        .toUpperCase()
+        .slice(0, 30);
+}
+
+// تطبيق الكود على ناتج calculateOrderTotals: خصم المنتج لا يتجاوز سعر العرض، والشحن المجاني يلغي رسوم الشحن
+function applyCoupon(totals, coupon) {
+    if (!totals || !coupon) return totals;
+
+    let couponDiscount = 0;
+    let shippingDiscount = 0;
+
+    if (coupon.type === 'percent') {
+        couponDiscount = Math.round(totals.price * coupon.value / 100);
+    } else if (coupon.type === 'fixed') {
+        couponDiscount = Math.min(coupon.value, totals.price);
+    } else if (coupon.type === 'free_shipping') {
+        shippingDiscount = totals.shippingFee;
+    }
+
+    return {
+        ...totals,
+        couponCode: coupon.code,
+        couponDiscount,
+        shippingDiscount,
+        total: totals.total - couponDiscount - shippingDiscount,
+        totalSavings: totals.totalSavings + couponDiscount
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        normalizeCouponCode,
+        applyCoupon
+    };
+}
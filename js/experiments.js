@@ -0,0 +1,250 @@
+// Police 288 Experiments - v2.2.0
+// اختبارات A/B لصفحة الهبوط بدون إعادة نشر: التجارب تُعرّف في js/config.js (SITE_CONFIG.experiments)
+// يُحمّل في <head> قبل js/analytics.js حتى تُخفى المناطق المتغيرة قبل أول رسم للصفحة (بدون flicker)
+//
+// صيغة التجربة:
+//   {
+//       id: 'headline-protection',
+//       enabled: true,
+//       traffic: 100,                  // نسبة الزوار الداخلين في التجربة (%)
+//       variants: [
+//           { id: 'control', weight: 50 },
+//           { id: 'protection', weight: 50,
+//             changes: { headline: { text: '...' } },   // مفتاح = data-experiment-region في الصفحة
+//             settings: { socialProof: false } }        // خيارات يقرأها script.js عبر experiments.getSetting()
+//       ]
+//   }
+//
+// أنواع التغيير: text, html, attrs: {src, alt, ...}, addClass, removeClass, hidden
+// النصوص: 'نص' أو { ar: '...', en: '...' } حسب لغة الواجهة (js/i18n.js)
+// للمعاينة: ?exp=headline-protection:protection (يُحفظ على هذا المتصفح) أو ?exp=reset
+
+const EXPERIMENTS_STORAGE_KEY = 'police288_experiments';
+const EXPERIMENTS_ANTI_FLICKER_TIMEOUT = 1500; // أقصى مدة إخفاء للمناطق المتغيرة إذا تأخر تحميل الصفحة
+
+class Experiments {
+    constructor(definitions) {
+        this.definitions = definitions.filter(experiment => experiment.enabled && experiment.variants.length > 0);
+        this.state = this.load();
+        this.applied = false;
+        this.antiFlickerStyle = null;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(EXPERIMENTS_STORAGE_KEY));
+            if (stored && stored.visitorId) {
+                return { visitorId: stored.visitorId, assignments: stored.assignments || {} };
+            }
+        } catch (error) {
+            // تخزين تالف - زائر جديد
+        }
+        return { visitorId: this.createVisitorId(), assignments: {} };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(EXPERIMENTS_STORAGE_KEY, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ تجارب الصفحة:', error);
+        }
+    }
+
+    createVisitorId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    // FNV-1a: نفس الزائر ونفس التجربة يعطيان نفس الرقم دائماً (0 - 9999)
+    bucket(key) {
+        const input = `${this.state.visitorId}:${key}`;
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0) % 10000;
+    }
+
+    pickVariant(experiment) {
+        const traffic = experiment.traffic === undefined ? 100 : experiment.traffic;
+        if (this.bucket(`${experiment.id}:traffic`) >= traffic * 100) return null;
+
+        const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight || 0), 0);
+        if (totalWeight <= 0) return null;
+
+        let point = this.bucket(`${experiment.id}:variant`) / 10000 * totalWeight;
+        for (const variant of experiment.variants) {
+            point -= variant.weight || 0;
+            if (point < 0) return variant.id;
+        }
+        return experiment.variants[experiment.variants.length - 1].id;
+    }
+
+    readOverrides() {
+        const param = new URLSearchParams(window.location.search).get('exp');
+        if (!param) return;
+
+        if (param === 'reset') {
+            this.state.assignments = {};
+            return;
+        }
+
+        param.split(',').forEach(pair => {
+            const [experimentId, variantId] = pair.split(':');
+            const experiment = this.getDefinition(experimentId);
+            if (experiment && experiment.variants.some(variant => variant.id === variantId)) {
+                this.state.assignments[experimentId] = variantId;
+            }
+        });
+    }
+
+    // التوزيع ثابت للزائر: التوزيع المحفوظ يبقى كما هو حتى لو تغيرت النسب لاحقاً
+    assign() {
+        this.readOverrides();
+
+        this.definitions.forEach(experiment => {
+            const current = this.state.assignments[experiment.id];
+            const isValid = current === null || experiment.variants.some(variant => variant.id === current);
+            if (current === undefined || !isValid) {
+                this.state.assignments[experiment.id] = this.pickVariant(experiment);
+            }
+        });
+
+        this.save();
+    }
+
+    getDefinition(experimentId) {
+        return this.definitions.find(experiment => experiment.id === experimentId) || null;
+    }
+
+    getVariant(experimentId) {
+        const experiment = this.getDefinition(experimentId);
+        const variantId = experiment ? this.state.assignments[experimentId] : null;
+        return variantId ? experiment.variants.find(variant => variant.id === variantId) : null;
+    }
+
+    getActiveVariants() {
+        return this.definitions
+            .map(experiment => this.getVariant(experiment.id))
+            .filter(Boolean);
+    }
+
+    getSetting(key, defaultValue) {
+        for (const variant of this.getActiveVariants()) {
+            if (variant.settings && variant.settings[key] !== undefined) {
+                return variant.settings[key];
+            }
+        }
+        return defaultValue;
+    }
+
+    // { experimentId: variantId } للتجارب التي دخلها الزائر فقط - تُرسل مع الطلب
+    getAssignments() {
+        const assignments = {};
+        this.definitions.forEach(experiment => {
+            const variant = this.getVariant(experiment.id);
+            if (variant) {
+                assignments[experiment.id] = variant.id;
+            }
+        });
+        return Object.keys(assignments).length > 0 ? assignments : null;
+    }
+
+    // نص مختصر للبكسلات: "headline-protection:protection,cta-copy:control"
+    getLabel() {
+        const assignments = this.getAssignments();
+        if (!assignments) return '';
+        return Object.entries(assignments).map(([experimentId, variantId]) => `${experimentId}:${variantId}`).join(',');
+    }
+
+    getChangedRegions() {
+        const regions = new Set();
+        this.getActiveVariants().forEach(variant => {
+            Object.keys(variant.changes || {}).forEach(region => regions.add(region));
+        });
+        return Array.from(regions);
+    }
+
+    // إخفاء المناطق المتغيرة فقط (وليس الصفحة كلها) حتى يتم تطبيق التجربة
+    hideRegions() {
+        const regions = this.getChangedRegions();
+        if (regions.length === 0) return;
+
+        this.antiFlickerStyle = document.createElement('style');
+        this.antiFlickerStyle.textContent = regions
+            .map(region => `[data-experiment-region="${CSS.escape(region)}"]`)
+            .join(',') + '{visibility:hidden !important}';
+        document.head.appendChild(this.antiFlickerStyle);
+
+        setTimeout(() => this.showRegions(), EXPERIMENTS_ANTI_FLICKER_TIMEOUT);
+    }
+
+    showRegions() {
+        if (this.antiFlickerStyle) {
+            this.antiFlickerStyle.remove();
+            this.antiFlickerStyle = null;
+        }
+    }
+
+    applyChange(element, change) {
+        if (change.text !== undefined) element.textContent = i18n.pick(change.text);
+        if (change.html !== undefined) element.innerHTML = i18n.pick(change.html);
+        Object.entries(change.attrs || {}).forEach(([name, value]) => element.setAttribute(name, i18n.pick(value)));
+        if (change.addClass) element.classList.add(...[].concat(change.addClass));
+        if (change.removeClass) element.classList.remove(...[].concat(change.removeClass));
+        if (change.hidden !== undefined) element.hidden = change.hidden;
+    }
+
+    apply() {
+        if (this.applied) return;
+        this.applied = true;
+
+        this.definitions.forEach(experiment => {
+            const variant = this.getVariant(experiment.id);
+            if (!variant) return;
+
+            Object.entries(variant.changes || {}).forEach(([region, change]) => {
+                document.querySelectorAll(`[data-experiment-region="${CSS.escape(region)}"]`).forEach(element => {
+                    try {
+                        this.applyChange(element, change);
+                        element.dataset.experiment = `${experiment.id}:${variant.id}`;
+                    } catch (error) {
+                        console.error(`❌ Experiment "${experiment.id}" failed on region "${region}":`, error);
+                    }
+                });
+            });
+        });
+
+        this.showRegions();
+
+        const label = this.getLabel();
+        if (label) {
+            console.log(`🧪 Experiments: ${label}`);
+        }
+    }
+
+    init() {
+        if (this.definitions.length === 0) return;
+
+        this.assign();
+        this.hideRegions();
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', () => this.apply());
+        } else {
+            this.apply();
+        }
+
+        // تغيير اللغة يعيد نصوص الصفحة الافتراضية (data-i18n) - إعادة تطبيق نصوص التجربة فوقها
+        i18n.onChange(() => {
+            this.applied = false;
+            this.apply();
+        });
+    }
+}
+
+const experiments = new Experiments(SITE_CONFIG.experiments);
+experiments.init();
@@ -0,0 +1,186 @@
+// Police 288 Form Draft - v2.2.0
+// حفظ بيانات نموذج الطلب على جهاز الزائر واستعادتها عند العودة، وإرسال "طلب غير مكتمل" لفريق المتابعة
+// عند مغادرة الصفحة برقم هاتف صحيح بدون إرسال الطلب (فقط بعد موافقة الزائر - js/consent.js)
+// الطلب الذي يُرسل لاحقاً يحمل نفس leadId فيتم تعليم الـ lead كـ "recovered" بدلاً من تكراره
+
+const FORM_DRAFT_STORAGE_KEY = 'police288_form_draft';
+const FORM_DRAFT_FIELDS = ['name', 'phone', 'whatsapp', 'quantity', 'governorate', 'city', 'address', 'landmark', 'couponCode'];
+const FORM_DRAFT_SAVE_DELAY = 400;
+
+class FormDraft {
+    constructor(config) {
+        this.config = config;
+        this.ttl = config.draftTtlDays * 24 * 60 * 60 * 1000;
+        this.form = null;
+        this.saveTimer = null;
+        this.submitting = false;
+        this.state = this.load();
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(FORM_DRAFT_STORAGE_KEY));
+            if (stored && Date.now() - stored.savedAt < this.ttl) {
+                return stored;
+            }
+        } catch (error) {
+            // مسودة تالفة - نبدأ من جديد
+        }
+        return { fields: {}, savedAt: 0, leadId: null, leadPhone: null };
+    }
+
+    attach(form) {
+        this.form = form;
+
+        const scheduleSave = () => {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = setTimeout(() => this.save(), FORM_DRAFT_SAVE_DELAY);
+        };
+        form.addEventListener('input', scheduleSave);
+        form.addEventListener('change', scheduleSave);
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.save();
+                this.sendLead();
+            }
+        });
+
+        this.updateNotice();
+    }
+
+    // تعبئة الحقول الفارغة فقط - قيم الرابط (مثل ?coupon=) لها الأولوية
+    restore() {
+        if (!this.form) return false;
+
+        let restored = false;
+        FORM_DRAFT_FIELDS.forEach(fieldId => {
+            const field = this.form.querySelector(`#${fieldId}`);
+            const value = this.state.fields[fieldId];
+            if (field && value && !field.value) {
+                field.value = value;
+                restored = true;
+            }
+        });
+
+        if (restored) {
+            console.log('💾 تم استعادة بيانات النموذج المحفوظة');
+        }
+        return restored;
+    }
+
+    save() {
+        if (!this.form || this.submitting) return;
+        clearTimeout(this.saveTimer);
+
+        const fields = {};
+        FORM_DRAFT_FIELDS.forEach(fieldId => {
+            const field = this.form.querySelector(`#${fieldId}`);
+            if (field && field.value.trim()) {
+                fields[fieldId] = field.value.trim();
+            }
+        });
+
+        this.state.fields = fields;
+        this.state.savedAt = Date.now();
+
+        try {
+            if (Object.keys(fields).length === 0 && !this.state.leadId) {
+                localStorage.removeItem(FORM_DRAFT_STORAGE_KEY);
+            } else {
+                localStorage.setItem(FORM_DRAFT_STORAGE_KEY, JSON.stringify(this.state));
+            }
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ بيانات النموذج:', error);
+        }
+
+        this.updateNotice();
+    }
+
+    hasData() {
+        return Object.keys(this.state.fields).length > 0;
+    }
+
+    updateNotice() {
+        const notice = document.getElementById('formDraftNotice');
+        if (notice) {
+            notice.hidden = !this.hasData();
+        }
+    }
+
+    setSubmitting(submitting) {
+        this.submitting = submitting;
+    }
+
+    createLeadId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+
+    // طلب غير مكتمل: رقم صحيح + موافقة على التتبع + لم يتم الإرسال لنفس الرقم من قبل
+    sendLead() {
+        if (!this.config.enabled || this.submitting || !navigator.sendBeacon) return;
+        if (trackingConsent.getStatus() !== 'granted') return;
+
+        const phone = normalizeEgyptianPhone(this.state.fields.phone || '');
+        if (!phone.valid || this.state.leadPhone === phone.e164) return;
+
+        this.state.leadId = this.state.leadId || this.createLeadId();
+
+        const lead = {
+            leadId: this.state.leadId,
+            name: this.state.fields.name || '',
+            phone: phone.e164,
+            quantity: this.state.fields.quantity || '',
+            governorate: this.state.fields.governorate || '',
+            pageUrl: window.location.href,
+            trackingConsent: trackingConsent.getStatus(),
+            attribution: attribution.getForOrder(),
+            experiments: experiments.getAssignments()
+        };
+
+        const sent = navigator.sendBeacon(this.config.endpoint, new Blob([JSON.stringify(lead)], { type: 'application/json' }));
+        if (sent) {
+            this.state.leadPhone = phone.e164;
+            this.save();
+            console.log('📋 تم تسجيل طلب غير مكتمل للمتابعة');
+        }
+    }
+
+    // يُرسل مع الطلب حتى يتم تعليم الـ lead كـ recovered
+    getLeadIdForOrder() {
+        return this.state.leadPhone ? this.state.leadId : null;
+    }
+
+    // بعد تسجيل الطلب: المسودة لم تعد مطلوبة
+    clear() {
+        clearTimeout(this.saveTimer);
+        this.state = { fields: {}, savedAt: 0, leadId: null, leadPhone: null };
+
+        try {
+            localStorage.removeItem(FORM_DRAFT_STORAGE_KEY);
+        } catch (error) {
+            // لا شيء لمسحه
+        }
+        this.updateNotice();
+    }
+
+    // "مسح بياناتي": حذف المسودة من الجهاز، وإلغاء طلب المتابعة إذا تم إرساله بالفعل
+    withdraw() {
+        const leadId = this.getLeadIdForOrder();
+        this.clear();
+
+        if (leadId) {
+            fetch(this.config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ leadId, action: 'withdraw' }),
+                keepalive: true
+            }).catch(error => console.warn('⚠️ تعذر إلغاء طلب المتابعة:', error));
+        }
+    }
+}
+
+const formDraft = new FormDraft(SITE_CONFIG.leads);
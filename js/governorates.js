@@ -0,0 +1,89 @@
+// Police 288 Egyptian Governorates & Shipping - v2.2.0
+// محافظات مصر ومناطق الشحن: رسوم الشحن ومدة التوصيل لكل محافظة
+// يُستخدم في نموذج الطلب وصفحة التأكيد والـ API عبر require
+
+const SHIPPING_ZONES = {
+    'greater-cairo': { fee: 45, deliveryDays: [1, 2] },
+    'delta-canal': { fee: 55, deliveryDays: [2, 3] },
+    'upper-egypt': { fee: 65, deliveryDays: [3, 4] },
+    'remote': { fee: 80, deliveryDays: [4, 6] }
+};
+
+const EGYPT_GOVERNORATES = [
+    { id: 'cairo', name: 'القاهرة', nameEn: 'Cairo', zone: 'greater-cairo', cities: ['مدينة نصر', 'مصر الجديدة', 'المعادي', 'حلوان', 'شبرا', 'التجمع الخامس', 'المقطم', 'عين شمس', 'المرج', 'وسط البلد'] },
+    { id: 'giza', name: 'الجيزة', nameEn: 'Giza', zone: 'greater-cairo', cities: ['الدقي', 'المهندسين', 'الهرم', 'فيصل', 'إمبابة', '6 أكتوبر', 'الشيخ زايد', 'العمرانية', 'البدرشين', 'الحوامدية'] },
+    { id: 'qalyubia', name: 'القليوبية', nameEn: 'Qalyubia', zone: 'greater-cairo', cities: ['بنها', 'شبرا الخيمة', 'قليوب', 'القناطر الخيرية', 'الخانكة', 'العبور', 'طوخ'] },
+    { id: 'alexandria', name: 'الإسكندرية', nameEn: 'Alexandria', zone: 'delta-canal', cities: ['سيدي جابر', 'سموحة', 'المنتزه', 'العجمي', 'محرم بك', 'برج العرب', 'العامرية', 'ميامي'] },
+    { id: 'beheira', name: 'البحيرة', nameEn: 'Beheira', zone: 'delta-canal', cities: ['دمنهور', 'كفر الدوار', 'رشيد', 'إدكو', 'أبو حمص', 'إيتاي البارود', 'وادي النطرون'] },
+    { id: 'dakahlia', name: 'الدقهلية', nameEn: 'Dakahlia', zone: 'delta-canal', cities: ['المنصورة', 'طلخا', 'ميت غمر', 'السنبلاوين', 'دكرنس', 'أجا', 'المنزلة'] },
+    { id: 'damietta', name: 'دمياط', nameEn: 'Damietta', zone: 'delta-canal', cities: ['دمياط', 'دمياط الجديدة', 'رأس البر', 'فارسكور', 'كفر سعد'] },
+    { id: 'gharbia', name: 'الغربية', nameEn: 'Gharbia', zone: 'delta-canal', cities: ['طنطا', 'المحلة الكبرى', 'كفر الزيات', 'زفتى', 'السنطة', 'سمنود'] },
+    { id: 'kafr-el-sheikh', name: 'كفر الشيخ', nameEn: 'Kafr El Sheikh', zone: 'delta-canal', cities: ['كفر الشيخ', 'دسوق', 'فوه', 'بلطيم', 'سيدي سالم', 'الحامول'] },
+    { id: 'monufia', name: 'المنوفية', nameEn: 'Monufia', zone: 'delta-canal', cities: ['شبين الكوم', 'منوف', 'قويسنا', 'أشمون', 'الباجور', 'السادات', 'تلا'] },
+    { id: 'sharqia', name: 'الشرقية', nameEn: 'Sharqia', zone: 'delta-canal', cities: ['الزقازيق', 'العاشر من رمضان', 'بلبيس', 'منيا القمح', 'أبو كبير', 'فاقوس', 'ههيا'] },
+    { id: 'ismailia', name: 'الإسماعيلية', nameEn: 'Ismailia', zone: 'delta-canal', cities: ['الإسماعيلية', 'فايد', 'القنطرة شرق', 'القنطرة غرب', 'التل الكبير'] },
+    { id: 'port-said', name: 'بورسعيد', nameEn: 'Port Said', zone: 'delta-canal', cities: ['بورسعيد', 'بورفؤاد', 'حي الزهور', 'حي الضواحي'] },
+    { id: 'suez', name: 'السويس', nameEn: 'Suez', zone: 'delta-canal', cities: ['السويس', 'الأربعين', 'عتاقة', 'فيصل', 'الجناين'] },
+    { id: 'faiyum', name: 'الفيوم', nameEn: 'Faiyum', zone: 'upper-egypt', cities: ['الفيوم', 'سنورس', 'إطسا', 'طامية', 'أبشواي'] },
+    { id: 'beni-suef', name: 'بني سويف', nameEn: 'Beni Suef', zone: 'upper-egypt', cities: ['بني سويف', 'الواسطى', 'ناصر', 'إهناسيا', 'ببا', 'الفشن'] },
+    { id: 'minya', name: 'المنيا', nameEn: 'Minya', zone: 'upper-egypt', cities: ['المنيا', 'ملوي', 'سمالوط', 'مغاغة', 'بني مزار', 'أبو قرقاص', 'مطاي'] },
+    { id: 'asyut', name: 'أسيوط', nameEn: 'Asyut', zone: 'upper-egypt', cities: ['أسيوط', 'ديروط', 'منفلوط', 'القوصية', 'أبنوب', 'أبو تيج'] },
+    { id: 'sohag', name: 'سوهاج', nameEn: 'Sohag', zone: 'upper-egypt', cities: ['سوهاج', 'أخميم', 'جرجا', 'طهطا', 'البلينا', 'المراغة'] },
+    { id: 'qena', name: 'قنا', nameEn: 'Qena', zone: 'upper-egypt', cities: ['قنا', 'نجع حمادي', 'قوص', 'دشنا', 'أبو تشت', 'نقادة'] },
+    { id: 'luxor', name: 'الأقصر', nameEn: 'Luxor', zone: 'upper-egypt', cities: ['الأقصر', 'إسنا', 'أرمنت', 'القرنة', 'الطود'] },
+    { id: 'aswan', name: 'أسوان', nameEn: 'Aswan', zone: 'upper-egypt', cities: ['أسوان', 'إدفو', 'كوم أمبو', 'دراو', 'نصر النوبة'] },
+    { id: 'red-sea', name: 'البحر الأحمر', nameEn: 'Red Sea', zone: 'remote', cities: ['الغردقة', 'سفاجا', 'القصير', 'مرسى علم', 'رأس غارب'] },
+    { id: 'matrouh', name: 'مطروح', nameEn: 'Matrouh', zone: 'remote', cities: ['مرسى مطروح', 'العلمين', 'الضبعة', 'الحمام', 'سيوة', 'السلوم'] },
+    { id: 'new-valley', name: 'الوادي الجديد', nameEn: 'New Valley', zone: 'remote', cities: ['الخارجة', 'الداخلة', 'الفرافرة', 'باريس'] },
+    { id: 'north-sinai', name: 'شمال سيناء', nameEn: 'North Sinai', zone: 'remote', cities: ['العريش', 'بئر العبد', 'الشيخ زويد', 'رفح'] },
+    { id: 'south-sinai', name: 'جنوب سيناء', nameEn: 'South Sinai', zone: 'remote', cities: ['شرم الشيخ', 'دهب', 'الطور', 'نويبع', 'سانت كاترين'] }
+];
+
+function getGovernorate(id) {
+    return EGYPT_GOVERNORATES.find(governorate => governorate.id === id) || null;
+}
+
+// رسوم الشحن ومدة التوصيل لمحافظة معينة، أو null إذا لم يتم اختيار محافظة صحيحة
+function getShippingInfo(governorateId) {
+    const governorate = getGovernorate(governorateId);
+    if (!governorate) return null;
+
+    const zone = SHIPPING_ZONES[governorate.zone];
+    return {
+        governorate,
+        fee: zone.fee,
+        deliveryDays: zone.deliveryDays
+    };
+}
+
+// أقل رسوم شحن - "الشحن يبدأ من" في نصوص الصفحة
+function getMinShippingFee() {
+    return Math.min(...Object.values(SHIPPING_ZONES).map(zone => zone.fee));
+}
+
+function formatDeliveryEstimate(deliveryDays) {
+    const [min, max] = deliveryDays;
+    return `${min}-${max} ${max <= 2 ? 'يوم' : 'أيام'}`;
+}
+
+// العنوان الكامل كنص واحد - يُرسل مع الحقول المنفصلة للتوافق مع سيناريوهات Make.com الحالية
+function formatAddress({ governorateId, city, street, landmark }) {
+    const governorate = getGovernorate(governorateId);
+    const parts = [governorate ? governorate.name : '', city, street].filter(Boolean);
+    if (landmark) {
+        parts.push(`علامة مميزة: ${landmark}`);
+    }
+    return parts.join(' - ');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SHIPPING_ZONES,
+        EGYPT_GOVERNORATES,
+        getGovernorate,
+        getShippingInfo,
+        getMinShippingFee,
+        formatDeliveryEstimate,
+        formatAddress
+    };
+}
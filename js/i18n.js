@@ -0,0 +1,245 @@
+// Police 288 i18n - v2.2.0
+// واجهة الموقع بالعربية أو الإنجليزية: النصوص من js/i18n/ar.js و js/i18n/en.js (I18N_MESSAGES)
+// يُحمّل في <head> بعد js/config.js حتى يتم ضبط lang/dir قبل أول رسم للصفحة
+//
+// في HTML:
+//   <h2 data-i18n="form.title">النص العربي الافتراضي</h2>
+//   <input data-i18n-attr="placeholder:form.name.placeholder;aria-label:form.name.label">
+//   <button data-lang-switch></button>   ← زر تبديل اللغة
+//
+// في JavaScript: i18n.t('coupon.applied', { description }) و i18n.onChange(() => ...) لإعادة رسم النصوص الديناميكية
+// قيم مشتركة لكل النصوص (مثل {price} من js/catalog.js في data-i18n و data-i18n-attr): i18n.setParams({ price })
+// اللغة: ?lang=en (يُحفظ على هذا المتصفح) ← اللغة المحفوظة ← SITE_CONFIG.i18n.defaultLanguage
+//
+// بيانات الطلب المرسلة للخادم لا تتأثر باللغة: الحقول النصية تبقى بالعربية ومعها مفاتيح ثابتة
+// (offerId, quantity, governorate, language)
+
+const I18N_STORAGE_KEY = 'police288_language';
+const I18N_ANTI_FLICKER_TIMEOUT = 1500;
+
+// locale بأرقام لاتينية في اللغتين - نفس أرقام الأسعار وأرقام الهواتف في الصفحة
+const I18N_LANGUAGES = {
+    ar: { dir: 'rtl', locale: 'ar-EG-u-nu-latn' },
+    en: { dir: 'ltr', locale: 'en-US' }
+};
+
+const I18N_MESSAGES = {};
+
+class I18n {
+    constructor(config) {
+        this.config = config;
+        this.defaultLanguage = config.defaultLanguage;
+        this.languages = config.languages.filter(language => I18N_LANGUAGES[language]);
+        this.language = this.detectLanguage();
+        this.listeners = [];
+        this.params = {};
+        this.warned = new Set();
+        this.antiFlickerStyle = null;
+    }
+
+    detectLanguage() {
+        const param = new URLSearchParams(window.location.search).get('lang');
+        if (this.isSupported(param)) {
+            this.store(param);
+            return param;
+        }
+
+        try {
+            const stored = localStorage.getItem(I18N_STORAGE_KEY);
+            if (this.isSupported(stored)) return stored;
+        } catch (error) {
+            // التخزين غير متاح - اللغة الافتراضية
+        }
+        return this.defaultLanguage;
+    }
+
+    isSupported(language) {
+        return this.languages.includes(language);
+    }
+
+    store(language) {
+        try {
+            localStorage.setItem(I18N_STORAGE_KEY, language);
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ لغة الموقع:', error);
+        }
+    }
+
+    get locale() {
+        return I18N_LANGUAGES[this.language].locale;
+    }
+
+    get dir() {
+        return I18N_LANGUAGES[this.language].dir;
+    }
+
+    // مفتاح غير مترجم: النص العربي، وإلا المفتاح نفسه (مع تحذير مرة واحدة)
+    t(key, params = {}) {
+        const messages = I18N_MESSAGES[this.language] || {};
+        let message = messages[key];
+
+        if (message === undefined) {
+            message = (I18N_MESSAGES[this.defaultLanguage] || {})[key];
+            if (!this.warned.has(key)) {
+                this.warned.add(key);
+                console.warn(`⚠️ i18n: missing "${key}" (${this.language})`);
+            }
+        }
+        if (message === undefined) return key;
+
+        const values = { ...this.params, ...params };
+        return message.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+    }
+
+    // القيم تُنسّق بلغة الصفحة الحالية - من يستدعيها يعيد ضبطها عند تغيير اللغة (i18n.onChange)
+    setParams(params) {
+        this.params = { ...this.params, ...params };
+        this.apply();
+    }
+
+    // صيغ الجمع حسب اللغة (العربية: one, two, few, many, other) - المفتاح بدون اللاحقة
+    plural(key, count, params = {}) {
+        const category = new Intl.PluralRules(this.locale).select(count);
+        const messages = I18N_MESSAGES[this.language] || {};
+        const pluralKey = messages[`${key}.${category}`] !== undefined ? `${key}.${category}` : `${key}.other`;
+        return this.t(pluralKey, { count: this.formatNumber(count), ...params });
+    }
+
+    // نص من الإعدادات: 'نص' أو { ar: '...', en: '...' } (التجارب والعروض المجدولة)
+    pick(value) {
+        if (!value || typeof value !== 'object') return value;
+        return value[this.language] !== undefined ? value[this.language] : value[this.defaultLanguage];
+    }
+
+    formatNumber(value, options) {
+        return Number(value).toLocaleString(this.locale, options);
+    }
+
+    formatCurrency(amount) {
+        return this.t('currency.amount', { amount: this.formatNumber(amount) });
+    }
+
+    formatDate(value, options) {
+        return new Intl.DateTimeFormat(this.locale, { timeZone: 'Africa/Cairo', ...options }).format(new Date(value));
+    }
+
+    formatRelativeTime(value, unit) {
+        return new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' }).format(value, unit);
+    }
+
+    // اسم المحافظة من js/governorates.js (name / nameEn)
+    formatGovernorate(governorate) {
+        if (!governorate) return '';
+        return this.language === 'en' && governorate.nameEn ? governorate.nameEn : governorate.name;
+    }
+
+    // deliveryDays من js/governorates.js: [2, 4] ← "2-4 أيام" / "2-4 days"
+    formatDeliveryEstimate(deliveryDays) {
+        const [min, max] = deliveryDays;
+        return this.plural('delivery.days', max, { min: this.formatNumber(min), max: this.formatNumber(max) });
+    }
+
+    // نصوص العرض من الكتالوج: offers.<offerId>.label / offers.<offerId>.title
+    formatOffer(offer, field = 'label') {
+        return this.t(`offers.${offer.id}.${field}`);
+    }
+
+    // العنصر نفسه وما بداخله - root قد يكون عنصراً جديداً لم يُضف للصفحة بعد
+    queryAll(root, selector) {
+        const elements = Array.from(root.querySelectorAll(selector));
+        return root.matches && root.matches(selector) ? [root, ...elements] : elements;
+    }
+
+    // data-i18n: textContent، data-i18n-attr: "placeholder:key;aria-label:key"
+    apply(root = document) {
+        this.queryAll(root, '[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        this.queryAll(root, '[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [name, key] = pair.split(':').map(part => part.trim());
+                if (name && key) {
+                    element.setAttribute(name, this.t(key));
+                }
+            });
+        });
+    }
+
+    applyDocumentLanguage() {
+        document.documentElement.lang = this.language;
+        document.documentElement.dir = this.dir;
+    }
+
+    setLanguage(language) {
+        if (!this.isSupported(language) || language === this.language) return;
+
+        this.language = language;
+        this.store(language);
+        this.applyDocumentLanguage();
+        this.apply();
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(language);
+            } catch (error) {
+                console.error('❌ i18n listener failed:', error);
+            }
+        });
+        console.log(`🌐 Language: ${language}`);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // زر واحد يبدّل بين اللغتين المتاحتين
+    getNextLanguage() {
+        const index = this.languages.indexOf(this.language);
+        return this.languages[(index + 1) % this.languages.length];
+    }
+
+    bindSwitchers() {
+        document.querySelectorAll('[data-lang-switch]').forEach(button => {
+            button.addEventListener('click', () => this.setLanguage(this.getNextLanguage()));
+        });
+    }
+
+    // النص العربي موجود في HTML - إخفاء الصفحة حتى الترجمة فقط عند اختيار لغة أخرى
+    hidePage() {
+        if (this.language === this.defaultLanguage) return;
+
+        this.antiFlickerStyle = document.createElement('style');
+        this.antiFlickerStyle.textContent = 'body{visibility:hidden !important}';
+        document.head.appendChild(this.antiFlickerStyle);
+
+        setTimeout(() => this.showPage(), I18N_ANTI_FLICKER_TIMEOUT);
+    }
+
+    showPage() {
+        if (this.antiFlickerStyle) {
+            this.antiFlickerStyle.remove();
+            this.antiFlickerStyle = null;
+        }
+    }
+
+    init() {
+        this.applyDocumentLanguage();
+        this.hidePage();
+
+        const onReady = () => {
+            this.apply();
+            this.bindSwitchers();
+            this.showPage();
+        };
+
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', onReady);
+        } else {
+            onReady();
+        }
+    }
+}
+
+const i18n = new I18n(SITE_CONFIG.i18n);
+i18n.init();
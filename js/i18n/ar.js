@@ -0,0 +1,342 @@
+// Police 288 Messages (ar) - v2.2.0
+// النصوص العربية - نفس النصوص الموجودة في HTML (اللغة الافتراضية وبديل أي مفتاح غير مترجم)
+// {name} = قيمة متغيرة، والمفاتيح التي تنتهي بـ .one / .two / .few / .many / .other صيغ جمع (i18n.plural)
+
+I18N_MESSAGES.ar = {
+    'language.switch': 'English',
+    'language.switchLabel': 'Switch to English',
+
+    'meta.title': 'منتج الصاعق والكشاف والليزر 3 في 1 - أقوى منتج حماية في مصر',
+    'meta.description': 'احصل على منتج الصاعق والكشاف والليزر 3 في 1 بسعر {price} بدلاً من {listPrice}. شحن لجميع أنحاء مصر يبدأ من {shippingFrom} والدفع عند الاستلام',
+
+    'currency.amount': '{amount} جنيه',
+    'time.now': 'الآن',
+    'delivery.days.one': '{min}-{max} يوم',
+    'delivery.days.two': '{min}-{max} يوم',
+    'delivery.days.few': '{min}-{max} أيام',
+    'delivery.days.other': '{min}-{max} يوم',
+    'quantity.pieces.one': 'قطعة واحدة',
+    'quantity.pieces.two': 'قطعتين',
+    'quantity.pieces.few': '{count} قطع',
+    'quantity.pieces.other': '{count} قطعة',
+
+    'header.title': '🔦 منتج الصاعق والكشاف والليزر 3 في 1 - أقوى منتج للحماية والدفاع',
+    'nav.order': 'أطلب الآن',
+
+    'hero.videoAlt': 'عرض منتج الصاعق والكشاف والليزر 3 في 1',
+    'hero.videoTitle': 'عرض منتج الصاعق والكشاف والليزر 3 في 1 مع الصاعق الكهربائي',
+    'hero.autoplay': '🎬 سيبدأ تلقائياً خلال ثوانٍ...',
+
+    'product.title': 'كشاف حماية 3 في 1 - الأقوى في مصر',
+    'product.bannerTitle': '⚡ صاعق كهربائي + 🔦 كشاف ليزر + 🔴 ليزر أحمر',
+    'product.bannerText': 'الحل الأمثل للحماية الشخصية والدفاع عن النفس',
+    'feature.light.title': 'إضاءة فائقة',
+    'feature.light.text': '1200 لومن مع مدى 500 متر للرؤية الواضحة',
+    'feature.laser.title': 'ليزر أحمر قوي',
+    'feature.laser.text': 'مؤشر ليزر متعدد الاستخدامات للعروض والتدريب',
+    'feature.battery.title': 'بطارية طويلة الأمد',
+    'feature.battery.text': 'تعمل 9 ساعات متواصلة - قابل للشحن أو بطاريات عادية',
+    'feature.waterproof.title': 'مقاوم للماء',
+    'feature.waterproof.text': 'معيار IPX4 لمقاومة الماء - مثالي لجميع الظروف',
+    'feature.safety.title': 'سلامة عائلية',
+    'feature.safety.text': 'أداة حماية آمنة ومشروعة للدفاع عن النفس',
+
+    'demo.title': '🎬 شاهد المنتج أثناء العمل',
+    'demo.subtitle': 'تجربة حية لجميع وظائف المنتج الثلاث',
+    'demo.unsupported': 'متصفحك لا يدعم تشغيل الفيديو.',
+    'demo.download': 'اضغط هنا لتحميل الفيديو',
+    'demo.play': 'شاهد العرض التوضيحي',
+    'demo.stun': 'الصاعق الكهربائي',
+    'demo.flashlight': 'الكشاف عالي الإضاءة',
+    'demo.laser': 'الليزر الأحمر',
+
+    'safety.title': '🔐 منتج آمن ومشروع للاستخدام الشخصي',
+    'safety.text': 'مصمم للحماية الشخصية في الحالات الطارئة. فعال وآمن للاستخدام.',
+
+    'price.headline': '🔥 عرض خاص!',
+    'price.bundlePrefix': '💎 قطعتين بسعر',
+    'price.bundleSuffix': 'فقط!',
+    'price.perks': '✅ الدفع عند الاستلام ✅ شحن لجميع أنحاء مصر يبدأ من {shippingFrom} ✅ ضمان 6 أشهر ✅ منتج مشروع للحماية الشخصية',
+
+    'offers.single.label': 'قطعة واحدة',
+    'offers.single.title': 'قطعة واحدة - عرض خاص',
+    'offers.bundle-2.label': 'قطعتين',
+    'offers.bundle-2.title': 'قطعتين - عرض مميز',
+    'offers.option': '{label} - {price}{savings} {badge}{schedule}',
+    'offers.savings': ' (وفر {amount}!)',
+    'countdown.days.one': 'يوم',
+    'countdown.days.two': 'يومان',
+    'countdown.days.few': '{count} أيام',
+    'countdown.days.other': '{count} يوم',
+    'countdown.withDays': '{days} و {clock}',
+    'countdown.ends': 'ينتهي العرض {date} بتوقيت القاهرة',
+
+    'gallery.title': '📸 معرض صور المنتج الحصري',
+    'gallery.slide1': 'منتج الصاعق والكشاف والليزر 3 في 1 - الصورة الرئيسية',
+    'gallery.slide2': 'كشاف Police 288 - عرض شامل للمنتج',
+    'gallery.slide3': 'كشاف Police 288 مع وظائف الليزر والإضاءة',
+    'gallery.slide4': 'تفاصيل ومكونات كشاف Police 288',
+    'gallery.slide5': 'كشاف Police 288 - نسخة عالية الجودة',
+    'gallery.sliderLabel': 'صور المنتج',
+    'gallery.prev': 'الصورة السابقة',
+    'gallery.next': 'الصورة التالية',
+    'gallery.thumb1': 'الصورة الرئيسية للكشاف',
+    'gallery.thumb2': 'عرض شامل للكشاف',
+    'gallery.thumb3': 'وظائف الكشاف المتعددة',
+    'gallery.thumb4': 'تفاصيل المنتج والمكونات',
+    'gallery.thumb5': 'جودة عالية للكشاف',
+    'gallery.zoomed': 'صورة مكبرة',
+
+    'carousel.role': 'عرض صور',
+    'carousel.slideRole': 'صورة',
+    'carousel.slide': '{index} من {total}',
+    'carousel.goTo': 'الصورة {index}',
+    'lightbox.close': 'إغلاق',
+
+    'reviews.title': '⭐ آراء عملائنا المميزين',
+    'reviews.subtitle': 'اكتشف تجارب العملاء الحقيقية مع كشاف Police 288',
+    'reviews.stat.rating': 'تقييم المنتج',
+    'reviews.stat.customers': 'عميل راضي',
+    'reviews.stat.satisfaction': 'معدل الرضا',
+    'reviews.stat.support': 'دعم العملاء',
+    'reviews.1.avatar': 'أ',
+    'reviews.1.name': 'أحمد محمد',
+    'reviews.1.location': '📍 القاهرة - مصر الجديدة',
+    'reviews.1.text': '"منتج رائع للحماية الشخصية! الصاعق الكهربائي قوي وفعال، استخدمته مرة عندما تعرضت لمضايقة في الشارع وكان مفيد جداً. الكشاف أيضاً قوي والليزر واضح. أنصح كل بنت تحمله معها للأمان."',
+    'reviews.1.date': '📅 منذ أسبوعين',
+    'reviews.2.avatar': 'م',
+    'reviews.2.name': 'محمد سعيد',
+    'reviews.2.location': '📍 الإسكندرية - سيدي جابر',
+    'reviews.2.text': '"اشتريته لابني في الجامعة للحماية. الصاعق الكهربائي يعطي شعور بالأمان والثقة. الجهاز 3 في 1 عملي جداً، كشاف قوي للمشي في الليل وليزر مفيد، والأهم أنه آمن وقانوني للاستخدام في الدفاع عن النفس."',
+    'reviews.2.date': '📅 منذ 3 أسابيع',
+    'reviews.3.avatar': 'ف',
+    'reviews.3.name': 'فاطمة أحمد',
+    'reviews.3.location': '📍 الجيزة - الدقي',
+    'reviews.3.text': '"أفضل استثمار في الأمان الشخصي! كوني أعمل نوبات ليلية، المنتج ده بقى ضروري معايا. الصاعق يعطي صوت قوي يخوف أي حد يفكر يقرب، والكشاف ينور الطريق كله. حسيت بأمان أكتر بكتير."',
+    'reviews.3.date': '📅 منذ شهر',
+    'reviews.4.avatar': 'خ',
+    'reviews.4.name': 'خالد حسن',
+    'reviews.4.location': '📍 المنصورة - الدقهلية',
+    'reviews.4.text': '"منتج عبقري للحماية والأمان! جربت الصاعق الكهربائي وصوته قوي بيخوف فعلاً. مريحني إن بنتي تحمله معاها في الجامعة. البطارية تفضل شغالة فترة طويلة والتصميم شيك ومش ملفت للنظر."',
+    'reviews.4.date': '📅 منذ شهرين',
+    'reviews.5.avatar': 'ن',
+    'reviews.5.name': 'نورا عبدالرحمن',
+    'reviews.5.location': '📍 أسوان - صعيد مصر',
+    'reviews.5.text': '"الحمد لله إني اشتريته! واجهت موقف صعب في الشارع والصاعق ساعدني أفلت من الموقف بأمان. المنتج عملي وفعال، والمهم إنه قانوني ومش ممنوع. كل واحدة محتاجة تحمل حاجة زي دي للحماية."',
+    'reviews.5.date': '📅 منذ 3 أشهر',
+    'reviews.6.avatar': 'ع',
+    'reviews.6.name': 'عبدالله سمير',
+    'reviews.6.location': '📍 الأقصر - صعيد مصر',
+    'reviews.6.text': '"منتج ممتاز للأمان الشخصي والعائلي. الصاعق الكهربائي قوي بما فيه الكفاية للردع بدون ضرر دائم. اشتريت واحد لكل فرد في العيلة. الكشاف مفيد في أعمال الصيانة والليزر واضح جداً. سعر ممتاز لجودة عالية."',
+    'reviews.6.date': '📅 منذ 4 أشهر',
+    'reviews.photosTitle': '📱 صور حقيقية من عملائنا',
+    'reviews.photosSubtitle': 'شاهد تجارب العملاء الحقيقية مع المنتج',
+    'reviews.photo.light': 'تقييم عميل حقيقي - إضاءة قوية',
+    'reviews.photo.quality': 'تقييم عميل حقيقي - جودة ممتازة',
+    'reviews.photo.usage': 'تقييم عميل حقيقي - استخدام عملي',
+    'reviews.photo.design': 'تقييم عميل حقيقي - تصميم أنيق',
+    'reviews.photo.performance': 'تقييم عميل حقيقي - أداء مميز',
+    'reviews.photo.waterproof': 'تقييم عميل حقيقي - مقاوم للماء',
+    'reviews.photo.battery': 'تقييم عميل حقيقي - بطارية طويلة',
+    'reviews.photo.laser': 'تقييم عميل حقيقي - ليزر قوي',
+    'reviews.photo.easy': 'تقييم عميل حقيقي - سهل الاستخدام',
+    'reviews.photo.delivery': 'تقييم عميل حقيقي - توصيل سريع',
+
+    'form.title': '🛒 اطلب الآن واحصل على خصم فوري!',
+    'form.name.label': '👤 الاسم الكامل *',
+    'form.name.placeholder': 'أدخل اسمك الكامل',
+    'form.phone.label': '📞 رقم الهاتف *',
+    'form.whatsapp.label': '📱 رقم الواتساب (اختياري)',
+    'form.quantity.label': '📦 الكمية المطلوبة *',
+    'form.quantity.placeholder': 'اختر الكمية',
+    'form.governorate.label': '📍 المحافظة *',
+    'form.governorate.placeholder': 'اختر المحافظة',
+    'form.city.label': '🏙️ المدينة / المنطقة *',
+    'form.city.placeholder': 'مثال: مدينة نصر',
+    'form.address.label': '🏠 الشارع ورقم العقار *',
+    'form.address.placeholder': 'اسم الشارع - رقم العقار - الدور والشقة',
+    'form.landmark.label': '🧭 علامة مميزة (اختياري)',
+    'form.landmark.placeholder': 'مثل: بجوار البنك أو الصيدلية',
+    'form.coupon.label': '🎟️ كود الخصم (اختياري)',
+    'form.coupon.placeholder': 'أدخل كود الخصم',
+    'form.coupon.apply': 'تطبيق',
+    'form.submit': '🚀 أرسل الطلب الآن - دفع عند الاستلام',
+    'form.sending': '⏳ جاري إرسال الطلب...',
+    'form.trust': '🔒 معلوماتك محمية بالكامل | 🚚 شحن لجميع المحافظات يبدأ من {shippingFrom} | ⚡ مدة التوصيل حسب المحافظة',
+    'form.draft.notice': '💾 بياناتك محفوظة على هذا الجهاز لتكملة الطلب لاحقاً.',
+    'form.draft.clear': 'مسح بياناتي',
+    'form.shippingEstimate': '🚚 الشحن إلى {governorate}: {fee} - التوصيل خلال {delivery}',
+
+    'form.errors.nameRequired': 'الاسم مطلوب',
+    'form.errors.nameShort': 'الاسم قصير جداً',
+    'form.errors.governorate': 'يرجى اختيار المحافظة',
+    'form.errors.city': 'يرجى كتابة المدينة أو المنطقة',
+    'form.errors.addressRequired': 'العنوان مطلوب',
+    'form.errors.addressShort': 'يرجى كتابة اسم الشارع ورقم العقار',
+    'form.errors.offerChanged': 'تم تحديث سعر العرض، يرجى مراجعة الإجمالي ثم إرسال الطلب',
+
+    // رموز الأخطاء من js/phone-validator.js و api/coupons.js (errorCode)
+    'errors.phone.required': 'رقم الهاتف مطلوب',
+    'errors.phone.digits': 'رقم الهاتف يجب أن يحتوي على أرقام فقط',
+    'errors.phone.country': 'يرجى إدخال رقم موبايل مصري',
+    'errors.phone.length': 'رقم الموبايل المصري يتكون من 11 رقم',
+    'errors.phone.prefix': 'رقم الموبايل يجب أن يبدأ بـ 010 أو 011 أو 012 أو 015',
+    'errors.coupon.required': 'يرجى إدخال كود الخصم',
+    'errors.coupon.invalid': 'كود الخصم غير صحيح',
+    'errors.coupon.notStarted': 'كود الخصم غير مفعل بعد',
+    'errors.coupon.expired': 'انتهت صلاحية كود الخصم',
+    'errors.coupon.used': 'تم استخدام كود الخصم بالفعل لهذا الرقم',
+    'errors.coupon.unavailable': 'تعذر التحقق من كود الخصم، حاول مرة أخرى أو امسح الكود لإكمال الطلب',
+
+    'coupon.applied': '✅ تم تطبيق الكود: {description}',
+    'coupon.percent': 'خصم {value}%',
+    'coupon.fixed': 'خصم {amount}',
+    'coupon.freeShipping': 'شحن مجاني',
+
+    'summary.title': '🧾 ملخص الطلب',
+    'summary.unitPrice': 'سعر القطعة',
+    'summary.quantity': 'الكمية',
+    'summary.discount': 'خصم العرض',
+    'summary.coupon': 'كود الخصم',
+    'summary.couponCode': 'كود الخصم ({code})',
+    'summary.shipping': 'الشحن',
+    'summary.total': 'الإجمالي (الدفع عند الاستلام)',
+    'summary.chooseGovernorate': 'اختر المحافظة',
+    'summary.quantityValue': '{quantity} × {price}',
+    'summary.freeShipping': 'شحن مجاني 🎉',
+    'summary.shippingValue': '{fee} ({governorate})',
+    'summary.plusShipping': '{amount} + الشحن',
+
+    'duplicate.title': 'لديك طلب سابق بالفعل',
+    'duplicate.text': 'لقد طلبت {offer} من هذا الرقم {time}.',
+    'duplicate.question': 'طلبك السابق تم تسجيله وسنتواصل معك قريباً. هل تريد تأكيد طلب آخر جديد؟',
+    'duplicate.product': 'المنتج',
+    'duplicate.confirm': 'نعم، طلب جديد',
+    'duplicate.cancel': 'لا، إلغاء',
+
+    'error.title': 'حدث خطأ في الإرسال',
+    'error.retry': 'يرجى المحاولة مرة أخرى',
+    'error.contact': 'أو التواصل معنا مباشرة',
+    'error.help': '📞 اتصل بنا أو أرسل على الواتساب',
+    'error.technical': 'خطأ تقني: {error}',
+    'error.whatsapp': '💬 أرسل طلبك على واتساب',
+    'error.close': 'إغلاق',
+
+    'socialProof.orderTitle': '{name} - {governorate}',
+    'socialProof.ordered.one': 'طلب منتج الصاعق والكشاف والليزر 3 في 1',
+    'socialProof.ordered.two': 'طلب قطعتين من منتج الصاعق والكشاف والليزر 3 في 1',
+    'socialProof.ordered.few': 'طلب {count} قطع من منتج الصاعق والكشاف والليزر 3 في 1',
+    'socialProof.ordered.other': 'طلب {count} قطعة من منتج الصاعق والكشاف والليزر 3 في 1',
+    'socialProof.governorateToday': '{orders} اليوم من {governorate}',
+    'socialProof.todayTitle': 'طلبات اليوم',
+    'socialProof.todayTotal': '{orders} اليوم على منتج الصاعق والكشاف والليزر 3 في 1',
+    'socialProof.orders.one': 'طلب واحد',
+    'socialProof.orders.two': 'طلبان',
+    'socialProof.orders.few': '{count} طلبات',
+    'socialProof.orders.other': '{count} طلب',
+
+    'footer.copyright': '© 2025 منتج الصاعق والكشاف والليزر 3 في 1. جميع الحقوق محفوظة',
+    'footer.track': '📍 تتبع طلبك',
+    'footer.privacy': '🔒 سياسة الخصوصية',
+    'footer.returns': '🔄 سياسة الاستبدال والاسترجاع',
+    'footer.consent': '⚙️ إعدادات الخصوصية',
+    'footer.support': '📞 خدمة العملاء متاحة 24/7 | 🇪🇬 صنع خصيصاً للسوق المصري',
+
+    'consent.label': 'موافقة ملفات تعريف الارتباط',
+    'consent.text': '🍪 نستخدم بكسلات الإعلانات (TikTok وغيرها) لقياس نتائج إعلاناتنا وتحسينها. لن يتم إرسال أي بيانات تتبع قبل موافقتك.',
+    'consent.privacyPolicy': 'سياسة الخصوصية',
+    'consent.accept': 'قبول',
+    'consent.reject': 'رفض',
+    'consent.settings': 'الإعدادات',
+    'consent.preferencesTitle': '⚙️ إعدادات الخصوصية',
+    'consent.necessary.title': 'ضرورية',
+    'consent.necessary.text': 'تشغيل الموقع وإرسال طلبك وحفظه عند انقطاع الاتصال. لا يمكن تعطيلها.',
+    'consent.marketing.title': 'قياس الإعلانات (TikTok / Meta / Google / Snap)',
+    'consent.marketing.text': 'معرفة الإعلانات التي أوصلتك إلينا وعدد الطلبات الناتجة عنها، والاتصال بك لمساعدتك إذا لم تكمل طلبك.',
+    'consent.save': 'حفظ الاختيارات',
+    'consent.acceptAll': 'قبول الكل',
+
+    'confirmation.meta.title': 'تأكيد الطلب - منتج الصاعق والكشاف والليزر 3 في 1',
+    'confirmation.sent.title': 'تم تأكيد طلبك بنجاح!',
+    'confirmation.sent.subtitle': 'شكراً لك لاختيار منتج الصاعق والكشاف والليزر 3 في 1',
+    'confirmation.pending.title': 'تم حفظ طلبك',
+    'confirmation.pending.subtitle': 'سيتم إرسال طلبك تلقائياً فور عودة الاتصال بالإنترنت',
+    'confirmation.rejected.title': 'لم يتم تسجيل طلبك',
+    'confirmation.rejected.subtitle': 'يمكنك إرسال طلبك على واتساب بدلاً من ذلك',
+    'confirmation.rejected.notice': 'لم نتمكن من تسجيل طلبك',
+    'confirmation.rejected.text': 'أرسل طلبك على واتساب وسيقوم فريقنا بتسجيله وتأكيده معك',
+    'confirmation.rejected.whatsapp': '💬 أرسل طلبك على واتساب',
+    'confirmation.notFound.title': 'لم نعثر على تفاصيل الطلب',
+    'confirmation.notFound.subtitle': 'رابط صفحة التأكيد صالح لفترة قصيرة وعلى نفس الجهاز فقط',
+    'confirmation.notFound.once': 'تفاصيل الطلب تظهر مرة واحدة فقط على نفس الجهاز بعد إرسال الطلب مباشرة.',
+    'confirmation.notFound.contact': 'إذا كنت قد أرسلت طلبك بالفعل فقد وصلنا وسيتواصل معك فريقنا لتأكيده، ويمكنك التواصل معنا في أي وقت للاستفسار.',
+    'confirmation.orderNumber': 'رقم الطلب: #',
+    'confirmation.orderIdPending': 'يصدر بعد الإرسال',
+    'confirmation.sync.title': 'طلبك محفوظ على جهازك',
+    'confirmation.sync.text': 'لا تغلق المتصفح نهائياً - سيتم إرسال الطلب تلقائياً فور عودة الاتصال بالإنترنت وسيتواصل معك فريقنا لتأكيده',
+    'confirmation.customer.title': '👤 بيانات العميل',
+    'confirmation.customer.name': 'الاسم:',
+    'confirmation.customer.phone': 'رقم الهاتف:',
+    'confirmation.customer.whatsapp': 'الواتساب:',
+    'confirmation.customer.address': 'العنوان:',
+    'confirmation.customer.date': 'تاريخ الطلب:',
+    'confirmation.notSpecified': 'غير محدد',
+    'confirmation.product.title': '📦 تفاصيل المنتج',
+    'confirmation.product.label': 'المنتج:',
+    'confirmation.product.name': 'منتج الصاعق والكشاف والليزر 3 في 1',
+    'confirmation.product.quantity': 'الكمية:',
+    'confirmation.product.offer': 'العرض:',
+    'confirmation.invoice.title': '🧾 فاتورة الطلب',
+    'confirmation.invoice.price': 'سعر المنتج:',
+    'confirmation.invoice.shipping': 'رسوم الشحن:',
+    'confirmation.invoice.coupon': 'كود الخصم ({code}):',
+    'confirmation.invoice.total': 'المجموع الكلي:',
+    'confirmation.shipping.title': '🚚 معلومات الشحن والتوصيل',
+    'confirmation.shipping.text': 'سيتم توصيل طلبك خلال {delivery} إلى {governorate}',
+    'confirmation.shipping.defaultDelivery': '24-48 ساعة',
+    'confirmation.shipping.allGovernorates': 'جميع محافظات مصر',
+    'confirmation.shipping.payment': '💳 طريقة الدفع',
+    'confirmation.shipping.cod': 'الدفع عند الاستلام',
+    'confirmation.shipping.duration': '⏰ مدة التوصيل',
+    'confirmation.shipping.coverage': '📍 التغطية',
+    'confirmation.contact.title': '📞 هل تحتاج مساعدة؟',
+    'confirmation.contact.text': 'فريق خدمة العملاء متاح 24/7 لخدمتك',
+    'confirmation.contact.call': '📱 اتصل بنا',
+    'confirmation.contact.whatsapp': '💬 واتساب',
+    'confirmation.contact.confirmWhatsapp': '✅ أكد طلبك على واتساب',
+    'confirmation.contact.message': 'مرحباً، أريد الاستفسار عن طلبي',
+    'confirmation.contact.messageWithId': 'مرحباً، أريد الاستفسار عن طلبي رقم #{orderId}',
+    'confirmation.back': 'العودة إلى الموقع الرئيسي',
+    'confirmation.contact.track': '📍 تتبع طلبك',
+
+    'track.meta.title': 'تتبع طلبك - منتج الصاعق والكشاف والليزر 3 في 1',
+    'track.title': 'تتبع طلبك',
+    'track.subtitle': 'أدخل رقم الطلب ورقم الهاتف المستخدم في الطلب لمعرفة حالته',
+    'track.orderId.label': '🧾 رقم الطلب',
+    'track.orderId.placeholder': 'مثال: 288-261018-123456',
+    'track.phone.label': '📱 رقم الهاتف',
+    'track.phone.placeholder': '01xxxxxxxxx',
+    'track.submit': '🔍 عرض حالة الطلب',
+    'track.searching': '⏳ جاري البحث...',
+    'track.privacy': 'حفاظاً على خصوصيتك، لا تظهر حالة الطلب إلا برقم الطلب ورقم الهاتف معاً.',
+    'track.errors.orderId': 'رقم الطلب غير صحيح - تجده في صفحة التأكيد بالشكل 288-XXXXXX-XXXXXX',
+    'track.errors.notFound': 'لم نعثر على طلب بهذا الرقم وهذا الهاتف. تأكد من البيانات أو تواصل معنا على الواتساب',
+    'track.errors.tooMany': 'محاولات كثيرة، يرجى المحاولة بعد قليل',
+    'track.errors.unavailable': 'خدمة التتبع غير متاحة حالياً، يرجى التواصل معنا على الواتساب',
+    'track.errors.network': 'تعذر الاتصال، تأكد من الإنترنت وحاول مرة أخرى',
+    'track.result.title': 'طلب رقم #{orderId}',
+    'track.result.summary': '{quantity} - الإجمالي {total}',
+    'track.result.delivery': 'التوصيل إلى {governorate} خلال {delivery} من الشحن',
+    'track.step.new': 'تم استلام الطلب',
+    'track.step.confirmed': 'تم تأكيد الطلب بالهاتف',
+    'track.step.shipped': 'تم الشحن',
+    'track.step.delivered': 'تم التسليم',
+    'track.step.pending': 'في الانتظار',
+    'track.status.cancelled': '❌ تم إلغاء هذا الطلب',
+    'track.status.returned': '↩️ تم إرجاع هذا الطلب',
+    'track.shipment': 'شركة الشحن: {courier}',
+    'track.shipmentReference': 'رقم الشحنة:',
+    'track.help': 'لديك سؤال عن طلبك؟',
+    'track.whatsapp': '💬 تواصل معنا على واتساب',
+    'track.back': 'العودة إلى الموقع الرئيسي'
+};
@@ -0,0 +1,330 @@
+// Police 288 Messages (en) - v2.2.0
+// الترجمة الإنجليزية - نفس مفاتيح js/i18n/ar.js (أي مفتاح ناقص يظهر بالعربية مع تحذير في الـ console)
+
+I18N_MESSAGES.en = {
+    'language.switch': 'العربية',
+    'language.switchLabel': 'التبديل إلى العربية',
+
+    'meta.title': '3-in-1 Stun Gun, Flashlight & Laser - The Most Powerful Protection in Egypt',
+    'meta.description': 'Get the 3-in-1 stun gun, flashlight and laser for {price} instead of {listPrice}. Shipping to all of Egypt from {shippingFrom}, cash on delivery',
+
+    'currency.amount': 'EGP {amount}',
+    'time.now': 'just now',
+    'delivery.days.one': '{min}-{max} day',
+    'delivery.days.other': '{min}-{max} days',
+    'quantity.pieces.one': '1 piece',
+    'quantity.pieces.other': '{count} pieces',
+
+    'header.title': '🔦 3-in-1 Stun Gun, Flashlight & Laser - The Strongest Self-Defense Tool',
+    'nav.order': 'Order now',
+
+    'hero.videoAlt': '3-in-1 stun gun, flashlight and laser showcase',
+    'hero.videoTitle': '3-in-1 stun gun, flashlight and laser showcase with the electric stun function',
+    'hero.autoplay': '🎬 Starting automatically in a few seconds...',
+
+    'product.title': '3-in-1 Protection Flashlight - The Strongest in Egypt',
+    'product.bannerTitle': '⚡ Stun gun + 🔦 Flashlight + 🔴 Red laser',
+    'product.bannerText': 'The ideal solution for personal protection and self-defense',
+    'feature.light.title': 'Super bright light',
+    'feature.light.text': '1200 lumens with a 500 m range for clear vision',
+    'feature.laser.title': 'Powerful red laser',
+    'feature.laser.text': 'Multi-purpose laser pointer for presentations and training',
+    'feature.battery.title': 'Long-lasting battery',
+    'feature.battery.text': 'Runs 9 hours straight - rechargeable or regular batteries',
+    'feature.waterproof.title': 'Water resistant',
+    'feature.waterproof.text': 'IPX4 water resistance rating - ideal for all conditions',
+    'feature.safety.title': 'Family safety',
+    'feature.safety.text': 'A safe and legal self-defense tool',
+
+    'demo.title': '🎬 See the product in action',
+    'demo.subtitle': 'A live demo of all three functions',
+    'demo.unsupported': 'Your browser does not support video playback.',
+    'demo.download': 'Click here to download the video',
+    'demo.play': 'Watch the demo',
+    'demo.stun': 'Electric stun gun',
+    'demo.flashlight': 'High-brightness flashlight',
+    'demo.laser': 'Red laser',
+
+    'safety.title': '🔐 Safe and legal for personal use',
+    'safety.text': 'Designed for personal protection in emergencies. Effective and safe to use.',
+
+    'price.headline': '🔥 Special offer!',
+    'price.bundlePrefix': '💎 Two pieces for',
+    'price.bundleSuffix': 'only!',
+    'price.perks': '✅ Cash on delivery ✅ Shipping to all of Egypt from {shippingFrom} ✅ 6-month warranty ✅ Legal personal protection product',
+
+    'offers.single.label': 'One piece',
+    'offers.single.title': 'One piece - special offer',
+    'offers.bundle-2.label': 'Two pieces',
+    'offers.bundle-2.title': 'Two pieces - best value',
+    'offers.option': '{label} - {price}{savings} {badge}{schedule}',
+    'offers.savings': ' (save {amount}!)',
+    'countdown.days.one': '1 day',
+    'countdown.days.other': '{count} days',
+    'countdown.withDays': '{days} {clock}',
+    'countdown.ends': 'Offer ends {date} (Cairo time)',
+
+    'gallery.title': '📸 Exclusive product gallery',
+    'gallery.slide1': '3-in-1 stun gun, flashlight and laser - main photo',
+    'gallery.slide2': 'Police 288 flashlight - full product view',
+    'gallery.slide3': 'Police 288 flashlight with laser and light functions',
+    'gallery.slide4': 'Police 288 flashlight details and parts',
+    'gallery.slide5': 'Police 288 flashlight - high quality photo',
+    'gallery.sliderLabel': 'Product photos',
+    'gallery.prev': 'Previous photo',
+    'gallery.next': 'Next photo',
+    'gallery.thumb1': 'Main flashlight photo',
+    'gallery.thumb2': 'Full flashlight view',
+    'gallery.thumb3': 'The flashlight\'s functions',
+    'gallery.thumb4': 'Product details and parts',
+    'gallery.thumb5': 'High quality flashlight photo',
+    'gallery.zoomed': 'Enlarged photo',
+
+    'carousel.role': 'carousel',
+    'carousel.slideRole': 'slide',
+    'carousel.slide': '{index} of {total}',
+    'carousel.goTo': 'Photo {index}',
+    'lightbox.close': 'Close',
+
+    'reviews.title': '⭐ What our customers say',
+    'reviews.subtitle': 'Real customer experiences with the Police 288 flashlight',
+    'reviews.stat.rating': 'Product rating',
+    'reviews.stat.customers': 'Happy customers',
+    'reviews.stat.satisfaction': 'Satisfaction rate',
+    'reviews.stat.support': 'Customer support',
+    'reviews.1.avatar': 'A',
+    'reviews.1.name': 'Ahmed Mohamed',
+    'reviews.1.location': '📍 Cairo - Heliopolis',
+    'reviews.1.text': '"A great product for personal protection! The stun gun is strong and effective - I used it once when I was harassed on the street and it really helped. The flashlight is powerful and the laser is clear. I recommend every girl carry one for safety."',
+    'reviews.1.date': '📅 2 weeks ago',
+    'reviews.2.avatar': 'M',
+    'reviews.2.name': 'Mohamed Saeed',
+    'reviews.2.location': '📍 Alexandria - Sidi Gaber',
+    'reviews.2.text': '"I bought it for my son at university. The stun gun gives a sense of safety and confidence. The 3-in-1 device is very practical: a strong flashlight for walking at night and a useful laser. Most importantly, it is safe and legal for self-defense."',
+    'reviews.2.date': '📅 3 weeks ago',
+    'reviews.3.avatar': 'F',
+    'reviews.3.name': 'Fatma Ahmed',
+    'reviews.3.location': '📍 Giza - Dokki',
+    'reviews.3.text': '"The best investment in personal safety! I work night shifts and this has become a must for me. The stun gun makes a loud sound that scares off anyone who tries to get close, and the flashlight lights up the whole road. I feel much safer."',
+    'reviews.3.date': '📅 1 month ago',
+    'reviews.4.avatar': 'K',
+    'reviews.4.name': 'Khaled Hassan',
+    'reviews.4.location': '📍 Mansoura - Dakahlia',
+    'reviews.4.text': '"A brilliant product for protection and safety! I tried the stun gun and its sound is genuinely intimidating. It gives me peace of mind that my daughter carries it at university. The battery lasts a long time and the design is stylish and discreet."',
+    'reviews.4.date': '📅 2 months ago',
+    'reviews.5.avatar': 'N',
+    'reviews.5.name': 'Nora Abdelrahman',
+    'reviews.5.location': '📍 Aswan - Upper Egypt',
+    'reviews.5.text': '"Thank God I bought it! I was in a difficult situation on the street and the stun gun helped me get away safely. The product is practical and effective, and importantly it is legal. Every woman needs to carry something like this for protection."',
+    'reviews.5.date': '📅 3 months ago',
+    'reviews.6.avatar': 'A',
+    'reviews.6.name': 'Abdallah Samir',
+    'reviews.6.location': '📍 Luxor - Upper Egypt',
+    'reviews.6.text': '"An excellent product for personal and family safety. The stun gun is strong enough to deter without lasting harm. I bought one for everyone in the family. The flashlight is handy for maintenance work and the laser is very clear. Great price for high quality."',
+    'reviews.6.date': '📅 4 months ago',
+    'reviews.photosTitle': '📱 Real photos from our customers',
+    'reviews.photosSubtitle': 'See real customer experiences with the product',
+    'reviews.photo.light': 'Real customer review - powerful light',
+    'reviews.photo.quality': 'Real customer review - excellent quality',
+    'reviews.photo.usage': 'Real customer review - everyday use',
+    'reviews.photo.design': 'Real customer review - elegant design',
+    'reviews.photo.performance': 'Real customer review - great performance',
+    'reviews.photo.waterproof': 'Real customer review - water resistant',
+    'reviews.photo.battery': 'Real customer review - long battery life',
+    'reviews.photo.laser': 'Real customer review - strong laser',
+    'reviews.photo.easy': 'Real customer review - easy to use',
+    'reviews.photo.delivery': 'Real customer review - fast delivery',
+
+    'form.title': '🛒 Order now and get an instant discount!',
+    'form.name.label': '👤 Full name *',
+    'form.name.placeholder': 'Enter your full name',
+    'form.phone.label': '📞 Phone number *',
+    'form.whatsapp.label': '📱 WhatsApp number (optional)',
+    'form.quantity.label': '📦 Quantity *',
+    'form.quantity.placeholder': 'Choose quantity',
+    'form.governorate.label': '📍 Governorate *',
+    'form.governorate.placeholder': 'Choose governorate',
+    'form.city.label': '🏙️ City / area *',
+    'form.city.placeholder': 'e.g. Nasr City',
+    'form.address.label': '🏠 Street and building number *',
+    'form.address.placeholder': 'Street name - building number - floor and apartment',
+    'form.landmark.label': '🧭 Landmark (optional)',
+    'form.landmark.placeholder': 'e.g. next to the bank or pharmacy',
+    'form.coupon.label': '🎟️ Discount code (optional)',
+    'form.coupon.placeholder': 'Enter discount code',
+    'form.coupon.apply': 'Apply',
+    'form.submit': '🚀 Place order now - cash on delivery',
+    'form.sending': '⏳ Sending your order...',
+    'form.trust': '🔒 Your information is fully protected | 🚚 Shipping to all governorates from {shippingFrom} | ⚡ Delivery time depends on governorate',
+    'form.draft.notice': '💾 Your details are saved on this device so you can finish your order later.',
+    'form.draft.clear': 'Clear my details',
+    'form.shippingEstimate': '🚚 Shipping to {governorate}: {fee} - delivery in {delivery}',
+
+    'form.errors.nameRequired': 'Name is required',
+    'form.errors.nameShort': 'Name is too short',
+    'form.errors.governorate': 'Please choose a governorate',
+    'form.errors.city': 'Please enter the city or area',
+    'form.errors.addressRequired': 'Address is required',
+    'form.errors.addressShort': 'Please enter the street name and building number',
+    'form.errors.offerChanged': 'The offer price has been updated, please review the total and place the order again',
+
+    'errors.phone.required': 'Phone number is required',
+    'errors.phone.digits': 'Phone number must contain digits only',
+    'errors.phone.country': 'Please enter an Egyptian mobile number',
+    'errors.phone.length': 'Egyptian mobile numbers are 11 digits',
+    'errors.phone.prefix': 'Mobile number must start with 010, 011, 012 or 015',
+    'errors.coupon.required': 'Please enter a discount code',
+    'errors.coupon.invalid': 'Invalid discount code',
+    'errors.coupon.notStarted': 'This discount code is not active yet',
+    'errors.coupon.expired': 'This discount code has expired',
+    'errors.coupon.used': 'This discount code has already been used for this number',
+    'errors.coupon.unavailable': 'Could not check the discount code. Try again or clear the code to complete your order',
+
+    'coupon.applied': '✅ Code applied: {description}',
+    'coupon.percent': '{value}% off',
+    'coupon.fixed': '{amount} off',
+    'coupon.freeShipping': 'Free shipping',
+
+    'summary.title': '🧾 Order summary',
+    'summary.unitPrice': 'Unit price',
+    'summary.quantity': 'Quantity',
+    'summary.discount': 'Offer discount',
+    'summary.coupon': 'Discount code',
+    'summary.couponCode': 'Discount code ({code})',
+    'summary.shipping': 'Shipping',
+    'summary.total': 'Total (cash on delivery)',
+    'summary.chooseGovernorate': 'Choose governorate',
+    'summary.quantityValue': '{quantity} × {price}',
+    'summary.freeShipping': 'Free shipping 🎉',
+    'summary.shippingValue': '{fee} ({governorate})',
+    'summary.plusShipping': '{amount} + shipping',
+
+    'duplicate.title': 'You already have an order',
+    'duplicate.text': 'You ordered {offer} from this number {time}.',
+    'duplicate.question': 'Your previous order has been received and we will contact you soon. Do you want to place another new order?',
+    'duplicate.product': 'the product',
+    'duplicate.confirm': 'Yes, new order',
+    'duplicate.cancel': 'No, cancel',
+
+    'error.title': 'Your order could not be sent',
+    'error.retry': 'Please try again',
+    'error.contact': 'or contact us directly',
+    'error.help': '📞 Call us or message us on WhatsApp',
+    'error.technical': 'Technical error: {error}',
+    'error.whatsapp': '💬 Send your order on WhatsApp',
+    'error.close': 'Close',
+
+    'socialProof.orderTitle': '{name} - {governorate}',
+    'socialProof.ordered.one': 'ordered the 3-in-1 stun gun, flashlight and laser',
+    'socialProof.ordered.other': 'ordered {count} pieces of the 3-in-1 stun gun, flashlight and laser',
+    'socialProof.governorateToday': '{orders} today from {governorate}',
+    'socialProof.todayTitle': 'Today\'s orders',
+    'socialProof.todayTotal': '{orders} today for the 3-in-1 stun gun, flashlight and laser',
+    'socialProof.orders.one': '1 order',
+    'socialProof.orders.other': '{count} orders',
+
+    'footer.copyright': '© 2025 3-in-1 Stun Gun, Flashlight & Laser. All rights reserved',
+    'footer.track': '📍 Track your order',
+    'footer.privacy': '🔒 Privacy policy',
+    'footer.returns': '🔄 Exchange and return policy',
+    'footer.consent': '⚙️ Privacy settings',
+    'footer.support': '📞 Customer service available 24/7 | 🇪🇬 Made for the Egyptian market',
+
+    'consent.label': 'Cookie consent',
+    'consent.text': '🍪 We use advertising pixels (TikTok and others) to measure and improve our ads. No tracking data is sent before you agree.',
+    'consent.privacyPolicy': 'Privacy policy',
+    'consent.accept': 'Accept',
+    'consent.reject': 'Reject',
+    'consent.settings': 'Settings',
+    'consent.preferencesTitle': '⚙️ Privacy settings',
+    'consent.necessary.title': 'Necessary',
+    'consent.necessary.text': 'Running the site, sending your order and saving it when you are offline. Cannot be disabled.',
+    'consent.marketing.title': 'Ad measurement (TikTok / Meta / Google / Snap)',
+    'consent.marketing.text': 'Knowing which ads brought you to us and how many orders they produced, and calling you to help if you do not finish your order.',
+    'consent.save': 'Save choices',
+    'consent.acceptAll': 'Accept all',
+
+    'confirmation.meta.title': 'Order confirmation - 3-in-1 Stun Gun, Flashlight & Laser',
+    'confirmation.sent.title': 'Your order is confirmed!',
+    'confirmation.sent.subtitle': 'Thank you for choosing the 3-in-1 stun gun, flashlight and laser',
+    'confirmation.pending.title': 'Your order is saved',
+    'confirmation.pending.subtitle': 'Your order will be sent automatically as soon as you are back online',
+    'confirmation.rejected.title': 'Your order was not registered',
+    'confirmation.rejected.subtitle': 'You can send your order on WhatsApp instead',
+    'confirmation.rejected.notice': 'We could not register your order',
+    'confirmation.rejected.text': 'Send your order on WhatsApp and our team will register and confirm it with you',
+    'confirmation.rejected.whatsapp': '💬 Send your order on WhatsApp',
+    'confirmation.notFound.title': 'Order details not found',
+    'confirmation.notFound.subtitle': 'The confirmation link only works for a short time and on the same device',
+    'confirmation.notFound.once': 'Order details are shown only once, on the same device, right after the order is sent.',
+    'confirmation.notFound.contact': 'If you already sent your order, we have received it and our team will contact you to confirm it. You can contact us any time with questions.',
+    'confirmation.orderNumber': 'Order number: #',
+    'confirmation.orderIdPending': 'Issued once sent',
+    'confirmation.sync.title': 'Your order is saved on your device',
+    'confirmation.sync.text': 'Do not close the browser completely - the order will be sent automatically when the connection is back and our team will contact you to confirm it',
+    'confirmation.customer.title': '👤 Customer details',
+    'confirmation.customer.name': 'Name:',
+    'confirmation.customer.phone': 'Phone:',
+    'confirmation.customer.whatsapp': 'WhatsApp:',
+    'confirmation.customer.address': 'Address:',
+    'confirmation.customer.date': 'Order date:',
+    'confirmation.notSpecified': 'Not specified',
+    'confirmation.product.title': '📦 Product details',
+    'confirmation.product.label': 'Product:',
+    'confirmation.product.name': '3-in-1 Stun Gun, Flashlight & Laser',
+    'confirmation.product.quantity': 'Quantity:',
+    'confirmation.product.offer': 'Offer:',
+    'confirmation.invoice.title': '🧾 Order invoice',
+    'confirmation.invoice.price': 'Product price:',
+    'confirmation.invoice.shipping': 'Shipping fee:',
+    'confirmation.invoice.coupon': 'Discount code ({code}):',
+    'confirmation.invoice.total': 'Total:',
+    'confirmation.shipping.title': '🚚 Shipping and delivery',
+    'confirmation.shipping.text': 'Your order will be delivered within {delivery} to {governorate}',
+    'confirmation.shipping.defaultDelivery': '24-48 hours',
+    'confirmation.shipping.allGovernorates': 'all governorates of Egypt',
+    'confirmation.shipping.payment': '💳 Payment method',
+    'confirmation.shipping.cod': 'Cash on delivery',
+    'confirmation.shipping.duration': '⏰ Delivery time',
+    'confirmation.shipping.coverage': '📍 Coverage',
+    'confirmation.contact.title': '📞 Need help?',
+    'confirmation.contact.text': 'Our customer service team is available 24/7',
+    'confirmation.contact.call': '📱 Call us',
+    'confirmation.contact.whatsapp': '💬 WhatsApp',
+    'confirmation.contact.confirmWhatsapp': '✅ Confirm your order on WhatsApp',
+    'confirmation.contact.message': 'Hello, I have a question about my order',
+    'confirmation.contact.messageWithId': 'Hello, I have a question about my order #{orderId}',
+    'confirmation.back': 'Back to the main site',
+    'confirmation.contact.track': '📍 Track your order',
+
+    'track.meta.title': 'Track your order - 3-in-1 Stun Gun, Flashlight & Laser',
+    'track.title': 'Track your order',
+    'track.subtitle': 'Enter your order number and the phone number used for the order to see its status',
+    'track.orderId.label': '🧾 Order number',
+    'track.orderId.placeholder': 'e.g. 288-261018-123456',
+    'track.phone.label': '📱 Phone number',
+    'track.phone.placeholder': '01xxxxxxxxx',
+    'track.submit': '🔍 Show order status',
+    'track.searching': '⏳ Searching...',
+    'track.privacy': 'To protect your privacy, the order status is only shown with both the order number and the phone number.',
+    'track.errors.orderId': 'Invalid order number - you can find it on the confirmation page as 288-XXXXXX-XXXXXX',
+    'track.errors.notFound': 'We could not find an order with this number and phone. Check the details or contact us on WhatsApp',
+    'track.errors.tooMany': 'Too many attempts, please try again later',
+    'track.errors.unavailable': 'Order tracking is not available right now, please contact us on WhatsApp',
+    'track.errors.network': 'Could not connect, check your internet connection and try again',
+    'track.result.title': 'Order #{orderId}',
+    'track.result.summary': '{quantity} - total {total}',
+    'track.result.delivery': 'Delivery to {governorate} within {delivery} after shipping',
+    'track.step.new': 'Order received',
+    'track.step.confirmed': 'Confirmed by phone',
+    'track.step.shipped': 'Shipped',
+    'track.step.delivered': 'Delivered',
+    'track.step.pending': 'Pending',
+    'track.status.cancelled': '❌ This order was cancelled',
+    'track.status.returned': '↩️ This order was returned',
+    'track.shipment': 'Courier: {courier}',
+    'track.shipmentReference': 'Tracking number:',
+    'track.help': 'Have a question about your order?',
+    'track.whatsapp': '💬 Contact us on WhatsApp',
+    'track.back': 'Back to the main site'
+};
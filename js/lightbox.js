@@ -0,0 +1,401 @@
+// Police 288 Lightbox - v2.2.0
+// عرض الصور بحجم كامل كمعرض: السحب والأسهم للتنقل، التكبير بإصبعين أو بالنقر المزدوج مع التحريك، والوصف من alt الصورة
+// نافذة حوارية (focus trap + Escape)، وزر الرجوع في المتصفح يغلقها، والرابط #photo=reviews-3 يفتح صورة محددة
+//
+// أي عنصر بـ data-lightbox="<اسم المعرض>" يفتح المعرض عند الضغط عليه:
+// الصورة من data-lightbox-src أو من أول img بداخله، ونفس الصورة في معرض واحد تظهر مرة واحدة (السلايدر + الصور المصغرة)
+
+const LIGHTBOX_SWIPE_THRESHOLD = 50;
+const LIGHTBOX_DOUBLE_TAP_MS = 300;
+const LIGHTBOX_ZOOM = 2.5;
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_HASH_PATTERN = /^#photo=([\w-]+)-(\d+)$/;
+
+class Lightbox {
+    constructor(dialog) {
+        this.dialog = dialog;
+        this.stage = dialog.querySelector('[data-lightbox-stage]');
+        this.image = dialog.querySelector('[data-lightbox-image]');
+        this.caption = dialog.querySelector('[data-lightbox-caption]');
+        this.counter = dialog.querySelector('[data-lightbox-counter]');
+        this.galleries = {};
+        this.gallery = null;
+        this.index = 0;
+        this.opener = null;
+        this.pushedHistory = false;
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.moved = false;
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.listeners = [];
+
+        this.collectItems();
+        this.bindOpeners();
+        this.bindControls();
+        this.bindGestures();
+        this.bindHistory();
+        i18n.onChange(() => {
+            if (this.isOpen()) this.render();
+        });
+
+        this.openFromHash();
+    }
+
+    isOpen() {
+        return !this.dialog.hidden;
+    }
+
+    isRtl() {
+        return getComputedStyle(this.dialog).direction === 'rtl';
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // { gallery: [{ src, element }] } بترتيب الصفحة
+    collectItems() {
+        document.querySelectorAll('[data-lightbox]').forEach(element => {
+            const name = element.dataset.lightbox;
+            const img = element.querySelector('img');
+            const src = element.dataset.lightboxSrc || (img && img.getAttribute('src'));
+            if (!src) return;
+
+            const items = this.galleries[name] || (this.galleries[name] = []);
+            if (!items.some(item => item.src === src)) {
+                items.push({ src, element });
+            }
+        });
+    }
+
+    // الوصف بلغة الواجهة من alt (data-i18n-attr)
+    getCaption(item) {
+        const img = item.element.querySelector('img');
+        return item.element.dataset.lightboxCaption || (img ? img.alt : '');
+    }
+
+    bindOpeners() {
+        document.querySelectorAll('[data-lightbox]').forEach(element => {
+            const open = () => {
+                const items = this.galleries[element.dataset.lightbox] || [];
+                const img = element.querySelector('img');
+                const src = element.dataset.lightboxSrc || (img && img.getAttribute('src'));
+                const index = items.findIndex(item => item.src === src);
+                if (index !== -1) this.open(element.dataset.lightbox, index, { opener: element });
+            };
+
+            // العناصر div في HTML - يمكن فتحها من لوحة المفاتيح أيضاً
+            if (!element.matches('a, button')) {
+                element.setAttribute('role', 'button');
+                element.tabIndex = 0;
+            }
+            element.addEventListener('click', open);
+            element.addEventListener('keydown', e => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    open();
+                }
+            });
+        });
+    }
+
+    getHash() {
+        return `#photo=${this.gallery}-${this.index + 1}`;
+    }
+
+    // fromHistory: الرابط نفسه فيه #photo= (رابط مباشر أو زر التقدم في المتصفح)
+    open(gallery, index, { opener = null, fromHistory = false } = {}) {
+        const items = this.galleries[gallery];
+        if (!items || !items[index]) return;
+
+        const wasOpen = this.isOpen();
+        this.gallery = gallery;
+        this.index = index;
+
+        if (!wasOpen) {
+            this.opener = opener || document.activeElement;
+            if (!fromHistory) {
+                history.pushState({ lightbox: true }, '', this.getHash());
+            }
+            this.pushedHistory = !fromHistory || Boolean(history.state && history.state.lightbox);
+
+            this.dialog.hidden = false;
+            document.body.style.overflow = 'hidden';
+            document.addEventListener('keydown', this.onKeydown);
+            this.dialog.querySelector('[data-lightbox-close]').focus();
+        } else {
+            history.replaceState(history.state, '', this.getHash());
+        }
+
+        this.render();
+        this.emit(wasOpen ? 'navigate' : 'open');
+    }
+
+    // الإغلاق يرجع خطوة في المتصفح إذا فتحناها بـ pushState، فيبقى زر الرجوع بعدها للصفحة السابقة فعلاً
+    close() {
+        if (!this.isOpen()) return;
+
+        if (this.pushedHistory) {
+            history.back();
+            return;
+        }
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.hide();
+    }
+
+    hide() {
+        this.dialog.hidden = true;
+        this.pushedHistory = false;
+        this.resetZoom();
+        this.image.removeAttribute('src');
+        document.body.style.overflow = 'auto';
+        document.removeEventListener('keydown', this.onKeydown);
+
+        if (this.opener && document.contains(this.opener)) {
+            this.opener.focus();
+        }
+        this.opener = null;
+    }
+
+    step(direction, cause) {
+        const items = this.galleries[this.gallery];
+        this.index = (this.index + direction + items.length) % items.length;
+        history.replaceState(history.state, '', this.getHash());
+        this.render();
+        this.emit(cause);
+    }
+
+    emit(cause) {
+        const event = { gallery: this.gallery, index: this.index, total: this.galleries[this.gallery].length, cause };
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('❌ Lightbox listener failed:', error);
+            }
+        });
+    }
+
+    render() {
+        const items = this.galleries[this.gallery];
+        const item = items[this.index];
+
+        this.resetZoom();
+        this.image.src = item.src;
+        this.image.alt = this.getCaption(item);
+        this.caption.textContent = this.getCaption(item);
+        this.counter.textContent = i18n.t('carousel.slide', {
+            index: i18n.formatNumber(this.index + 1),
+            total: i18n.formatNumber(items.length)
+        });
+        this.dialog.querySelectorAll('[data-lightbox-prev], [data-lightbox-next]').forEach(button => {
+            button.hidden = items.length < 2;
+        });
+
+        // الصورة التالية والسابقة جاهزة قبل السحب
+        [-1, 1].forEach(offset => {
+            const neighbour = items[(this.index + offset + items.length) % items.length];
+            new Image().src = neighbour.src;
+        });
+    }
+
+    bindControls() {
+        this.dialog.querySelector('[data-lightbox-close]').addEventListener('click', () => this.close());
+        this.dialog.querySelector('[data-lightbox-prev]').addEventListener('click', () => this.step(-1, 'button'));
+        this.dialog.querySelector('[data-lightbox-next]').addEventListener('click', () => this.step(1, 'button'));
+
+        // الضغط على الخلفية حول الصورة يغلق (وليس بعد سحب أو تحريك)
+        this.stage.addEventListener('click', e => {
+            if (e.target === this.stage && !this.moved) this.close();
+        });
+
+        this.onKeydown = e => {
+            const forward = this.isRtl() ? 'ArrowLeft' : 'ArrowRight';
+            const backward = this.isRtl() ? 'ArrowRight' : 'ArrowLeft';
+
+            if (e.key === 'Escape') {
+                this.close();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(e);
+                return;
+            } else if (e.key === forward) {
+                this.step(1, 'keyboard');
+            } else if (e.key === backward) {
+                this.step(-1, 'keyboard');
+            } else {
+                return;
+            }
+            e.preventDefault();
+        };
+    }
+
+    // Tab و Shift+Tab يدوران بين أزرار النافذة فقط
+    trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll('button')).filter(button => !button.hidden);
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (!this.dialog.contains(document.activeElement)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    bindHistory() {
+        window.addEventListener('popstate', () => {
+            if (LIGHTBOX_HASH_PATTERN.test(window.location.hash)) {
+                this.openFromHash();
+            } else if (this.isOpen()) {
+                this.hide();
+            }
+        });
+    }
+
+    // رقم صورة أو معرض غير موجود يُتجاهل
+    openFromHash() {
+        const match = window.location.hash.match(LIGHTBOX_HASH_PATTERN);
+        if (!match) return;
+
+        const [, gallery, position] = match;
+        const items = this.galleries[gallery];
+        const index = Number(position) - 1;
+        if (!items || !items[index]) return;
+
+        if (this.isOpen()) {
+            this.gallery = gallery;
+            this.index = index;
+            this.render();
+            return;
+        }
+        this.open(gallery, index, { fromHistory: true });
+    }
+
+    // ===== التكبير والتحريك =====
+
+    applyZoom() {
+        const { scale, x, y } = this.zoom;
+        this.image.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+        this.dialog.classList.toggle('zoomed', scale > 1);
+    }
+
+    resetZoom() {
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.applyZoom();
+    }
+
+    // الصورة لا تخرج حوافها إلى داخل الشاشة أثناء التحريك
+    setZoom(scale, x, y) {
+        const clampedScale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(1, scale));
+        const maxX = (this.image.offsetWidth * (clampedScale - 1)) / 2;
+        const maxY = (this.image.offsetHeight * (clampedScale - 1)) / 2;
+
+        this.zoom = {
+            scale: clampedScale,
+            x: Math.min(maxX, Math.max(-maxX, x)),
+            y: Math.min(maxY, Math.max(-maxY, y))
+        };
+        this.applyZoom();
+    }
+
+    // تكبير حول النقطة التي تم النقر عليها، أو الرجوع للحجم الطبيعي
+    toggleZoom(clientX, clientY) {
+        if (this.zoom.scale > 1) {
+            this.resetZoom();
+            return;
+        }
+
+        const rect = this.image.getBoundingClientRect();
+        const offsetX = clientX - (rect.left + rect.width / 2);
+        const offsetY = clientY - (rect.top + rect.height / 2);
+        this.setZoom(LIGHTBOX_ZOOM, -offsetX * (LIGHTBOX_ZOOM - 1), -offsetY * (LIGHTBOX_ZOOM - 1));
+    }
+
+    getPinchDistance() {
+        const [a, b] = Array.from(this.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    // إصبع واحد: سحب للتنقل أو تحريك الصورة المكبرة، وإصبعين: تكبير (touch-action: none على .lightbox-stage)
+    bindGestures() {
+        this.stage.addEventListener('pointerdown', e => {
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.moved = false;
+
+            if (this.pointers.size === 2) {
+                this.gesture = { type: 'pinch', distance: this.getPinchDistance(), ...this.zoom };
+            } else if (this.pointers.size === 1) {
+                this.gesture = { type: 'drag', startX: e.clientX, startY: e.clientY, ...this.zoom };
+            }
+        });
+
+        this.stage.addEventListener('pointermove', e => {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+                const ratio = this.getPinchDistance() / this.gesture.distance;
+                this.setZoom(this.gesture.scale * ratio, this.gesture.x * ratio, this.gesture.y * ratio);
+                this.moved = true;
+            } else if (this.gesture.type === 'drag' && this.zoom.scale > 1) {
+                this.setZoom(
+                    this.zoom.scale,
+                    this.gesture.x + e.clientX - this.gesture.startX,
+                    this.gesture.y + e.clientY - this.gesture.startY
+                );
+                this.moved = true;
+            }
+        });
+
+        const onPointerEnd = e => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this.pointers.delete(e.pointerId);
+
+            const gesture = this.gesture;
+            if (this.pointers.size > 0) {
+                // بعد رفع إصبع من الاثنين يكمل الآخر التحريك من مكانه
+                const [pointer] = Array.from(this.pointers.values());
+                this.gesture = { type: 'drag', startX: pointer.x, startY: pointer.y, ...this.zoom };
+                return;
+            }
+            this.gesture = null;
+            if (e.type === 'pointercancel' || !gesture || gesture.type !== 'drag') return;
+
+            const deltaX = e.clientX - gesture.startX;
+            const deltaY = e.clientY - gesture.startY;
+            const isSwipe = Math.abs(deltaX) > LIGHTBOX_SWIPE_THRESHOLD && Math.abs(deltaX) > Math.abs(deltaY);
+
+            if (this.zoom.scale === 1 && isSwipe) {
+                this.moved = true;
+                const towardsNext = this.isRtl() ? deltaX > 0 : deltaX < 0;
+                this.step(towardsNext ? 1 : -1, 'swipe');
+            } else if (!this.moved && e.pointerType !== 'mouse') {
+                this.handleTap(e);
+            }
+        };
+        this.stage.addEventListener('pointerup', onPointerEnd);
+        this.stage.addEventListener('pointercancel', onPointerEnd);
+
+        // الماوس: النقر المزدوج للتكبير، واللمس عبر handleTap
+        this.image.addEventListener('dblclick', e => this.toggleZoom(e.clientX, e.clientY));
+        this.image.addEventListener('dragstart', e => e.preventDefault());
+    }
+
+    handleTap(e) {
+        const now = Date.now();
+        const last = this.lastTap;
+
+        if (last && now - last.at < LIGHTBOX_DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < 30) {
+            this.lastTap = null;
+            this.toggleZoom(e.clientX, e.clientY);
+            return;
+        }
+        this.lastTap = { at: now, x: e.clientX, y: e.clientY };
+    }
+}
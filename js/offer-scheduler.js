@@ -0,0 +1,91 @@
+// Police 288 Offer Scheduler - v2.2.0
+// العروض المجدولة من js/catalog.js (PRODUCT_CATALOG.schedule): عداد تنازلي حقيقي حتى نهاية العرض،
+// وتبديل الأسعار تلقائياً عند بداية أو نهاية العرض بدون إعادة تحميل الصفحة
+// الوقت من getCatalogTime() - نفس الساعة التي تحسب بها الأسعار (setCatalogClock في الاختبارات)
+
+class OfferScheduler {
+    constructor() {
+        this.listeners = [];
+        this.currentScheduleId = undefined;
+        this.timer = null;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    start() {
+        this.tick();
+        i18n.onChange(() => this.tick());
+
+        // المتصفح يبطئ المؤقتات في التبويبات المخفية - تحديث فوري عند العودة
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.tick();
+            }
+        });
+    }
+
+    // مدة متبقية بالمللي ثانية وليس بفرق التاريخ - صحيحة عند منتصف الليل وتغيير التوقيت الصيفي
+    getCountdownParts(remaining) {
+        const totalSeconds = Math.max(0, Math.floor(remaining / 1000));
+        return {
+            days: Math.floor(totalSeconds / 86400),
+            hours: Math.floor(totalSeconds % 86400 / 3600),
+            minutes: Math.floor(totalSeconds % 3600 / 60),
+            seconds: totalSeconds % 60
+        };
+    }
+
+    formatCountdown(remaining) {
+        const { days, hours, minutes, seconds } = this.getCountdownParts(remaining);
+        const clock = [hours, minutes, seconds].map(value => String(value).padStart(2, '0')).join(':');
+        return days > 0 ? i18n.t('countdown.withDays', { days: i18n.plural('countdown.days', days), clock }) : clock;
+    }
+
+    tick() {
+        clearTimeout(this.timer);
+
+        const now = getCatalogTime();
+        const schedule = getActiveSchedule(now);
+        const scheduleId = schedule ? schedule.id : null;
+
+        if (scheduleId !== this.currentScheduleId) {
+            const isFirstTick = this.currentScheduleId === undefined;
+            this.currentScheduleId = scheduleId;
+            if (!isFirstTick) {
+                console.log(scheduleId ? `⏰ بدأ العرض: ${i18n.pick(schedule.label)}` : '⏰ انتهى العرض - تم تحديث الأسعار');
+            }
+            this.listeners.forEach(listener => listener(schedule));
+        }
+
+        this.renderBanner(schedule, now);
+
+        // كل ثانية أثناء العرض (العداد)، وإلا عند بداية العرض التالي فقط
+        const nextChange = getNextPriceChange(now);
+        if (schedule) {
+            this.timer = setTimeout(() => this.tick(), 1000 - now % 1000);
+        } else if (nextChange !== null) {
+            // setTimeout لا يقبل أكثر من ~24.8 يوم
+            this.timer = setTimeout(() => this.tick(), Math.min(nextChange - now, 24 * 60 * 60 * 1000));
+        }
+    }
+
+    renderBanner(schedule, now) {
+        const banner = document.getElementById('offerCountdown');
+        const headline = document.getElementById('offerHeadline');
+        if (!banner) return;
+
+        banner.hidden = !schedule;
+        if (headline) headline.hidden = Boolean(schedule);
+        if (!schedule) return;
+
+        const endsAt = parseCairoTime(schedule.endsAt);
+        document.getElementById('offerCountdownTitle').textContent = `⏰ ${i18n.pick(schedule.label)}`;
+        document.getElementById('offerCountdownTime').textContent = this.formatCountdown(endsAt - now);
+        const endsAtText = i18n.formatDate(endsAt, { weekday: 'long', day: 'numeric', month: 'long', hour: 'numeric', minute: '2-digit' });
+        document.getElementById('offerCountdownEnds').textContent = i18n.t('countdown.ends', { date: endsAtText });
+    }
+}
+
+const offerScheduler = new OfferScheduler();
@@ -0,0 +1,64 @@
+// Police 288 Order Handoff - v2.2.0
+// نقل بيانات الطلب من نموذج الطلب إلى صفحة التأكيد عبر sessionStorage
+// الرابط يحمل رمزاً عشوائياً فقط، فلا تظهر بيانات العميل في سجل المتصفح أو الـ referrer أو بكسل التتبع
+
+const ORDER_HANDOFF_PREFIX = 'police288_order_';
+
+class OrderHandoff {
+    constructor() {
+        this.ttl = 60 * 60 * 1000; // صالح لمدة ساعة على نفس التبويب فقط
+    }
+
+    createToken() {
+        const bytes = new Uint8Array(16);
+        window.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    save(orderData) {
+        const token = this.createToken();
+
+        try {
+            sessionStorage.setItem(ORDER_HANDOFF_PREFIX + token, JSON.stringify({
+                expiresAt: Date.now() + this.ttl,
+                order: orderData
+            }));
+            return token;
+        } catch (error) {
+            console.error('❌ تعذر حفظ بيانات الطلب:', error);
+            return null;
+        }
+    }
+
+    load(token) {
+        if (!token || !/^[a-f0-9]{32}$/.test(token)) return null;
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(ORDER_HANDOFF_PREFIX + token));
+            if (!stored) return null;
+
+            if (Date.now() > stored.expiresAt) {
+                sessionStorage.removeItem(ORDER_HANDOFF_PREFIX + token);
+                return null;
+            }
+            return stored.order;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    update(token, changes) {
+        const order = this.load(token);
+        if (!order) return;
+
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(ORDER_HANDOFF_PREFIX + token));
+            stored.order = { ...order, ...changes };
+            sessionStorage.setItem(ORDER_HANDOFF_PREFIX + token, JSON.stringify(stored));
+        } catch (error) {
+            console.error('❌ تعذر تحديث بيانات الطلب:', error);
+        }
+    }
+}
+
+const orderHandoff = new OrderHandoff();
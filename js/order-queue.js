@@ -0,0 +1,248 @@
+// Police 288 Offline Order Queue - v2.2.0
+// طابور الطلبات غير المرسلة - مشترك بين script.js و sw.js (عبر importScripts)
+
+const ORDER_QUEUE_DB_NAME = 'police288-orders';
+const ORDER_QUEUE_DB_VERSION = 1;
+const ORDER_SYNC_TAG = 'police288-order-sync';
+
+class OrderQueue {
+    constructor() {
+        this.dbPromise = null;
+        this.claimTimeout = 30000; // 30 ثانية قبل اعتبار المحاولة المعلقة منتهية
+        this.sentRetention = 7 * 24 * 60 * 60 * 1000; // الاحتفاظ بمفاتيح الطلبات المرسلة 7 أيام
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    openDB() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(ORDER_QUEUE_DB_NAME, ORDER_QUEUE_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('pending')) {
+                        db.createObjectStore('pending', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('sent')) {
+                        db.createObjectStore('sent', { keyPath: 'key' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // تنفيذ عملية داخل transaction وانتظار اكتمالها
+    async transaction(storeNames, mode, callback) {
+        const db = await this.openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            let result;
+
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+
+            callback(tx, value => { result = value; });
+        });
+    }
+
+    // حفظ طلب لإعادة إرساله لاحقاً - يتجاهل الطلبات التي سبق إرسالها بنفس المفتاح
+    enqueue(url, payload) {
+        const key = payload.idempotencyKey;
+
+        return this.transaction(['pending', 'sent'], 'readwrite', (tx, setResult) => {
+            const sentRequest = tx.objectStore('sent').get(key);
+            sentRequest.onsuccess = () => {
+                if (sentRequest.result) {
+                    setResult(false);
+                    return;
+                }
+                tx.objectStore('pending').put({
+                    key,
+                    url,
+                    payload,
+                    queuedAt: Date.now(),
+                    attempts: 0,
+                    claimedAt: 0
+                });
+                setResult(true);
+            };
+        });
+    }
+
+    getPending() {
+        return this.transaction('pending', 'readonly', (tx, setResult) => {
+            const request = tx.objectStore('pending').getAll();
+            request.onsuccess = () => setResult(request.result || []);
+        });
+    }
+
+    // رد الخادم على طلب تم إرساله، أو null إذا لم يُرسل بعد
+    getSentResponse(key) {
+        return this.transaction('sent', 'readonly', (tx, setResult) => {
+            const request = tx.objectStore('sent').get(key);
+            request.onsuccess = () => setResult(request.result ? request.result.response : null);
+        });
+    }
+
+    // حجز الطلب قبل إرساله حتى لا ترسله الصفحة والـ Service Worker في نفس الوقت
+    claim(key) {
+        return this.transaction('pending', 'readwrite', (tx, setResult) => {
+            const store = tx.objectStore('pending');
+            const request = store.get(key);
+            request.onsuccess = () => {
+                const entry = request.result;
+                const now = Date.now();
+
+                if (!entry || entry.rejectedAt || (entry.claimedAt && now - entry.claimedAt < this.claimTimeout)) {
+                    setResult(null);
+                    return;
+                }
+
+                entry.claimedAt = now;
+                entry.attempts += 1;
+                store.put(entry);
+                setResult(entry);
+            };
+        });
+    }
+
+    release(key) {
+        return this.transaction('pending', 'readwrite', tx => {
+            const store = tx.objectStore('pending');
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    request.result.claimedAt = 0;
+                    store.put(request.result);
+                }
+            };
+        });
+    }
+
+    // نقل الطلب من قائمة الانتظار إلى قائمة المرسل
+    complete(key, response) {
+        return this.transaction(['pending', 'sent'], 'readwrite', tx => {
+            tx.objectStore('pending').delete(key);
+            tx.objectStore('sent').put({ key, sentAt: Date.now(), response });
+        });
+    }
+
+    // رفض نهائي من الخادم: الطلب يبقى محفوظاً (لا يُعاد إرساله) حتى تعرضه صفحة التأكيد مع بديل واتساب
+    reject(key, rejection) {
+        return this.transaction('pending', 'readwrite', tx => {
+            const store = tx.objectStore('pending');
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    request.result.claimedAt = 0;
+                    request.result.rejectedAt = Date.now();
+                    request.result.rejection = rejection;
+                    store.put(request.result);
+                }
+            };
+        });
+    }
+
+    // سبب رفض الطلب ({ status, error })، أو null إذا لم يُرفض
+    getRejection(key) {
+        return this.transaction('pending', 'readonly', (tx, setResult) => {
+            const request = tx.objectStore('pending').get(key);
+            request.onsuccess = () => setResult(request.result && request.result.rejection ? request.result.rejection : null);
+        });
+    }
+
+    // حذف الطلبات المرسلة والمرفوضة الأقدم من مدة الاحتفاظ
+    prune() {
+        const cutoff = Date.now() - this.sentRetention;
+
+        return this.transaction(['pending', 'sent'], 'readwrite', tx => {
+            const deleteOlderThan = (storeName, field) => {
+                const request = tx.objectStore(storeName).openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    if (cursor.value[field] && cursor.value[field] < cutoff) {
+                        cursor.delete();
+                    }
+                    cursor.continue();
+                };
+            };
+
+            deleteOlderThan('sent', 'sentAt');
+            deleteOlderThan('pending', 'rejectedAt');
+        });
+    }
+
+    // إعادة إرسال كل الطلبات المعلقة - تُستخدم من Background Sync أو من الصفحة عند عودة الاتصال
+    async flush() {
+        const results = [];
+        const entries = await this.getPending();
+
+        for (const { key } of entries) {
+            const entry = await this.claim(key);
+            if (!entry) continue;
+
+            try {
+                const response = await fetch(entry.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(entry.payload)
+                });
+
+                if (response.ok) {
+                    const data = await response.text();
+                    await this.complete(key, data);
+                    console.log(`✅ تم إرسال الطلب المحفوظ ${key}`);
+                    results.push({ key, success: true, data });
+                } else if (this.isRetryableStatus(response.status)) {
+                    await this.release(key);
+                    results.push({ key, success: false, retryable: true, error: `خطأ HTTP: ${response.status}` });
+                } else {
+                    // رفض نهائي من الخادم - لا فائدة من إعادة المحاولة
+                    const rejection = { status: response.status, error: await this.readError(response) };
+                    await this.reject(key, rejection);
+                    console.error(`❌ تم رفض الطلب المحفوظ ${key}: ${response.status}`);
+                    results.push({ key, success: false, retryable: false, rejected: true, rejection, error: rejection.error });
+                }
+            } catch (error) {
+                await this.release(key);
+                results.push({ key, success: false, retryable: true, error: error.message });
+            }
+        }
+
+        await this.prune();
+        return results;
+    }
+
+    // رسالة الخطأ من رد الخادم ({ error }) إن وجدت
+    async readError(response) {
+        try {
+            const data = await response.json();
+            if (data && data.error) return data.error;
+        } catch (error) {
+            // رد غير JSON
+        }
+        return `خطأ HTTP: ${response.status}`;
+    }
+
+    // 409 = نفس المفتاح ما زال قيد المعالجة على الخادم - المحاولة التالية تأخذ الرد المحفوظ
+    isRetryableStatus(status) {
+        return status >= 500 || status === 408 || status === 409 || status === 429;
+    }
+}
+
+const orderQueue = new OrderQueue();
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OrderQueue, orderQueue };
+}
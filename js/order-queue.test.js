@@ -0,0 +1,257 @@
+// Police 288 Offline Order Queue tests - v2.2.0
+// IndexedDB بديل بسيط في الذاكرة (نفس الواجهة التي يستخدمها OrderQueue فقط)، و /api/orders بديل محلي
+// node --test js/order-queue.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OrderQueue } = require('./order-queue');
+const { startWebhookStub } = require('../api/_tests/http-fixtures');
+
+// الطلبات تُنفذ بالترتيب بعد انتهاء الكود الحالي، والـ transaction يكتمل عندما لا يبقى طلب معلق
+// القيم تُنسخ عند القراءة والكتابة مثل IndexedDB: تعديل الكائن بدون put لا يُحفظ
+function createIndexedDBShim() {
+    const databases = new Map();
+
+    function createRequest(tx, run) {
+        const request = { result: undefined, error: null, onsuccess: null, onerror: null };
+        tx.pending += 1;
+        setImmediate(() => {
+            request.result = run(request);
+            if (request.onsuccess) request.onsuccess();
+            tx.settle();
+        });
+        return request;
+    }
+
+    function createCursorRequest(tx, records) {
+        const request = { result: null, onsuccess: null };
+        const keys = Array.from(records.keys()).sort();
+        let index = -1;
+
+        const next = () => {
+            tx.pending += 1;
+            setImmediate(() => {
+                index += 1;
+                const key = keys[index];
+                request.result = key === undefined ? null : {
+                    value: structuredClone(records.get(key)),
+                    delete: () => records.delete(key),
+                    continue: next
+                };
+                if (request.onsuccess) request.onsuccess();
+                tx.settle();
+            });
+        };
+        next();
+        return request;
+    }
+
+    function createTransaction(db, storeNames, mode) {
+        const tx = { pending: 0, done: false, error: null, oncomplete: null, onerror: null, onabort: null };
+
+        tx.settle = () => {
+            tx.pending -= 1;
+            setImmediate(() => {
+                if (tx.pending > 0 || tx.done) return;
+                tx.done = true;
+                if (tx.oncomplete) tx.oncomplete();
+            });
+        };
+
+        tx.objectStore = name => {
+            if (![].concat(storeNames).includes(name)) throw new Error(`NotFoundError: ${name}`);
+            const { keyPath, records } = db.stores.get(name);
+            const write = run => {
+                if (mode !== 'readwrite') throw new Error('ReadOnlyError');
+                return createRequest(tx, run);
+            };
+
+            return {
+                get: key => createRequest(tx, () => structuredClone(records.get(key))),
+                getAll: () => createRequest(tx, () => Array.from(records.values(), value => structuredClone(value))),
+                put: value => write(() => { records.set(value[keyPath], structuredClone(value)); return value[keyPath]; }),
+                delete: key => write(() => { records.delete(key); }),
+                openCursor: () => createCursorRequest(tx, records)
+            };
+        };
+        return tx;
+    }
+
+    return {
+        open(name, version) {
+            const request = { result: null, error: null, onupgradeneeded: null, onsuccess: null, onerror: null };
+            setImmediate(() => {
+                if (!databases.has(name)) {
+                    databases.set(name, { version: 0, stores: new Map() });
+                }
+                const data = databases.get(name);
+                const db = {
+                    objectStoreNames: { contains: storeName => data.stores.has(storeName) },
+                    createObjectStore: (storeName, { keyPath }) => data.stores.set(storeName, { keyPath, records: new Map() }),
+                    transaction: (storeNames, mode = 'readonly') => createTransaction(data, storeNames, mode)
+                };
+
+                request.result = db;
+                if (data.version < version) {
+                    data.version = version;
+                    if (request.onupgradeneeded) request.onupgradeneeded();
+                }
+                if (request.onsuccess) request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+function buildPayload(idempotencyKey) {
+    return { idempotencyKey, name: 'أحمد محمد', phone: '+201012345678', quantity: '1' };
+}
+
+function createQueue(t) {
+    global.indexedDB = createIndexedDBShim();
+    t.after(() => { delete global.indexedDB; });
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+    return new OrderQueue();
+}
+
+test('isRetryableStatus retries server errors, timeouts, 409 and 429 only', () => {
+    const queue = new OrderQueue();
+    [500, 502, 503, 408, 409, 429].forEach(status => assert.equal(queue.isRetryableStatus(status), true, String(status)));
+    [400, 401, 404, 422].forEach(status => assert.equal(queue.isRetryableStatus(status), false, String(status)));
+});
+
+test('enqueue keeps one entry per key and skips keys already sent', async t => {
+    const queue = createQueue(t);
+
+    assert.equal(await queue.enqueue('/api/orders', buildPayload('key-1')), true);
+    assert.equal(await queue.enqueue('/api/orders', buildPayload('key-1')), true);
+    const [entry, ...rest] = await queue.getPending();
+    assert.equal(rest.length, 0);
+    assert.equal(entry.key, 'key-1');
+    assert.equal(entry.attempts, 0);
+    assert.deepEqual(entry.payload, buildPayload('key-1'));
+
+    await queue.complete('key-1', '{"orderId":"288-261019-000001"}');
+    assert.equal(await queue.enqueue('/api/orders', buildPayload('key-1')), false);
+    assert.deepEqual(await queue.getPending(), []);
+    assert.equal(await queue.getSentResponse('key-1'), '{"orderId":"288-261019-000001"}');
+});
+
+test('a claimed entry cannot be claimed again until it is released or the claim times out', async t => {
+    const queue = createQueue(t);
+    const now = t.mock.method(Date, 'now', () => 1000000);
+    await queue.enqueue('/api/orders', buildPayload('key-2'));
+
+    const claimed = await queue.claim('key-2');
+    assert.equal(claimed.attempts, 1);
+    assert.equal(await queue.claim('key-2'), null);
+
+    await queue.release('key-2');
+    assert.equal((await queue.claim('key-2')).attempts, 2);
+
+    now.mock.mockImplementation(() => 1000000 + queue.claimTimeout);
+    assert.equal((await queue.claim('key-2')).attempts, 3);
+    assert.equal(await queue.claim('missing'), null);
+});
+
+test('a rejected entry stays pending with its reason and is never claimed', async t => {
+    const queue = createQueue(t);
+    await queue.enqueue('/api/orders', buildPayload('key-3'));
+    await queue.claim('key-3');
+
+    await queue.reject('key-3', { status: 400, error: 'بيانات الطلب غير مكتملة' });
+    assert.deepEqual(await queue.getRejection('key-3'), { status: 400, error: 'بيانات الطلب غير مكتملة' });
+    assert.equal(await queue.claim('key-3'), null);
+    assert.equal((await queue.getPending()).length, 1);
+    assert.equal(await queue.getRejection('missing'), null);
+});
+
+test('prune removes sent and rejected entries older than the retention only', async t => {
+    const queue = createQueue(t);
+    const now = t.mock.method(Date, 'now', () => 1000000000);
+
+    await queue.enqueue('/api/orders', buildPayload('old-sent'));
+    await queue.complete('old-sent', '{}');
+    await queue.enqueue('/api/orders', buildPayload('old-rejected'));
+    await queue.reject('old-rejected', { status: 400, error: 'x' });
+    await queue.enqueue('/api/orders', buildPayload('old-pending'));
+
+    now.mock.mockImplementation(() => 1000000000 + queue.sentRetention - 1);
+    await queue.enqueue('/api/orders', buildPayload('new-sent'));
+    await queue.complete('new-sent', '{}');
+
+    now.mock.mockImplementation(() => 1000000000 + queue.sentRetention + 1);
+    await queue.prune();
+
+    assert.equal(await queue.getSentResponse('old-sent'), null);
+    assert.equal(await queue.getSentResponse('new-sent'), '{}');
+    assert.deepEqual((await queue.getPending()).map(entry => entry.key), ['old-pending']);
+});
+
+test('flush replays pending orders against /api/orders', async t => {
+    const queue = createQueue(t);
+    const api = await startWebhookStub('/api/orders');
+    t.after(() => api.close());
+
+    await t.test('an accepted order is sent once and its response is kept', async () => {
+        api.statusCode = 201;
+        api.responseBody = '{"success":true,"orderId":"288-261019-000002"}';
+        await queue.enqueue(api.url, buildPayload('replay-1'));
+
+        const results = await queue.flush();
+        assert.deepEqual(results, [{ key: 'replay-1', success: true, data: api.responseBody }]);
+        assert.equal(api.requests.length, 1);
+        assert.equal(api.requests[0].headers['content-type'], 'application/json');
+        assert.deepEqual(api.requests[0].payload, buildPayload('replay-1'));
+        assert.equal(await queue.getSentResponse('replay-1'), api.responseBody);
+
+        assert.deepEqual(await queue.flush(), []);
+        assert.equal(api.requests.length, 1);
+    });
+
+    await t.test('409 while the server is still processing the key is retried on the next flush', async () => {
+        api.requests.length = 0;
+        api.statusCode = 409;
+        api.responseBody = '{"success":false,"error":"الطلب قيد المعالجة بالفعل"}';
+        await queue.enqueue(api.url, buildPayload('replay-2'));
+
+        const [busy] = await queue.flush();
+        assert.equal(busy.success, false);
+        assert.equal(busy.retryable, true);
+        assert.equal(await queue.getRejection('replay-2'), null);
+
+        api.statusCode = 200;
+        api.responseBody = '{"success":true,"orderId":"288-261019-000003","duplicate":true}';
+        const [sent] = await queue.flush();
+        assert.equal(sent.success, true);
+        assert.equal(api.requests.length, 2);
+        assert.deepEqual(api.requests.map(request => request.payload.idempotencyKey), ['replay-2', 'replay-2']);
+        assert.deepEqual(await queue.getPending(), []);
+    });
+
+    await t.test('a final rejection keeps the order with the server error and stops retrying', async () => {
+        api.requests.length = 0;
+        api.statusCode = 400;
+        api.responseBody = '{"success":false,"error":"بيانات الطلب غير مكتملة"}';
+        await queue.enqueue(api.url, buildPayload('replay-3'));
+
+        const [rejected] = await queue.flush();
+        assert.equal(rejected.rejected, true);
+        assert.deepEqual(rejected.rejection, { status: 400, error: 'بيانات الطلب غير مكتملة' });
+        assert.deepEqual(await queue.getRejection('replay-3'), rejected.rejection);
+
+        assert.deepEqual(await queue.flush(), []);
+        assert.equal(api.requests.length, 1);
+    });
+
+    await t.test('a network failure releases the order for the next flush', async () => {
+        await queue.enqueue('http://127.0.0.1:1/api/orders', buildPayload('replay-4'));
+
+        const results = await queue.flush();
+        const failed = results.find(result => result.key === 'replay-4');
+        assert.equal(failed.success, false);
+        assert.equal(failed.retryable, true);
+        assert.ok(await queue.claim('replay-4'));
+    });
+});
@@ -0,0 +1,35 @@
+// Police 288 Order Status - v2.2.0
+// مراحل الطلب في لوحة فريق التنفيذ (admin.html) وصفحة التتبع (track.html) والانتقالات المسموحة بينها
+// يُستخدم في المتصفح وفي الـ API عبر require - الخادم يرفض أي انتقال غير موجود هنا
+//
+// new → confirmed (تأكيد بالهاتف) → shipped → delivered / returned
+// الإلغاء ممكن قبل الشحن فقط
+
+const ORDER_STATUSES = {
+    new: { label: 'جديد', icon: '🆕', next: ['confirmed', 'cancelled'] },
+    confirmed: { label: 'تم التأكيد بالهاتف', icon: '📞', next: ['shipped', 'cancelled'] },
+    shipped: { label: 'تم الشحن', icon: '🚚', next: ['delivered', 'returned'] },
+    delivered: { label: 'تم التسليم', icon: '✅', next: [] },
+    returned: { label: 'مرتجع', icon: '↩️', next: [] },
+    cancelled: { label: 'ملغي', icon: '❌', next: [] }
+};
+
+const INITIAL_ORDER_STATUS = 'new';
+
+// مراحل الطلب كما يراها العميل في track.html (الإلغاء والمرتجع يظهران كحالة منفصلة)
+const ORDER_TRACKING_STEPS = ['new', 'confirmed', 'shipped', 'delivered'];
+
+// الطلبات التي لا تدخل في إيراد اليوم
+const LOST_ORDER_STATUSES = ['returned', 'cancelled'];
+
+function isOrderStatus(status) {
+    return Object.prototype.hasOwnProperty.call(ORDER_STATUSES, status);
+}
+
+function canTransition(from, to) {
+    return isOrderStatus(from) && ORDER_STATUSES[from].next.includes(to);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ORDER_STATUSES, INITIAL_ORDER_STATUS, ORDER_TRACKING_STEPS, LOST_ORDER_STATUSES, isOrderStatus, canTransition };
+}
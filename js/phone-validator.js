@@ -0,0 +1,61 @@
+// Police 288 Egyptian Phone Validator - v2.2.0
+// التحقق من أرقام الموبايل المصرية وتوحيد صيغتها (E.164)
+// يُستخدم في المتصفح (index.html) وفي الـ API عبر require
+// errorCode ثابت لكل خطأ (errors.phone.<errorCode> في js/i18n)، و error بالعربية لردود الـ API
+
+const EGYPT_MOBILE_PREFIXES = ['010', '011', '012', '015'];
+
+// الأرقام العربية (٠-٩) والفارسية (۰-۹) إلى أرقام إنجليزية
+function normalizeDigits(input) {
+    return String(input)
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0));
+}
+
+function normalizeEgyptianPhone(input) {
+    const raw = normalizeDigits(input || '')
+        // مسافات، شرطات، نقاط، أقواس، وعلامات الاتجاه المخفية التي تظهر عند النسخ من الواتساب
+        .replace(/[\s\-.()\u200E\u200F\u202A-\u202E]/g, '');
+
+    if (!raw) {
+        return { valid: false, errorCode: 'required', error: 'رقم الهاتف مطلوب' };
+    }
+
+    if (!/^\+?\d+$/.test(raw)) {
+        return { valid: false, errorCode: 'digits', error: 'رقم الهاتف يجب أن يحتوي على أرقام فقط' };
+    }
+
+    let national = raw;
+    if (national.startsWith('+20')) {
+        national = national.slice(3);
+    } else if (national.startsWith('0020')) {
+        national = national.slice(4);
+    } else if (national.startsWith('20') && national.length === 12) {
+        national = national.slice(2);
+    } else if (national.startsWith('+')) {
+        return { valid: false, errorCode: 'country', error: 'يرجى إدخال رقم موبايل مصري' };
+    }
+
+    // بعد +20 يُكتب الرقم عادةً بدون الصفر (10xxxxxxxx) وأحياناً معه (010xxxxxxxx) - كلاهما مقبول
+    if (national.length === 10 && national.startsWith('1')) {
+        national = '0' + national;
+    }
+
+    if (national.length !== 11) {
+        return { valid: false, errorCode: 'length', error: 'رقم الموبايل المصري يتكون من 11 رقم' };
+    }
+
+    if (!EGYPT_MOBILE_PREFIXES.includes(national.slice(0, 3))) {
+        return { valid: false, errorCode: 'prefix', error: 'رقم الموبايل يجب أن يبدأ بـ 010 أو 011 أو 012 أو 015' };
+    }
+
+    return {
+        valid: true,
+        national,
+        e164: '+20' + national.slice(1)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EGYPT_MOBILE_PREFIXES, normalizeDigits, normalizeEgyptianPhone };
+}
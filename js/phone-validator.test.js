@@ -0,0 +1,106 @@
+// Police 288 Egyptian Phone Validator tests - v2.2.0
+// node --test js/phone-validator.test.js
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeDigits, normalizeEgyptianPhone } = require('./phone-validator');
+
+function assertValid(input, national) {
+    const result = normalizeEgyptianPhone(input);
+    assert.equal(result.valid, true, `${JSON.stringify(input)} → ${result.errorCode}`);
+    assert.equal(result.national, national);
+    assert.equal(result.e164, '+20' + national.slice(1));
+}
+
+function assertInvalid(input, errorCode) {
+    const result = normalizeEgyptianPhone(input);
+    assert.equal(result.valid, false, JSON.stringify(input));
+    assert.equal(result.errorCode, errorCode, JSON.stringify(input));
+    assert.equal(typeof result.error, 'string');
+    assert.equal(result.e164, undefined);
+}
+
+test('normalizeDigits converts Arabic-Indic and Persian digits', () => {
+    assert.equal(normalizeDigits('٠١٢٣٤٥٦٧٨٩'), '0123456789');
+    assert.equal(normalizeDigits('۰۱۲۳۴۵۶۷۸۹'), '0123456789');
+    assert.equal(normalizeDigits('+٢٠ 1۰'), '+20 10');
+});
+
+test('accepts Arabic-Indic, Persian and mixed digits', () => {
+    assertValid('٠١٠١٢٣٤٥٦٧٨', '01012345678');
+    assertValid('۰۱۱۱۲۳۴۵۶۷۸', '01112345678');
+    assertValid('٠١٢۳۴5678٩0', '01234567890');
+});
+
+test('accepts every operator prefix', () => {
+    assertValid('01012345678', '01012345678');
+    assertValid('01112345678', '01112345678');
+    assertValid('01212345678', '01212345678');
+    assertValid('01512345678', '01512345678');
+});
+
+test('accepts +20, 0020, 20 and 0 prefixes', () => {
+    assertValid('+201012345678', '01012345678');
+    assertValid('+2001012345678', '01012345678');
+    assertValid('00201012345678', '01012345678');
+    assertValid('002001012345678', '01012345678');
+    assertValid('201012345678', '01012345678');
+    assertValid('01012345678', '01012345678');
+    assertValid('1012345678', '01012345678');
+});
+
+test('ignores spaces, dashes, dots and parentheses', () => {
+    assertValid('010 1234 5678', '01012345678');
+    assertValid('010-1234-5678', '01012345678');
+    assertValid('(010) 1234.5678', '01012345678');
+    assertValid('+20 (10) 123-456-78', '01012345678');
+    assertValid('\t010 12345678\n', '01012345678');
+    assertValid('٠١٠ - ١٢٣٤ - ٥٦٧٨', '01012345678');
+});
+
+test('ignores bidi control marks copied from WhatsApp', () => {
+    assertValid('\u200E+20 10 1234 5678\u200E', '01012345678');
+    assertValid('\u200F01012345678', '01012345678');
+    assertValid('\u202A+201012345678\u202C', '01012345678');
+    assertValid('\u202B٠١٠١٢٣٤٥٦٧٨\u202C', '01012345678');
+    assertValid('\u202D0101\u202E2345678', '01012345678');
+});
+
+test('rejects empty input', () => {
+    assertInvalid('', 'required');
+    assertInvalid(null, 'required');
+    assertInvalid(undefined, 'required');
+    assertInvalid(' - ( ) \u200E', 'required');
+});
+
+test('rejects letters and symbols', () => {
+    assertInvalid('0101234567a', 'digits');
+    assertInvalid('010#12345678', 'digits');
+    assertInvalid('01012+345678', 'digits');
+    assertInvalid('++201012345678', 'digits');
+});
+
+test('rejects other country codes', () => {
+    assertInvalid('+966501234567', 'country');
+    assertInvalid('+12025550123', 'country');
+});
+
+test('rejects invalid operator prefixes', () => {
+    assertInvalid('01312345678', 'prefix');
+    assertInvalid('01412345678', 'prefix');
+    assertInvalid('01612345678', 'prefix');
+    assertInvalid('01912345678', 'prefix');
+    assertInvalid('02123456789', 'prefix');
+    assertInvalid('+201312345678', 'prefix');
+    assertInvalid('201912345678', 'prefix');
+});
+
+test('rejects wrong lengths', () => {
+    assertInvalid('0101234567', 'length');
+    assertInvalid('010123456789', 'length');
+    assertInvalid('+20101234567', 'length');
+    assertInvalid('+20101234567890', 'length');
+    assertInvalid('0020101234567', 'length');
+    assertInvalid('٠١٠١٢٣٤٥٦٧', 'length');
+    assertInvalid('101234567', 'length');
+});
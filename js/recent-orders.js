@@ -0,0 +1,60 @@
+// Police 288 Recent Orders - v2.2.0
+// سجل محلي للطلبات الأخيرة لتنبيه العميل قبل تكرار نفس الطلب بالخطأ
+// رقم الهاتف لا يُحفظ كما هو: نحفظ hash فقط مع الكمية ووقت الطلب
+
+const RECENT_ORDERS_KEY = 'police288_recent_orders';
+
+class RecentOrders {
+    constructor() {
+        this.window = 24 * 60 * 60 * 1000; // نتذكر طلبات آخر 24 ساعة فقط
+        this.maxEntries = 10;
+    }
+
+    async hashPhone(phone) {
+        const input = `police288:${phone}`;
+
+        if (window.crypto && window.crypto.subtle && window.TextEncoder) {
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+
+        // crypto.subtle غير متاح خارج HTTPS - FNV-1a كبديل بسيط
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < input.length; i++) {
+            hash ^= input.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(RECENT_ORDERS_KEY)) || [];
+            return entries.filter(entry => Date.now() - entry.at < this.window);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    async record(phone, quantity) {
+        try {
+            const entries = this.load();
+            entries.push({ phoneHash: await this.hashPhone(phone), quantity, at: Date.now() });
+            localStorage.setItem(RECENT_ORDERS_KEY, JSON.stringify(entries.slice(-this.maxEntries)));
+        } catch (error) {
+            console.warn('⚠️ تعذر حفظ سجل الطلبات الأخيرة:', error);
+        }
+    }
+
+    // آخر طلب لنفس الرقم خلال الـ 24 ساعة الماضية، أو null
+    async findRecent(phone) {
+        const entries = this.load();
+        if (entries.length === 0) return null;
+
+        const phoneHash = await this.hashPhone(phone);
+        const matches = entries.filter(entry => entry.phoneHash === phoneHash);
+        return matches.length > 0 ? matches[matches.length - 1] : null;
+    }
+}
+
+const recentOrders = new RecentOrders();
@@ -0,0 +1,44 @@
+// Police 288 WhatsApp Links - v2.2.0
+// روابط wa.me لرقم المتجر (SITE_CONFIG.whatsapp.phone) برسالة جاهزة من قوالب SITE_CONFIG.whatsapp.templates
+// زر "أكد طلبك على واتساب" في صفحة التأكيد، وفي رسالة فشل الإرسال (showErrorMessage) كطريقة بديلة لإتمام الطلب
+// المتغيرات في القوالب: {orderId} {name} {phone} {quantity} {total} {address}
+
+class WhatsappLinks {
+    constructor(config) {
+        this.config = config;
+    }
+
+    // wa.me يقبل الرقم الدولي بدون + أو مسافات
+    get phone() {
+        return String(this.config.phone || '').replace(/\D/g, '');
+    }
+
+    link(message) {
+        return message
+            ? `https://wa.me/${this.phone}?text=${encodeURIComponent(message)}`
+            : `https://wa.me/${this.phone}`;
+    }
+
+    // قيمة ناقصة تظهر "غير محدد" بدلاً من {name}
+    format(templateId, values = {}) {
+        const template = i18n.pick(this.config.templates[templateId]) || '';
+        return template.replace(/\{(\w+)\}/g, (match, name) => (values[name]
+            ? String(values[name])
+            : i18n.t('confirmation.notSpecified')));
+    }
+
+    // بعد إرسال الطلب: تأكيد برقم الطلب، وبدونه (فشل الإرسال أو طلب ينتظر المزامنة) ملخص الطلب كاملاً
+    // totals من calculateOrderTotals / applyCoupon بنفس حساب النموذج
+    orderLink(orderData, totals) {
+        return this.link(this.format(orderData.orderId ? 'orderConfirm' : 'orderRequest', {
+            orderId: orderData.orderId,
+            name: orderData.name,
+            phone: orderData.phone,
+            quantity: orderData.quantity ? i18n.plural('quantity.pieces', parseInt(orderData.quantity)) : '',
+            total: totals ? i18n.formatCurrency(totals.total) : '',
+            address: orderData.address
+        }));
+    }
+}
+
+const whatsappLinks = new WhatsappLinks(SITE_CONFIG.whatsapp);
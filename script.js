@@ -1,10 +1,12 @@
-// Police 288 Performance Optimized JavaScript - v2.1.0
+// Police 288 Performance Optimized JavaScript - v2.2.0
 // Performance Monitoring and Service Worker Integration
 
 // Critical Performance Metrics
 class PerformanceMonitor {
     constructor() {
         this.metrics = {};
+        this.interactions = new Map(); // أطول مدة لكل تفاعل (interactionId) لحساب INP
+        this.viewId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
         this.init();
     }
 
@@ -13,7 +15,10 @@ class PerformanceMonitor {
         this.observePerformance();
         this.monitorLCP();
         this.monitorFID();
+        this.monitorINP();
         this.monitorCLS();
+        this.monitorTTFB();
+        this.initReporting();
         this.registerServiceWorker();
     }
 
@@ -71,6 +76,42 @@ class PerformanceMonitor {
         }
     }
 
+    // INP: أبطأ تفاعل (مع تجاهل تفاعل واحد لكل 50 كما في تعريف Core Web Vitals)
+    monitorINP() {
+        if (!('PerformanceObserver' in window) || !PerformanceObserver.supportedEntryTypes ||
+            !PerformanceObserver.supportedEntryTypes.includes('event')) {
+            return;
+        }
+
+        new PerformanceObserver((list) => {
+            for (const entry of list.getEntries()) {
+                if (!entry.interactionId) continue;
+
+                const previous = this.interactions.get(entry.interactionId) || 0;
+                this.interactions.set(entry.interactionId, Math.max(previous, entry.duration));
+            }
+
+            const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+            const inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+            this.metrics.inp = inp;
+
+            if (inp > 200) {
+                console.warn(`⚠️ Poor INP: ${inp.toFixed(2)}ms`);
+            }
+        }).observe({ type: 'event', durationThreshold: 40, buffered: true });
+    }
+
+    monitorTTFB() {
+        const [navigation] = performance.getEntriesByType ? performance.getEntriesByType('navigation') : [];
+        if (!navigation) return;
+
+        this.metrics.ttfb = Math.max(0, navigation.responseStart - (navigation.activationStart || 0));
+
+        if (this.metrics.ttfb > 800) {
+            console.warn(`⚠️ Slow TTFB: ${this.metrics.ttfb.toFixed(2)}ms`);
+        }
+    }
+
     monitorCLS() {
         let clsValue = 0;
         if ('PerformanceObserver' in window) {
@@ -122,6 +163,48 @@ class PerformanceMonitor {
     getMetrics() {
         return this.metrics;
     }
+
+    getDeviceInfo() {
+        const width = window.innerWidth;
+        const connection = navigator.connection || {};
+
+        return {
+            deviceClass: width <= 768 ? 'mobile' : (width <= 1024 ? 'tablet' : 'desktop'),
+            viewport: `${width}x${window.innerHeight}`,
+            deviceMemory: navigator.deviceMemory || null,
+            cpuCores: navigator.hardwareConcurrency || null,
+            effectiveType: connection.effectiveType || null,
+            rtt: typeof connection.rtt === 'number' ? connection.rtt : null,
+            saveData: Boolean(connection.saveData)
+        };
+    }
+
+    // إرسال القياسات عند مغادرة الصفحة أو إخفائها - نفس viewId في كل مرة فيحتفظ الخادم بآخر قياس فقط
+    initReporting() {
+        const config = SITE_CONFIG.rum;
+        if (!config.enabled || !navigator.sendBeacon || Math.random() >= config.sampleRate) return;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+    }
+
+    // بعد موافقة الزائر فقط - لا إرسال قبل أن يختار (pending) أو عند الرفض
+    flush() {
+        if (Object.keys(this.metrics).length === 0 || trackingConsent.getStatus() !== 'granted') return;
+
+        const batch = {
+            viewId: this.viewId,
+            page: window.location.pathname,
+            device: this.getDeviceInfo(),
+            metrics: this.metrics,
+            sentAt: new Date().toISOString()
+        };
+
+        navigator.sendBeacon(SITE_CONFIG.rum.endpoint, new Blob([JSON.stringify(batch)], { type: 'application/json' }));
+    }
 }
 
 // Initialize Performance Monitor
@@ -336,16 +419,9 @@ class ImageOptimizer {
     }
 }
 
-// تحويل الأرقام العربية إلى إنجليزية
+// تحويل الأرقام العربية والفارسية إلى إنجليزية (js/phone-validator.js)
 function convertArabicToEnglishNumbers(input) {
-    const arabicNumbers = ['٠', '١', '٢', '٣', '٤', '٥', '٦', '٧', '٨', '٩'];
-    const englishNumbers = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
-    
-    let result = input;
-    for (let i = 0; i < arabicNumbers.length; i++) {
-        result = result.replace(new RegExp(arabicNumbers[i], 'g'), englishNumbers[i]);
-    }
-    return result;
+    return normalizeDigits(input);
 }
 
 // تطبيق تحويل الأرقام على الحقول
@@ -386,131 +462,6 @@ function setupNumberConversion() {
 // Initialize image optimizer
 const imageOptimizer = new ImageOptimizer();
 
-// إعدادات السلايدر مع دعم اللمس
-let currentMainSlide = 0;
-let mainSlides = [];
-let totalMainSlides = 0;
-let mainAutoPlayInterval;
-let touchStartX = 0;
-let touchEndX = 0;
-let touchStartY = 0;
-let touchEndY = 0;
-let isDragging = false;
-let isScrolling = false;
-
-// Touch and swipe handling for mobile
-function initializeTouchSupport() {
-    const slider = document.querySelector('.main-slider');
-    const wrapper = document.getElementById('mainSliderWrapper');
-    
-    if (!slider || !wrapper) return;
-    
-    // Touch events
-    slider.addEventListener('touchstart', handleTouchStart, { passive: false });
-    slider.addEventListener('touchmove', handleTouchMove, { passive: false });
-    slider.addEventListener('touchend', handleTouchEnd, { passive: false });
-    
-    // Mouse events for desktop testing
-    slider.addEventListener('mousedown', handleMouseDown);
-    slider.addEventListener('mousemove', handleMouseMove);
-    slider.addEventListener('mouseup', handleMouseUp);
-    slider.addEventListener('mouseleave', handleMouseUp);
-}
-
-function handleTouchStart(e) {
-    touchStartX = e.touches[0].clientX;
-    touchStartY = e.touches[0].clientY;
-    isDragging = true;
-    isScrolling = false;
-    pauseMainAutoPlay();
-}
-
-function handleTouchMove(e) {
-    if (!isDragging) return;
-    
-    const touchX = e.touches[0].clientX;
-    const touchY = e.touches[0].clientY;
-    const deltaX = touchX - touchStartX;
-    const deltaY = touchY - touchStartY;
-    
-    // Determine if user is scrolling vertically or swiping horizontally
-    if (Math.abs(deltaY) > Math.abs(deltaX) && !isScrolling) {
-        // Vertical scroll - don't interfere
-        isDragging = false;
-        return;
-    }
-    
-    if (Math.abs(deltaX) > 10) {
-        e.preventDefault(); // Prevent vertical scrolling when swiping horizontally
-        isScrolling = false;
-    }
-}
-
-function handleTouchEnd(e) {
-    if (!isDragging) return;
-    
-    touchEndX = e.changedTouches[0].clientX;
-    touchEndY = e.changedTouches[0].clientY;
-    
-    const deltaX = touchEndX - touchStartX;
-    const deltaY = touchEndY - touchStartY;
-    
-    // Check if it's a horizontal swipe (more horizontal than vertical)
-    if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50) {
-        if (deltaX > 0) {
-            // Swipe right - previous slide
-            changeMainSlide(-1);
-        } else {
-            // Swipe left - next slide
-            changeMainSlide(1);
-        }
-    }
-    
-    isDragging = false;
-    resetMainAutoPlay();
-}
-
-// Mouse events for desktop
-function handleMouseDown(e) {
-    touchStartX = e.clientX;
-    touchStartY = e.clientY;
-    isDragging = true;
-    pauseMainAutoPlay();
-    e.preventDefault();
-}
-
-function handleMouseMove(e) {
-    if (!isDragging) return;
-    
-    const deltaX = e.clientX - touchStartX;
-    const deltaY = e.clientY - touchStartY;
-    
-    if (Math.abs(deltaX) > 10) {
-        e.preventDefault();
-    }
-}
-
-function handleMouseUp(e) {
-    if (!isDragging) return;
-    
-    touchEndX = e.clientX;
-    touchEndY = e.clientY;
-    
-    const deltaX = touchEndX - touchStartX;
-    const deltaY = touchEndY - touchStartY;
-    
-    if (Math.abs(deltaX) > Math.abs(deltaY) && Math.abs(deltaX) > 50) {
-        if (deltaX > 0) {
-            changeMainSlide(-1);
-        } else {
-            changeMainSlide(1);
-        }
-    }
-    
-    isDragging = false;
-    resetMainAutoPlay();
-}
-
 // Enhanced thumbnail click handling
 function initializeThumbnailNavigation() {
     const thumbnails = document.querySelectorAll('.thumbnail-item');
@@ -524,32 +475,17 @@ function initializeThumbnailNavigation() {
             thumbnail.classList.add('active');
             
             // Go to corresponding slide
-            goToSlide(index);
+            if (mainCarousel) mainCarousel.goTo(index, 'thumbnail');
             
             // Track interaction
-            if (typeof ttq !== 'undefined') {
-                ttq.track('ClickButton', {
-                    content_type: 'gallery_navigation',
-                    content_name: `Thumbnail ${index + 1}`,
-                });
-            }
+            analytics.track('GalleryInteraction', {
+                contentType: 'gallery_navigation',
+                contentName: `Thumbnail ${index + 1}`
+            });
         });
     });
 }
 
-// Mobile-optimized autoplay
-function startMainAutoPlay() {
-    // Shorter autoplay on mobile for better UX
-    const isMobile = window.innerWidth <= 768;
-    const interval = isMobile ? 4000 : 5000; // 4s on mobile, 5s on desktop
-    
-    mainAutoPlayInterval = setInterval(() => {
-        currentMainSlide = (currentMainSlide + 1) % totalMainSlides;
-        showMainSlide(currentMainSlide);
-        updateThumbnailActive(currentMainSlide);
-    }, interval);
-}
-
 function updateThumbnailActive(activeIndex) {
     const thumbnails = document.querySelectorAll('.thumbnail-item');
     thumbnails.forEach((thumbnail, index) => {
@@ -558,9 +494,14 @@ function updateThumbnailActive(activeIndex) {
 }
 
 // Social Proof Notifications System - نظام إشعارات الثقة الاجتماعية
+// الإشعارات من طلبات حقيقية فقط (js/social-proof-feed.js) - بدون أسماء أو رسائل مختلقة
 class SocialProofNotifications {
-    constructor() {
+    constructor(feedSource) {
         this.container = document.getElementById('notificationContainer');
+        this.feedSource = feedSource;
+        this.feed = null;
+        this.messages = [];
+        this.messageIndex = 0;
         this.isActive = true;
         this.notificationQueue = [];
         this.maxNotifications = 1;
@@ -568,59 +509,30 @@ class SocialProofNotifications {
         this.minInterval = 8000; // 8 ثواني كحد أدنى (تم تسريعه من 15 ثانية)
         this.maxInterval = 25000; // 25 ثانية كحد أقصى (تم تسريعه من 45 ثانية)
         
-        this.egyptianNames = [
-            'أحمد محمد', 'محمد أحمد', 'علي حسن', 'حسن علي', 'عمر سعيد',
-            'سعيد عمر', 'محمود إبراهيم', 'إبراهيم محمود', 'خالد فتحي', 'فتحي خالد',
-            'طارق أسامة', 'أسامة طارق', 'عبدالله عادل', 'عادل عبدالله', 'ياسر نبيل',
-            'نبيل ياسر', 'أيمن رامي', 'رامي أيمن', 'مصطفى كريم', 'كريم مصطفى',
-            'فاطمة أحمد', 'مريم محمد', 'نورا حسن', 'هند علي', 'دينا سعيد',
-            'سارة عمر', 'أميرة محمود', 'ياسمين إبراهيم', 'ندى خالد', 'رنا فتحي',
-            'منى طارق', 'هدى أسامة', 'لميس عبدالله', 'شيماء عادل', 'إيمان ياسر',
-            'نجلاء نبيل', 'سلمى أيمن', 'ريم رامي', 'نهى مصطفى', 'أسماء كريم'
-        ];
-        
-        this.egyptianGovernorates = [
-            'القاهرة', 'الجيزة', 'الأقصر', 'أسوان', 'الإسكندرية', 'بورسعيد',
-            'السويس', 'دمنهور', 'طنطا', 'المنصورة', 'الزقازيق', 'شبين الكوم',
-            'بنها', 'الفيوم', 'بني سويف', 'المنيا', 'أسيوط', 'سوهاج',
-            'قنا', 'الغردقة', 'شرم الشيخ', 'العريش', 'مرسى مطروح', 'دمياط',
-            'كفر الشيخ', 'قويسنا', 'إدفو', 'كوم أمبو', 'الواحات البحرية',
-            'سيوة', 'رشيد', 'إدكو', 'المحلة الكبرى', 'السنبلاوين', 'ميت غمر'
-        ];
-        
-        this.notificationTemplates = [
-            'طلب منتج الصاعق والكشاف والليزر 3 في 1 الآن!',
-            'اشترى للتو منتج الصاعق والكشاف والليزر 3 في 1',
-            'طلب قطعتين من منتج الصاعق والكشاف والليزر 3 في 1',
-            'أضاف منتج الصاعق والكشاف والليزر 3 في 1 إلى السلة',
-            'أكمل طلب شراء منتج الصاعق والكشاف والليزر 3 في 1',
-            'اختار العرض الخاص لمنتج الصاعق والكشاف والليزر 3 في 1',
-            'أكد طلبه من منتج الصاعق والكشاف والليزر 3 في 1 🔥',
-            'استفاد من العرض المحدود!',
-            'طلب توصيل سريع لمنتج الصاعق والكشاف والليزر 3 في 1',
-            'اشترى بالعرض الخاص - قطعتين!'
-        ];
-        
-        this.timeTexts = [
-            'منذ دقيقة', 'منذ دقيقتين', 'منذ 3 دقائق', 'منذ 4 دقائق',
-            'منذ 5 دقائق', 'منذ 8 دقائق', 'منذ 10 دقائق', 'منذ قليل',
-            'الآن', 'منذ لحظات'
-        ];
-        
-        // أيقونات متنوعة للإشعارات
-        this.notificationIcons = ['🎉', '🔥', '⚡', '🚀', '💫', '✨'];
-        
         this.init();
     }
     
-    init() {
+    async init() {
         if (!this.container) {
             console.warn('❌ لم يتم العثور على حاوية الإشعارات');
             return;
         }
         
+        this.feed = await this.feedSource.load();
+        this.messages = this.buildMessages(this.feed);
+        
+        // نفس الطلبات بلغة الواجهة الجديدة
+        i18n.onChange(() => {
+            this.messages = this.buildMessages(this.feed);
+        });
+        
+        if (this.messages.length === 0) {
+            console.log('ℹ️ لا توجد طلبات حديثة لعرضها - إشعارات الثقة الاجتماعية متوقفة');
+            return;
+        }
+        
         console.log('🚀 تم تشغيل نظام إشعارات الثقة الاجتماعية');
-        console.log(`⚙️ الإعدادات: إشعار كل ${this.minInterval/1000}-${this.maxInterval/1000} ثانية`);
+        console.log(`⚙️ الإعدادات: ${this.messages.length} إشعار، إشعار كل ${this.minInterval/1000}-${this.maxInterval/1000} ثانية`);
         
         // إشعار فوري بعد 3 ثواني لجذب الانتباه
         setTimeout(() => {
@@ -638,63 +550,101 @@ class SocialProofNotifications {
         this.detectFormFocus();
     }
     
-    generateRandomNotification() {
-        const name = this.getRandomItem(this.egyptianNames);
-        const governorate = this.getRandomItem(this.egyptianGovernorates);
-        let message = this.getRandomItem(this.notificationTemplates);
-        const time = this.getRandomItem(this.timeTexts);
-        const icon = this.getRandomItem(this.notificationIcons);
-        
-        // رسائل ديناميكية حسب الوقت
-        const hour = new Date().getHours();
-        if (hour >= 18 && hour <= 23) {
-            // رسائل المساء - أكثر إلحاحاً
-            const eveningMessages = [
-                'طلب عاجل لكشاف Police 288!',
-                'أسرع قبل انتهاء العرض!',
-                'آخر قطعة من العرض الخاص!',
-                'طلب سريع قبل نفاد الكمية!'
-            ];
-            if (Math.random() < 0.4) { // 40% احتمال لرسالة مسائية
-                message = this.getRandomItem(eveningMessages);
-            }
+    buildMessages(feed) {
+        if (this.feedSource.hasEnoughRecentOrders(feed)) {
+            return feed.recentOrders.map(order => ({
+                icon: '🛒',
+                title: i18n.t('socialProof.orderTitle', {
+                    name: order.firstName,
+                    governorate: this.formatGovernorateName(order.governorate)
+                }),
+                message: i18n.plural('socialProof.ordered', order.quantity || 1),
+                orderedAt: order.orderedAt
+            }));
+        }
+        
+        // بيانات قليلة: رسائل مجمعة بدون أسماء
+        const messages = feed.today.byGovernorate.map(entry => {
+            const governorate = this.formatGovernorateName(entry.governorate);
+            return {
+                icon: '📦',
+                title: governorate,
+                message: i18n.t('socialProof.governorateToday', { orders: this.formatOrderCount(entry.orders), governorate })
+            };
+        });
+        
+        if (feed.today.total > 0 && feed.today.byGovernorate.length !== 1) {
+            messages.unshift({
+                icon: '🔥',
+                title: i18n.t('socialProof.todayTitle'),
+                message: i18n.t('socialProof.todayTotal', { orders: this.formatOrderCount(feed.today.total) })
+            });
         }
+        return messages;
+    }
+    
+    formatOrderCount(count) {
+        return i18n.plural('socialProof.orders', count);
+    }
+    
+    // الـ feed يرسل اسم المحافظة بالعربية (js/governorates.js) - الاسم الإنجليزي من نفس القائمة
+    formatGovernorateName(name) {
+        const governorate = EGYPT_GOVERNORATES.find(item => item.name === name);
+        return governorate ? i18n.formatGovernorate(governorate) : name;
+    }
+    
+    formatRelativeTime(orderedAt) {
+        const minutes = Math.round((Date.now() - Date.parse(orderedAt)) / 60000);
+        if (minutes < 1) return i18n.t('time.now');
+        if (minutes < 60) return i18n.formatRelativeTime(-minutes, 'minute');
+        
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return i18n.formatRelativeTime(-hours, 'hour');
+        return i18n.formatRelativeTime(-Math.round(hours / 24), 'day');
+    }
+    
+    // الإشعارات بالترتيب (الأحدث أولاً) بدون تكرار حتى تنتهي القائمة
+    getNextNotification() {
+        const data = this.messages[this.messageIndex % this.messages.length];
+        this.messageIndex++;
         
         return {
-            name,
-            governorate,
-            message,
-            time,
-            icon
+            ...data,
+            time: data.orderedAt ? this.formatRelativeTime(data.orderedAt) : ''
         };
     }
     
+    // textContent وليس innerHTML - البيانات قادمة من الـ feed
     createNotificationElement(data) {
         const notification = document.createElement('div');
         notification.className = 'social-notification';
         
         notification.innerHTML = `
-            <div class="notification-icon">${data.icon}</div>
+            <div class="notification-icon"></div>
             <div class="notification-content">
-                <div class="notification-title">${data.name} - ${data.governorate}</div>
-                <div class="notification-message">${data.message}</div>
-                <div class="notification-time">${data.time}</div>
+                <div class="notification-title"></div>
+                <div class="notification-message"></div>
+                <div class="notification-time"></div>
             </div>
         `;
+        notification.querySelector('.notification-icon').textContent = data.icon;
+        notification.querySelector('.notification-title').textContent = data.title;
+        notification.querySelector('.notification-message').textContent = data.message;
+        notification.querySelector('.notification-time').textContent = data.time;
         
         return notification;
     }
     
     showNotification() {
-        if (!this.isActive || this.notificationQueue.length >= this.maxNotifications) {
+        if (!this.isActive || this.messages.length === 0 || this.notificationQueue.length >= this.maxNotifications) {
             return;
         }
         
-        const data = this.generateRandomNotification();
+        const data = this.getNextNotification();
         const notification = this.createNotificationElement(data);
         
         // تسجيل الإشعار في الكونسول للمتابعة
-        console.log(`📢 إشعار جديد: ${data.name} - ${data.governorate}: ${data.message}`);
+        console.log(`📢 إشعار جديد: ${data.title}: ${data.message}`);
         
         this.container.appendChild(notification);
         this.notificationQueue.push(notification);
@@ -789,6 +739,8 @@ class SocialProofNotifications {
     }
     
     resumeNotifications() {
+        if (this.messages.length === 0) return;
+        
         this.isActive = true;
         console.log('🔄 تم تشغيل نظام الإشعارات مرة أخرى');
         
@@ -797,10 +749,6 @@ class SocialProofNotifications {
             this.scheduleNextNotification();
         }, 3000);
     }
-    
-    getRandomItem(array) {
-        return array[Math.floor(Math.random() * array.length)];
-    }
 }
 
 // تهيئة نظام الإشعارات
@@ -809,34 +757,31 @@ let socialProofSystem;
 // تهيئة التطبيق
 document.addEventListener('DOMContentLoaded', function() {
     initializeMainSlider();
-    initializeTouchSupport();
     initializeThumbnailNavigation();
     initializeForm();
-    initializeModal();
+    renderCatalogPrices();
+    offerScheduler.onChange(refreshOfferPrices);
+    offerScheduler.start();
+    i18n.onChange(refreshLanguage);
+    initializeLightbox();
     initializeFloatingNav();
     initializeHeaderTransparency();
     setupNumberConversion();
     initializeDemoVideo();
     
+    // إرسال أي طلبات محفوظة من زيارة سابقة
+    flushOrderQueue();
+    
     // Auto-play YouTube video
     initializeAutoPlayVideo();
     
-    // تهيئة نظام إشعارات الثقة الاجتماعية
-    socialProofSystem = new SocialProofNotifications();
-    
-    // TikTok ViewContent Tracking
-    if (typeof ttq !== 'undefined') {
-        ttq.track('ViewContent', {
-            content_type: 'product',
-            content_id: 'police-288-3in1',
-            content_name: 'منتج الصاعق والكشاف والليزر 3 في 1',
-            value: '1700',
-            currency: 'EGP'
-        });
-        console.log('✅ TikTok ViewContent tracked');
+    // تهيئة نظام إشعارات الثقة الاجتماعية (يمكن إيقافه من تجربة A/B - js/config.js)
+    if (experiments.getSetting('socialProof', true)) {
+        socialProofSystem = new SocialProofNotifications(socialProofFeed);
     }
     
-    startMainAutoPlay();
+    // ViewContent Tracking
+    analytics.track('ViewContent', { value: getUnitPrice() });
     
     // Additional mobile optimizations
     if (window.innerWidth <= 768) {
@@ -924,61 +869,27 @@ window.addEventListener('resize', function() {
     }
 });
 
-// السلايدر الرئيسي
-function initializeMainSlider() {
-    mainSlides = document.querySelectorAll('.main-slide');
-    totalMainSlides = mainSlides.length;
-    
-    if (totalMainSlides > 0) {
-        showMainSlide(0);
-        updateIndicators(0);
-    }
-}
-
-function showMainSlide(index) {
-    if (totalMainSlides === 0) return;
-    
-    const wrapper = document.getElementById('mainSliderWrapper');
-    if (wrapper) {
-        wrapper.style.transform = `translateX(${index * 100}%)`;
-        updateIndicators(index);
-    }
-}
-
-function changeMainSlide(direction) {
-    if (totalMainSlides === 0) return;
-    
-    currentMainSlide += direction;
-    
-    if (currentMainSlide >= totalMainSlides) {
-        currentMainSlide = 0;
-    } else if (currentMainSlide < 0) {
-        currentMainSlide = totalMainSlides - 1;
-    }
-    
-    showMainSlide(currentMainSlide);
-    resetMainAutoPlay();
-}
-
-function goToSlide(index) {
-    if (index >= 0 && index < totalMainSlides) {
-        currentMainSlide = index;
-        showMainSlide(currentMainSlide);
-        resetMainAutoPlay();
-    }
-}
+// السلايدر الرئيسي (js/carousel.js)
+let mainCarousel = null;
 
-function updateIndicators(activeIndex) {
-    const indicators = document.querySelectorAll('.indicator');
-    indicators.forEach((indicator, index) => {
-        indicator.classList.toggle('active', index === activeIndex);
+function initializeMainSlider() {
+    const slider = document.querySelector('.main-slider');
+    if (!slider) return;
+    
+    // 4 ثواني على الموبايل و 5 على الشاشات الكبيرة
+    mainCarousel = new Carousel(slider, { autoplay: window.innerWidth <= 768 ? 4000 : 5000 });
+    mainCarousel.onChange(({ index, cause }) => {
+        updateThumbnailActive(index);
+        
+        // الصور المصغرة تسجل الحدث بنفسها، والتشغيل التلقائي ليس تفاعلاً
+        if (cause === 'autoplay' || cause === 'thumbnail') return;
+        analytics.track('GalleryInteraction', {
+            contentType: 'gallery_navigation',
+            contentName: `Slide ${index + 1} (${cause})`
+        });
     });
 }
 
-function pauseMainAutoPlay() {
-    clearInterval(mainAutoPlayInterval);
-}
-
 // القائمة العائمة
 function scrollToSection(sectionId) {
     const section = document.getElementById(sectionId);
@@ -1012,11 +923,286 @@ function initializeForm() {
         inputs.forEach(input => {
             input.addEventListener('blur', validateField);
         });
+        
+        initializeOfferOptions();
+        initializeAddressFields();
+        initializeCouponField();
+        initializeFormDraft(form);
+        updatePrice();
     }
 }
 
-// إرسال البيانات إلى Make.com webhook مع إعادة المحاولة
-async function sendToMakeWebhook(formData, retryCount = 0) {
+// حفظ واستعادة بيانات النموذج (js/form-draft.js)
+function initializeFormDraft(form) {
+    formDraft.attach(form);
+    
+    if (formDraft.restore()) {
+        const governorateId = document.getElementById('governorate').value;
+        updateCityOptions(governorateId);
+        updateShippingEstimate(governorateId);
+        applyCouponCode();
+    }
+    
+    const clearBtn = document.getElementById('clearFormDraftBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            formDraft.withdraw();
+            resetForm();
+            console.log('🗑️ تم مسح بيانات النموذج المحفوظة');
+        });
+    }
+}
+
+// التحقق من كود الخصم على الخادم (api/coupons.js) - قائمة الأكواد لا تصل للمتصفح
+// نتيجة كل كود تُحفظ حتى نهاية الزيارة: الخصم المعروض هو ما أرجعه الخادم فقط
+const COUPON_ENDPOINT = '/api/coupons';
+const couponChecks = new Map();
+
+// { valid, coupon } أو { valid: false, errorCode } - فشل الاتصال لا يُحفظ حتى يمكن المحاولة مرة أخرى
+async function checkCoupon(code) {
+    if (couponChecks.has(code)) return couponChecks.get(code);
+    
+    try {
+        const response = await fetch(COUPON_ENDPOINT, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        const data = await response.json();
+        
+        if (response.ok && data.coupon) {
+            couponChecks.set(code, { valid: true, coupon: data.coupon });
+        } else if (response.status === 400 && data.errorCode) {
+            couponChecks.set(code, { valid: false, errorCode: data.errorCode });
+        } else {
+            return { valid: false, errorCode: 'unavailable' };
+        }
+    } catch (error) {
+        console.error('❌ تعذر التحقق من كود الخصم:', error);
+        return { valid: false, errorCode: 'unavailable' };
+    }
+    return couponChecks.get(code);
+}
+
+// نتيجة الخادم للكود المكتوب حالياً، أو null إذا لم يتم التحقق منه بعد
+function getCouponCheck() {
+    const couponInput = document.getElementById('couponCode');
+    const code = couponInput ? normalizeCouponCode(couponInput.value) : '';
+    return code ? couponChecks.get(code) || null : null;
+}
+
+async function applyCouponCode() {
+    const couponInput = document.getElementById('couponCode');
+    if (!couponInput) return;
+    
+    couponInput.value = normalizeCouponCode(couponInput.value);
+    if (couponInput.value) {
+        await checkCoupon(couponInput.value);
+    }
+    validateField({ target: couponInput });
+    updateCouponStatus();
+    updatePrice();
+}
+
+// كود الخصم - يمكن تطبيقه مسبقاً من رابط الإعلان: ?coupon=<CODE>
+function initializeCouponField() {
+    const couponInput = document.getElementById('couponCode');
+    if (!couponInput) return;
+    
+    document.getElementById('applyCouponBtn').addEventListener('click', applyCouponCode);
+    couponInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            applyCouponCode();
+        }
+    });
+    couponInput.addEventListener('input', () => {
+        updateCouponStatus();
+        updatePrice();
+    });
+    // الخروج من الحقل بعد كتابة كود جديد
+    couponInput.addEventListener('change', applyCouponCode);
+    
+    const urlCoupon = new URLSearchParams(window.location.search).get('coupon');
+    if (urlCoupon) {
+        couponInput.value = urlCoupon;
+        applyCouponCode().then(() => console.log('🎟️ تم تطبيق كود الخصم من الرابط:', couponInput.value));
+    }
+}
+
+function updateCouponStatus() {
+    const couponStatus = document.getElementById('couponStatus');
+    if (!couponStatus) return;
+    
+    const coupon = getAppliedCoupon();
+    couponStatus.textContent = coupon ? i18n.t('coupon.applied', { description: describeCoupon(coupon) }) : '';
+}
+
+// وصف قصير للخصم يظهر للعميل، مثال: "خصم 10%"
+function describeCoupon(coupon) {
+    if (coupon.type === 'percent') return i18n.t('coupon.percent', { value: i18n.formatNumber(coupon.value) });
+    if (coupon.type === 'fixed') return i18n.t('coupon.fixed', { amount: i18n.formatCurrency(coupon.value) });
+    return i18n.t('coupon.freeShipping');
+}
+
+// قائمة الكمية والأسعار المعروضة - من js/catalog.js فقط
+function initializeOfferOptions() {
+    const quantitySelect = document.getElementById('quantity');
+    if (!quantitySelect) return;
+    
+    PRODUCT_CATALOG.offers.forEach(offer => {
+        const option = document.createElement('option');
+        option.value = String(offer.quantity);
+        option.textContent = getOfferOptionLabel(getOffer(offer.quantity));
+        quantitySelect.appendChild(option);
+    });
+    
+    // AddToCart عند اختيار العرض
+    quantitySelect.addEventListener('change', () => {
+        const offer = getOffer(quantitySelect.value);
+        if (offer) {
+            analytics.track('AddToCart', { value: offer.price, quantity: offer.quantity });
+        }
+    });
+}
+
+// نص الاختيار في قائمة الكمية، مثال: "قطعتين - 2,999 جنيه (وفر 401 جنيه!) 💎"
+// offer من getOffer() - العرض المجدول يضيف اسمه: "... ⏰ عرض الشتاء"
+function getOfferOptionLabel(offer) {
+    const bundleDiscount = offer.quantity * getUnitPrice() - offer.price;
+    const scheduleLabel = i18n.pick(offer.scheduleLabel);
+    
+    return i18n.t('offers.option', {
+        label: i18n.formatOffer(offer),
+        price: i18n.formatCurrency(offer.price),
+        savings: bundleDiscount > 0 ? i18n.t('offers.savings', { amount: i18n.formatCurrency(bundleDiscount) }) : '',
+        badge: offer.badge,
+        schedule: scheduleLabel ? ` ${scheduleLabel}` : ''
+    });
+}
+
+function renderCatalogPrices() {
+    // الأسعار داخل النصوص المترجمة (meta.description و price.perks و form.trust)
+    i18n.setParams({
+        price: i18n.formatCurrency(getUnitPrice()),
+        listPrice: i18n.formatCurrency(PRODUCT_CATALOG.product.listPrice),
+        shippingFrom: i18n.formatCurrency(getMinShippingFee())
+    });
+
+    document.querySelectorAll('[data-price]').forEach(element => {
+        const key = element.dataset.price;
+        if (key === 'list') {
+            element.textContent = i18n.formatCurrency(PRODUCT_CATALOG.product.listPrice);
+            return;
+        }
+        
+        const offer = PRODUCT_CATALOG.offers.find(item => item.id === key);
+        if (offer) {
+            element.textContent = i18n.formatCurrency(getOffer(offer.quantity).price);
+        }
+    });
+}
+
+// بداية أو نهاية عرض مجدول (js/offer-scheduler.js): تحديث كل الأسعار المعروضة
+function refreshOfferPrices() {
+    renderCatalogPrices();
+    
+    document.querySelectorAll('#quantity option[value]').forEach(option => {
+        const offer = getOffer(option.value);
+        if (offer) {
+            option.textContent = getOfferOptionLabel(offer);
+        }
+    });
+    
+    updatePrice();
+}
+
+// تبديل اللغة (js/i18n.js): النصوص الثابتة تتغير تلقائياً (data-i18n)، وهنا كل ما يُكتب من JavaScript
+function refreshLanguage() {
+    refreshOfferPrices();
+    
+    document.querySelectorAll('#governorate option[value]').forEach(option => {
+        const governorate = getGovernorate(option.value);
+        if (governorate) {
+            option.textContent = i18n.formatGovernorate(governorate);
+        }
+    });
+    
+    const governorateId = document.getElementById('governorate').value;
+    updateShippingEstimate(governorateId);
+    updateCouponStatus();
+    
+    // رسائل الخطأ الظاهرة بنفس اللغة الجديدة
+    document.querySelectorAll('#orderFormElement .field-error').forEach(errorDiv => {
+        const field = errorDiv.closest('.form-group').querySelector('input, textarea, select');
+        if (field) {
+            validateField({ target: field });
+        }
+    });
+}
+
+// المحافظة والمدينة - تعبئة القوائم وعرض رسوم الشحن ومدة التوصيل
+function initializeAddressFields() {
+    const governorateSelect = document.getElementById('governorate');
+    if (!governorateSelect) return;
+    
+    EGYPT_GOVERNORATES.forEach(governorate => {
+        const option = document.createElement('option');
+        option.value = governorate.id;
+        option.textContent = i18n.formatGovernorate(governorate);
+        governorateSelect.appendChild(option);
+    });
+    
+    governorateSelect.addEventListener('change', () => {
+        updateCityOptions(governorateSelect.value);
+        updateShippingEstimate(governorateSelect.value);
+        updatePrice();
+    });
+}
+
+function updateCityOptions(governorateId) {
+    const cityOptions = document.getElementById('cityOptions');
+    if (!cityOptions) return;
+    
+    const governorate = getGovernorate(governorateId);
+    cityOptions.innerHTML = '';
+    
+    if (governorate) {
+        governorate.cities.forEach(city => {
+            const option = document.createElement('option');
+            option.value = city;
+            cityOptions.appendChild(option);
+        });
+    }
+}
+
+function updateShippingEstimate(governorateId) {
+    const shippingEstimate = document.getElementById('shippingEstimate');
+    if (!shippingEstimate) return;
+    
+    const shipping = getShippingInfo(governorateId);
+    shippingEstimate.textContent = shipping
+        ? i18n.t('form.shippingEstimate', {
+            governorate: i18n.formatGovernorate(shipping.governorate),
+            fee: i18n.formatCurrency(shipping.fee),
+            delivery: i18n.formatDeliveryEstimate(shipping.deliveryDays)
+        })
+        : '';
+}
+
+// الطلبات تُرسل إلى الـ API الخاص بنا فقط - الخادم هو من يرسلها إلى Make.com وباقي الوجهات
+const ORDER_ENDPOINT = '/api/orders';
+
+// مفتاح فريد لكل طلب حتى لا يتم تسجيله مرتين عند إعادة الإرسال
+function generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// إرسال الطلب إلى الـ API مع إعادة المحاولة
+async function sendOrder(formData, retryCount = 0) {
     const maxRetries = 2;
     const timeout = 10000; // 10 ثواني timeout
     
@@ -1024,7 +1210,7 @@ async function sendToMakeWebhook(formData, retryCount = 0) {
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
         
-        const response = await fetch('https://hook.eu2.make.com/jbw8c58qrbe1dp1djwdiac6elyf3srym', {
+        const response = await fetch(ORDER_ENDPOINT, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -1036,119 +1222,305 @@ async function sendToMakeWebhook(formData, retryCount = 0) {
         clearTimeout(timeoutId);
         
         if (response.ok) {
-            console.log('✅ تم إرسال البيانات بنجاح إلى Make.com');
-            return { success: true, data: await response.text() };
+            const data = await response.json();
+            console.log('✅ تم إرسال الطلب بنجاح:', data.orderId);
+            return { success: true, orderId: data.orderId };
         } else {
-            throw new Error(`خطأ HTTP: ${response.status}`);
+            const httpError = new Error(`HTTP ${response.status}`);
+            httpError.status = response.status;
+            // أخطاء التحقق من الخادم لكل حقل، مثل كود خصم مستخدم من قبل
+            httpError.fields = await response.json().then(data => data.fields, () => undefined);
+            throw httpError;
         }
         
     } catch (error) {
         console.error(`❌ المحاولة ${retryCount + 1} فشلت:`, error.message);
         
+        // أخطاء الشبكة وأخطاء الخادم المؤقتة يمكن إعادة إرسالها لاحقاً
+        const retryable = !error.status || orderQueue.isRetryableStatus(error.status);
+        
         // إعادة المحاولة في حالة الفشل
-        if (retryCount < maxRetries && !error.name === 'AbortError') {
+        if (retryCount < maxRetries && retryable && error.name !== 'AbortError') {
             console.log(`🔄 إعادة المحاولة ${retryCount + 2}...`);
             await new Promise(resolve => setTimeout(resolve, 2000)); // انتظار ثانيتين
-            return sendToMakeWebhook(formData, retryCount + 1);
+            return sendOrder(formData, retryCount + 1);
         }
         
-        return { success: false, error: error.message };
+        return { success: false, error: error.message, retryable, fields: error.fields };
     }
 }
 
-function handleFormSubmission(e) {
-    e.preventDefault();
+// حفظ الطلب في IndexedDB وطلب مزامنته عند عودة الاتصال
+async function queueOrderForSync(formData) {
+    if (!orderQueue.isSupported()) {
+        return false;
+    }
     
-    // TikTok AddToCart Tracking
-    if (typeof ttq !== 'undefined') {
-        const quantity = document.getElementById('quantity').value;
-        const productName = 'منتج الصاعق والكشاف والليزر 3 في 1';
-        let price = quantity === '1' ? '1700' : '2999';
-        
-        ttq.track('AddToCart', {
-            value: price,
-            currency: 'EGP',
-            content_type: 'product',
-            content_id: 'police-288-3in1',
-            content_name: productName,
-            quantity: parseInt(quantity)
-        });
-        console.log('✅ TikTok AddToCart tracked');
+    try {
+        await orderQueue.enqueue(ORDER_ENDPOINT, formData);
+    } catch (error) {
+        console.error('❌ فشل حفظ الطلب للإرسال لاحقاً:', error);
+        return false;
     }
     
-    if (!validateForm()) {
+    try {
+        if ('serviceWorker' in navigator && 'SyncManager' in window) {
+            const registration = await navigator.serviceWorker.getRegistration();
+            if (registration) {
+                await registration.sync.register(ORDER_SYNC_TAG);
+                console.log('🔄 تم تسجيل Background Sync للطلب');
+            }
+        }
+    } catch (error) {
+        // الصفحة ستعيد الإرسال عند عودة الاتصال أو عند الزيارة القادمة
+        console.warn('⚠️ Background Sync غير متاح:', error);
+    }
+    
+    return true;
+}
+
+// إعادة إرسال الطلبات المحفوظة من الصفحة (بديل للمتصفحات بدون Background Sync)
+async function flushOrderQueue() {
+    if (!orderQueue.isSupported() || !navigator.onLine) return;
+    
+    try {
+        const results = await orderQueue.flush();
+        const sentCount = results.filter(result => result.success).length;
+        if (sentCount > 0) {
+            console.log(`✅ تم إرسال ${sentCount} طلب محفوظ`);
+        }
+    } catch (error) {
+        console.error('❌ فشل إرسال الطلبات المحفوظة:', error);
+    }
+}
+
+window.addEventListener('online', flushOrderQueue);
+
+// منع الإرسال المزدوج: قفل أثناء الإرسال، ونفس مفتاح idempotency عند إعادة إرسال نفس البيانات بعد فشل
+let isSubmittingOrder = false;
+let pendingSubmission = null;
+
+function getSubmissionIdempotencyKey(formData) {
+    const fingerprint = JSON.stringify([
+        formData.name, formData.phone, formData.quantity, formData.governorate,
+        formData.city, formData.street, formData.landmark, formData.couponCode
+    ]);
+    
+    if (!pendingSubmission || pendingSubmission.fingerprint !== fingerprint) {
+        pendingSubmission = { fingerprint, idempotencyKey: generateIdempotencyKey() };
+    }
+    return pendingSubmission.idempotencyKey;
+}
+
+function setSubmitting(submitting) {
+    isSubmittingOrder = submitting;
+    formDraft.setSubmitting(submitting);
+    
+    const submitBtn = document.querySelector('#orderFormElement .submit-btn');
+    if (!submitBtn) return;
+    
+    if (submitting) {
+        submitBtn.dataset.label = submitBtn.innerHTML;
+        submitBtn.textContent = i18n.t('form.sending');
+    } else if (submitBtn.dataset.label) {
+        submitBtn.innerHTML = submitBtn.dataset.label;
+    }
+    submitBtn.disabled = submitting;
+    submitBtn.setAttribute('aria-busy', String(submitting));
+}
+
+// تأكيد قبل تسجيل طلب جديد لنفس الرقم خلال 24 ساعة
+function confirmDuplicateOrder(recentOrder) {
+    const minutesAgo = Math.max(1, Math.round((Date.now() - recentOrder.at) / 60000));
+    const timeAgo = minutesAgo < 60
+        ? i18n.formatRelativeTime(-minutesAgo, 'minute')
+        : i18n.formatRelativeTime(-Math.round(minutesAgo / 60), 'hour');
+    const offer = getOffer(recentOrder.quantity);
+    
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'duplicate-order-overlay';
+        overlay.innerHTML = `
+            <div class="duplicate-order-dialog" role="alertdialog" aria-modal="true"
+                 aria-labelledby="duplicateOrderTitle" aria-describedby="duplicateOrderText">
+                <div class="duplicate-order-icon">🛒</div>
+                <h3 id="duplicateOrderTitle">${i18n.t('duplicate.title')}</h3>
+                <p id="duplicateOrderText">
+                    ${i18n.t('duplicate.text', { offer: offer ? i18n.formatOffer(offer) : i18n.t('duplicate.product'), time: timeAgo })}<br>
+                    ${i18n.t('duplicate.question')}
+                </p>
+                <div class="duplicate-order-actions">
+                    <button type="button" class="duplicate-order-confirm">${i18n.t('duplicate.confirm')}</button>
+                    <button type="button" class="duplicate-order-cancel">${i18n.t('duplicate.cancel')}</button>
+                </div>
+            </div>
+        `;
+        
+        const close = confirmed => {
+            document.removeEventListener('keydown', onKeydown);
+            overlay.remove();
+            resolve(confirmed);
+        };
+        const onKeydown = e => {
+            if (e.key === 'Escape') close(false);
+        };
+        
+        overlay.querySelector('.duplicate-order-confirm').addEventListener('click', () => close(true));
+        overlay.querySelector('.duplicate-order-cancel').addEventListener('click', () => close(false));
+        document.addEventListener('keydown', onKeydown);
+        
+        document.body.appendChild(overlay);
+        overlay.querySelector('.duplicate-order-cancel').focus();
+    });
+}
+
+async function handleFormSubmission(e) {
+    e.preventDefault();
+    
+    if (isSubmittingOrder) {
+        console.log('⏳ الطلب قيد الإرسال بالفعل');
         return;
     }
     
+    // القفل قبل أول await حتى لا يبدأ ضغط ثانٍ طلباً آخر أثناء التحقق من الكود
+    setSubmitting(true);
+    try {
+        // كود مكتوب لم يتم التحقق منه بعد (مثل الضغط على الإرسال مباشرة بعد الكتابة)
+        const couponInput = document.getElementById('couponCode');
+        if (couponInput && normalizeCouponCode(couponInput.value) && !getCouponCheck()) {
+            await applyCouponCode();
+        }
+        
+        if (!validateForm()) {
+            return;
+        }
+        
+        const totals = getFormOrderTotals();
+        analytics.track('InitiateCheckout', { value: totals.total, quantity: totals.quantity });
+        
+        await submitOrder();
+    } finally {
+        setSubmitting(false);
+    }
+}
+
+async function submitOrder() {
+    const shipping = getShippingInfo(document.getElementById('governorate').value);
+    const addressFields = {
+        governorateId: shipping.governorate.id,
+        city: document.getElementById('city').value.trim(),
+        street: document.getElementById('address').value.trim(),
+        landmark: document.getElementById('landmark').value.trim()
+    };
+    
     // جمع بيانات النموذج مع تحويل الأرقام
+    // القيم أرقام ومعرفات وأوقات ISO، ونصوص العرض (governorateName، *Label، المصدر) بالعربية دائماً مهما كانت
+    // لغة الواجهة - سيناريو Make.com والشيت يعتمدان عليها، واللغة التي رآها العميل في language فقط
     const formData = {
         name: document.getElementById('name').value.trim(),
-        phone: convertArabicToEnglishNumbers(document.getElementById('phone').value.trim()),
-        whatsapp: convertArabicToEnglishNumbers(document.getElementById('whatsapp').value.trim()) || 'غير محدد',
+        phone: normalizeEgyptianPhone(document.getElementById('phone').value).e164,
+        whatsapp: normalizeEgyptianPhone(document.getElementById('whatsapp').value).e164 || null,
         quantity: document.getElementById('quantity').value,
-        address: document.getElementById('address').value.trim(),
-        timestamp: new Date().toLocaleString('ar-EG', {
-            timeZone: 'Africa/Cairo',
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        }),
+        governorate: shipping.governorate.id,
+        governorateName: shipping.governorate.name,
+        city: addressFields.city,
+        street: addressFields.street,
+        landmark: addressFields.landmark,
+        address: formatAddress(addressFields),
+        shippingFee: shipping.fee,
+        deliveryDays: { min: shipping.deliveryDays[0], max: shipping.deliveryDays[1] },
+        deliveryEstimateLabel: formatDeliveryEstimate(shipping.deliveryDays),
+        timestamp: new Date().toISOString(),
         source: 'موقع منتج الصاعق والكشاف والليزر 3 في 1',
         product: 'منتج الصاعق والكشاف والليزر 3 في 1',
+        language: i18n.language,
         userAgent: navigator.userAgent,
-        pageUrl: window.location.href
+        pageUrl: window.location.href,
+        // الخادم يرسل حدث الشراء إلى TikTok Events API فقط عند الموافقة
+        trackingConsent: trackingConsent.getStatus(),
+        // مصدر الزيارة (أول وآخر حملة) لتقارير الإيرادات لكل حملة
+        attribution: attribution.getForOrder(),
+        // متغيرات اختبارات A/B التي رآها الزائر { experimentId: variantId }
+        experiments: experiments.getAssignments(),
+        // طلب غير مكتمل سابق لنفس الزائر - يتم تعليمه كـ recovered بدلاً من متابعته
+        leadId: formDraft.getLeadIdForOrder()
     };
     
-    // إضافة معلومات السعر حسب الكمية
-    if (formData.quantity === '1') {
-        formData.price = '1,700 جنيه';
-        formData.offer = 'قطعة واحدة - عرض خاص';
-        formData.totalSavings = '300 جنيه موفرة';
-    } else if (formData.quantity === '2') {
-        formData.price = '2,999 جنيه';
-        formData.offer = 'قطعتين - عرض مميز (وفر 401 جنيه)';
-        formData.totalSavings = '1,001 جنيه موفرة';
+    // إضافة معلومات السعر من نفس حساب ملخص الطلب - الخادم يعيد نفس الحساب ولا يعتمد على هذه القيم
+    Object.assign(formData, getOrderPricingFields(getFormOrderTotals()));
+    formData.idempotencyKey = getSubmissionIdempotencyKey(formData);
+    
+    const recentOrder = await recentOrders.findRecent(formData.phone);
+    if (recentOrder && !(await confirmDuplicateOrder(recentOrder))) {
+        console.log('🛑 تم إلغاء الطلب المكرر بواسطة العميل');
+        return;
     }
     
     showLoading();
-    console.log('📤 إرسال بيانات العميل إلى Make.com...', formData);
+    console.log('📤 إرسال بيانات العميل...', formData);
     
     // إرسال البيانات مع معالجة متقدمة للأخطاء
-    sendToMakeWebhook(formData)
-        .then(result => {
-            hideLoading();
-            
-            if (result.success) {
-                // TikTok Conversion Tracking
-                if (typeof ttq !== 'undefined') {
-                    ttq.track('CompletePayment', {
-                        value: formData.price.replace(/[^\d]/g, ''),
-                        currency: 'EGP',
-                        content_type: 'product',
-                        content_id: 'police-288-3in1',
-                        content_name: formData.product,
-                        quantity: parseInt(formData.quantity)
-                    });
-                    console.log('✅ TikTok conversion tracked');
-                }
-                
-                showSuccessMessage(formData);
-                resetForm();
-                
-                // إيقاف الإشعارات بعد الطلب الناجح
-                if (window.socialProofSystem) {
-                    socialProofSystem.pauseNotifications();
-                }
-            } else {
-                showErrorMessage(result.error);
-            }
-        });
+    const result = await sendOrder(formData);
+    
+    if (!result.success && result.retryable && await queueOrderForSync(formData)) {
+        hideLoading();
+        console.log('📥 تم حفظ الطلب وسيتم إرساله تلقائياً عند عودة الاتصال');
+        await completeSubmission(formData);
+        showSuccessMessage(formData, { pending: true });
+        resetForm();
+        return;
+    }
+    
+    hideLoading();
+    
+    if (result.success) {
+        // رقم الطلب الصادر من الخادم - نفس الرقم الذي وصل إلى Make.com
+        formData.orderId = result.orderId;
+        
+        // تتبع الشراء (Purchase) يتم مرة واحدة في صفحة التأكيد
+        await completeSubmission(formData);
+        showSuccessMessage(formData);
+        resetForm();
+        
+        // إيقاف الإشعارات بعد الطلب الناجح
+        if (window.socialProofSystem) {
+            socialProofSystem.pauseNotifications();
+        }
+    } else if (result.fields && result.fields.quantity) {
+        // انتهى أو بدأ عرض مجدول بين عرض السعر وإرسال الطلب
+        refreshOfferPrices();
+        const quantitySelect = document.getElementById('quantity');
+        showFieldError(quantitySelect, i18n.t('form.errors.offerChanged'));
+        quantitySelect.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else if (result.fields && result.fields.couponCode) {
+        // تحقق جديد من الكود: ما زال صالحاً ورفضه الخادم = تم استخدامه من قبل لنفس الرقم
+        const couponInput = document.getElementById('couponCode');
+        const code = normalizeCouponCode(couponInput.value);
+        couponChecks.delete(code);
+        const coupon = await checkCoupon(code);
+        // صالح لكن مستخدم لهذا الرقم: الملخص بدون خصم، والإرسال التالي يتحقق منه مرة أخرى
+        if (coupon.valid) {
+            couponChecks.delete(code);
+        }
+        removeFieldError(couponInput);
+        showFieldError(couponInput, i18n.t(coupon.valid ? 'errors.coupon.used' : `errors.coupon.${coupon.errorCode}`));
+        document.getElementById('couponStatus').textContent = '';
+        updatePrice();
+        couponInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    } else {
+        showErrorMessage(result.error, formData);
+    }
+}
+
+// الطلب تم تسجيله (أو حفظه للإرسال لاحقاً): تذكره محلياً، والطلب التالي يحصل على مفتاح جديد
+async function completeSubmission(formData) {
+    pendingSubmission = null;
+    formDraft.clear();
+    await recentOrders.record(formData.phone, formData.quantity);
 }
 
 function validateForm() {
-    const requiredFields = ['name', 'phone', 'quantity', 'address'];
+    const requiredFields = ['name', 'phone', 'whatsapp', 'quantity', 'governorate', 'city', 'address', 'couponCode'];
     let isValid = true;
     
     requiredFields.forEach(fieldId => {
@@ -1181,34 +1553,68 @@ function validateField(e) {
     switch(field.id) {
         case 'name':
             if (!value) {
-                errorMessage = 'الاسم مطلوب';
+                errorMessage = i18n.t('form.errors.nameRequired');
                 isValid = false;
             } else if (value.length < 2) {
-                errorMessage = 'الاسم قصير جداً';
+                errorMessage = i18n.t('form.errors.nameShort');
                 isValid = false;
             }
             break;
             
         case 'phone':
-            if (!value) {
-                errorMessage = 'رقم الهاتف مطلوب';
+        case 'whatsapp': {
+            // حقل الواتساب اختياري، لكن إذا تمت كتابته يجب أن يكون رقماً صحيحاً
+            if (field.id === 'whatsapp' && !value) break;
+            
+            const phone = normalizeEgyptianPhone(value);
+            if (!phone.valid) {
+                errorMessage = i18n.t(`errors.phone.${phone.errorCode}`);
+                isValid = false;
+            } else if (field.value !== phone.national) {
+                // عرض الرقم بالصيغة المحلية الموحدة 01xxxxxxxxx
+                field.value = phone.national;
+            }
+            break;
+        }
+            
+        case 'governorate':
+            if (!getGovernorate(value)) {
+                errorMessage = i18n.t('form.errors.governorate');
                 isValid = false;
             }
             break;
             
-        case 'whatsapp':
-            // حقل الواتساب اختياري ولا توجد قيود على عدد الأرقام
+        case 'city':
+            if (value.length < 2) {
+                errorMessage = i18n.t('form.errors.city');
+                isValid = false;
+            }
             break;
             
         case 'address':
             if (!value) {
-                errorMessage = 'العنوان مطلوب';
+                errorMessage = i18n.t('form.errors.addressRequired');
+                isValid = false;
+            } else if (value.length < 5) {
+                errorMessage = i18n.t('form.errors.addressShort');
                 isValid = false;
-            } else if (value.length < 10) {
-                errorMessage = 'يرجى كتابة عنوان مفصل أكثر';
+            }
+            break;
+            
+        case 'couponCode': {
+            // كود الخصم اختياري، لكن الكود المكتوب يجب أن يكون صالحاً حتى لا يُفاجأ العميل بالسعر
+            if (!value) break;
+            
+            // لم يتم التحقق بعد أثناء الخروج من الحقل: حدث change يتحقق منه الآن (applyCouponCode)
+            const coupon = getCouponCheck();
+            if (!coupon && e.type === 'blur') break;
+            
+            if (!coupon || !coupon.valid) {
+                errorMessage = i18n.t(`errors.coupon.${coupon ? coupon.errorCode : 'unavailable'}`);
                 isValid = false;
             }
             break;
+        }
     }
     
     if (!isValid) {
@@ -1228,13 +1634,13 @@ function showFieldError(field, message) {
     errorDiv.style.marginTop = '5px';
     errorDiv.textContent = message;
     
-    field.parentNode.appendChild(errorDiv);
+    (field.closest('.form-group') || field.parentNode).appendChild(errorDiv);
 }
 
 function removeFieldError(field) {
     field.style.borderColor = '#e2e8f0';
     
-    const errorDiv = field.parentNode.querySelector('.field-error');
+    const errorDiv = (field.closest('.form-group') || field.parentNode).querySelector('.field-error');
     if (errorDiv) {
         errorDiv.remove();
     }
@@ -1254,13 +1660,20 @@ function hideLoading() {
     }
 }
 
-function showSuccessMessage(orderData) {
+function showSuccessMessage(orderData, options = {}) {
     // بدلاً من عرض رسالة، توجيه المستخدم إلى صفحة التأكيد
-    const params = new URLSearchParams(orderData);
-    window.location.href = `confirmation.html?${params.toString()}`;
+    // بيانات العميل تنتقل عبر sessionStorage والرابط يحمل رمزاً عشوائياً فقط
+    const token = orderHandoff.save({
+        ...orderData,
+        // الخصم كما أكده الخادم - صفحة التأكيد لا تملك قائمة الأكواد
+        coupon: getAppliedCoupon(),
+        syncStatus: options.pending ? 'pending' : 'sent'
+    });
+    window.location.href = token ? `confirmation.html?ref=${token}` : 'confirmation.html';
 }
 
-function showErrorMessage(errorText) {
+// مع بيانات الطلب: زر يفتح واتساب المتجر بملخص الطلب جاهزاً - العميل يكمل الطلب بضغطة واحدة
+function showErrorMessage(errorText, orderData) {
     const errorDiv = document.createElement('div');
     errorDiv.innerHTML = `
         <div style="
@@ -1279,20 +1692,49 @@ function showErrorMessage(errorText) {
             max-width: 90%;
         ">
             <div style="font-size: 3rem; margin-bottom: 15px;">⚠️</div>
-            <h3 style="margin-bottom: 10px; font-size: 1.4rem;">حدث خطأ في الإرسال</h3>
+            <h3 style="margin-bottom: 10px; font-size: 1.4rem;">${i18n.t('error.title')}</h3>
             <p style="margin-bottom: 15px; line-height: 1.6;">
-                يرجى المحاولة مرة أخرى<br>
-                أو التواصل معنا مباشرة
+                ${i18n.t('error.retry')}<br>
+                ${i18n.t('error.contact')}
             </p>
             <div style="font-size: 0.9rem; color: rgba(255,255,255,0.9);">
-                📞 اتصل بنا أو أرسل على الواتساب<br>
-                ${errorText ? `خطأ تقني: ${errorText}` : ''}
+                ${i18n.t('error.help')}<br>
+                ${errorText ? i18n.t('error.technical', { error: errorText }) : ''}
             </div>
+            ${orderData ? `
+                <a class="error-whatsapp-btn" target="_blank" rel="noopener" style="
+                    display: inline-block;
+                    margin-top: 20px;
+                    background: #25d366;
+                    color: white;
+                    padding: 12px 24px;
+                    border-radius: 25px;
+                    font-weight: 700;
+                    text-decoration: none;
+                ">${i18n.t('error.whatsapp')}</a>
+                <button type="button" class="error-close-btn" style="
+                    display: block;
+                    margin: 12px auto 0;
+                    background: none;
+                    border: none;
+                    color: rgba(255,255,255,0.9);
+                    text-decoration: underline;
+                    cursor: pointer;
+                ">${i18n.t('error.close')}</button>
+            ` : ''}
         </div>
     `;
     
     document.body.appendChild(errorDiv);
     
+    // الرسالة تبقى حتى يختار العميل واتساب أو الإغلاق
+    if (orderData) {
+        errorDiv.querySelector('.error-whatsapp-btn').href = whatsappLinks.orderLink(orderData, getFormOrderTotals());
+        errorDiv.querySelector('.error-close-btn').addEventListener('click', () => errorDiv.remove());
+        errorDiv.querySelector('.error-whatsapp-btn').focus();
+        return;
+    }
+    
     setTimeout(() => {
         errorDiv.remove();
     }, 6000);
@@ -1310,83 +1752,43 @@ function resetForm() {
         fields.forEach(field => {
             field.style.borderColor = '#e2e8f0';
         });
+        
+        updateShippingEstimate('');
+        updateCouponStatus();
+        updatePrice();
     }
 }
 
-// النافذة المنبثقة
-function initializeModal() {
-    window.onclick = function(event) {
-        const modal = document.getElementById('imageModal');
-        if (event.target === modal) {
-            closeModal();
-        }
-    };
-    
-    document.addEventListener('keydown', function(event) {
-        if (event.key === 'Escape') {
-            closeModal();
-        }
-    });
-}
+// عرض الصور بحجم كامل (js/lightbox.js) - معرض product (السلايدر والصور المصغرة) ومعرض reviews
+let imageLightbox = null;
 
-function openModal(imageSrc) {
-    const modal = document.getElementById('imageModal');
-    const modalImg = document.getElementById('modalImage');
+function initializeLightbox() {
+    const dialog = document.getElementById('imageLightbox');
+    if (!dialog) return;
     
-    if (modal && modalImg) {
-        modal.style.display = "block";
-        modalImg.src = imageSrc;
-        document.body.style.overflow = 'hidden';
-    }
-}
-
-function closeModal() {
-    const modal = document.getElementById('imageModal');
-    if (modal) {
-        modal.style.display = "none";
-        document.body.style.overflow = 'auto';
-    }
+    imageLightbox = new Lightbox(dialog);
+    imageLightbox.onChange(({ gallery, index, cause }) => {
+        if (cause !== 'open') return;
+        analytics.track('GalleryInteraction', {
+            contentType: 'image_zoom',
+            contentName: `${gallery} ${index + 1}`
+        });
+    });
 }
 
 // مستمعي الأحداث
 window.addEventListener('load', function() {
-    // تحسين السلايدر
-    const mainSlider = document.querySelector('.main-slider');
-    if (mainSlider) {
-        mainSlider.addEventListener('mouseenter', pauseMainAutoPlay);
-        mainSlider.addEventListener('mouseleave', startMainAutoPlay);
-        
-        // دعم اللمس
-        let startX = 0;
-        
-        mainSlider.addEventListener('touchstart', (e) => {
-            startX = e.touches[0].clientX;
-            pauseMainAutoPlay();
-        });
-        
-        mainSlider.addEventListener('touchend', (e) => {
-            const endX = e.changedTouches[0].clientX;
-            const diff = startX - endX;
-            
-            if (Math.abs(diff) > 50) {
-                changeMainSlide(diff > 0 ? 1 : -1);
-            }
-            
-            startMainAutoPlay();
-        });
-    }
-    
-    // تحسين الإحصائيات
+    // تحسين الإحصائيات - القيم من نفس feed إشعارات الثقة الاجتماعية (data-stat) إذا كانت متوفرة
     const statNumbers = document.querySelectorAll('.stat-number');
     const observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
             if (entry.isIntersecting) {
                 const element = entry.target;
                 const finalText = element.textContent;
-                const numberMatch = finalText.match(/[\d.]+/);
+                const numberMatch = finalText.match(/\d[\d,.]*/);
                 
                 if (numberMatch) {
-                    const finalNumber = parseFloat(numberMatch[0]);
+                    const finalNumber = parseFloat(numberMatch[0].replace(/,/g, ''));
                     let currentNumber = 0;
                     const increment = finalNumber / 30;
                     
@@ -1396,10 +1798,10 @@ window.addEventListener('load', function() {
                             element.textContent = finalText;
                             clearInterval(countInterval);
                         } else {
-                            const displayNumber = finalText.includes('.') ? 
+                            const displayNumber = numberMatch[0].includes('.') ? 
                                 currentNumber.toFixed(1) : 
-                                Math.floor(currentNumber);
-                            element.textContent = finalText.replace(/[\d.]+/, displayNumber);
+                                Math.floor(currentNumber).toLocaleString('en-US');
+                            element.textContent = finalText.replace(numberMatch[0], displayNumber);
                         }
                     }, 50);
                 }
@@ -1409,17 +1811,86 @@ window.addEventListener('load', function() {
         });
     });
     
-    statNumbers.forEach(stat => observer.observe(stat));
+    socialProofFeed.load().then(feed => {
+        applyFeedStats(feed.stats);
+        statNumbers.forEach(stat => observer.observe(stat));
+    });
 });
 
+// data-stat="customers" data-stat-format="{value}+" - القيمة الثابتة في الصفحة تبقى إذا لم يحتوِ الـ feed عليها
+function applyFeedStats(stats) {
+    document.querySelectorAll('.stat-number[data-stat]').forEach(element => {
+        const value = Number(stats[element.dataset.stat]);
+        if (!value) return;
+        
+        const format = element.dataset.statFormat || '{value}';
+        element.textContent = format.replace('{value}', value.toLocaleString('en-US'));
+    });
+}
+
 // تحسين الأداء للأجهزة الضعيفة
 if (navigator.hardwareConcurrency <= 2) {
     document.documentElement.style.setProperty('--animation-duration', '0.4s');
 }
 
-// تحديث السعر (للتوافق مع HTML)
+// حساب الطلب من قيم النموذج الحالية - نفس الحساب المستخدم عند الإرسال
+function getFormOrderTotals() {
+    const shipping = getShippingInfo(document.getElementById('governorate').value);
+    return applyCoupon(calculateOrderTotals({
+        quantity: document.getElementById('quantity').value,
+        shippingFee: shipping ? shipping.fee : 0
+    }), getAppliedCoupon());
+}
+
+// الكود المكتوب في النموذج إذا أكد الخادم أنه صالح ({ code, type, value })، وإلا null
+function getAppliedCoupon() {
+    const check = getCouponCheck();
+    return check && check.valid ? check.coupon : null;
+}
+
+function formatAmount(amount) {
+    return i18n.formatCurrency(amount);
+}
+
+// ملخص الطلب المباشر: سعر القطعة، خصم العرض، الشحن، والإجمالي
 function updatePrice() {
-    // السعر معروض في القائمة المنسدلة
+    const summary = document.getElementById('orderSummary');
+    if (!summary) return;
+    
+    const totals = getFormOrderTotals();
+    const shipping = getShippingInfo(document.getElementById('governorate').value);
+    const discountRow = document.getElementById('summaryDiscountRow');
+    
+    document.getElementById('summaryUnitPrice').textContent = formatAmount(getUnitPrice());
+    document.getElementById('summaryQuantity').textContent = totals
+        ? i18n.t('summary.quantityValue', { quantity: i18n.formatNumber(totals.quantity), price: formatAmount(totals.unitPrice) })
+        : '-';
+    
+    discountRow.hidden = !totals || totals.bundleDiscount <= 0;
+    if (totals) {
+        document.getElementById('summaryDiscount').textContent = `- ${formatAmount(totals.bundleDiscount)}`;
+    }
+    
+    const couponRow = document.getElementById('summaryCouponRow');
+    couponRow.hidden = !totals || !totals.couponCode;
+    if (totals && totals.couponCode) {
+        document.getElementById('summaryCouponLabel').textContent = i18n.t('summary.couponCode', { code: totals.couponCode });
+        document.getElementById('summaryCoupon').textContent = totals.shippingDiscount > 0
+            ? i18n.t('summary.freeShipping')
+            : `- ${formatAmount(totals.couponDiscount)}`;
+    }
+    
+    document.getElementById('summaryShipping').textContent = shipping
+        ? i18n.t('summary.shippingValue', { fee: formatAmount(shipping.fee), governorate: i18n.formatGovernorate(shipping.governorate) })
+        : i18n.t('summary.chooseGovernorate');
+    
+    let totalText = '-';
+    if (totals && shipping) {
+        totalText = formatAmount(totals.total);
+    } else if (totals) {
+        totalText = i18n.t('summary.plusShipping', { amount: formatAmount(totals.price - (totals.couponDiscount || 0)) });
+    }
+    document.getElementById('summaryTotal').textContent = totalText;
 }
 
 // Header Transparency on Scroll
@@ -1450,18 +1921,14 @@ function playDemoVideo() {
         video.play();
         overlay.classList.add('hidden');
         
-        // TikTok Video Play Tracking
-        if (typeof ttq !== 'undefined') {
-            ttq.track('ViewContent', {
-                content_type: 'video',
-                content_id: 'police-288-demo-video',
-                content_name: 'فيديو توضيحي - منتج الصاعق والكشاف والليزر 3 في 1',
-                value: '1700',
-                currency: 'EGP',
-                video_title: 'شاهد المنتج أثناء العمل'
-            });
-            console.log('📹 TikTok Video Play Event Tracked');
-        }
+        // Video Play Tracking
+        analytics.track('ViewContent', {
+            contentType: 'video',
+            contentId: 'police-288-demo-video',
+            contentName: 'فيديو توضيحي - منتج الصاعق والكشاف والليزر 3 في 1',
+            value: getUnitPrice(),
+            extra: { video_title: 'شاهد المنتج أثناء العمل' }
+        });
     }
 }
 
@@ -1492,15 +1959,13 @@ function initializeDemoVideo() {
         
         // Track video completion
         video.addEventListener('ended', () => {
-            if (typeof ttq !== 'undefined') {
-                ttq.track('CompleteRegistration', {
-                    content_name: 'مشاهدة كاملة للفيديو التوضيحي',
-                    content_category: 'video_completion',
-                    value: '1700',
-                    currency: 'EGP'
-                });
-                console.log('✅ TikTok Video Completion Tracked');
-            }
+            analytics.track('VideoComplete', {
+                contentType: 'video',
+                contentId: 'police-288-demo-video',
+                contentName: 'مشاهدة كاملة للفيديو التوضيحي',
+                value: getUnitPrice(),
+                extra: { content_category: 'video_completion' }
+            });
         });
     }
 }
@@ -1546,11 +2011,6 @@ function addTouchFeedback() {
     });
 }
 
-function resetMainAutoPlay() {
-    clearInterval(mainAutoPlayInterval);
-    startMainAutoPlay();
-}
-
 // YouTube Lite Loading Function with Auto-play
 function loadYouTubeVideo() {
     const youtubeLite = document.getElementById('youtube-lite');
@@ -1568,17 +2028,13 @@ function loadYouTubeVideo() {
             youtubeLite.style.display = 'none';
             youtubeIframe.style.display = 'block';
             
-            // TikTok tracking for video play
-            if (typeof ttq !== 'undefined') {
-                ttq.track('ViewContent', {
-                    content_type: 'video',
-                    content_id: 'youtube-hero-video',
-                    content_name: 'عرض منتج الصاعق والكشاف والليزر 3 في 1',
-                    value: '1700',
-                    currency: 'EGP'
-                });
-                console.log('✅ TikTok Video Play tracked');
-            }
+            // Video Play Tracking
+            analytics.track('ViewContent', {
+                contentType: 'video',
+                contentId: 'youtube-hero-video',
+                contentName: 'عرض منتج الصاعق والكشاف والليزر 3 في 1',
+                value: getUnitPrice()
+            });
         }, 500);
     }
 }
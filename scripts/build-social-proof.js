@@ -0,0 +1,17 @@
+// Police 288 - Static social proof feed
+// لإنشاء feed ثابت من تصدير شيت الطلبات (JSON) بدلاً من /api/social-proof:
+//   node scripts/build-social-proof.js orders.json > social-proof.json
+// ثم feedUrl: 'social-proof.json' في js/config.js - أعد التشغيل دورياً حتى لا تصبح "آخر الطلبات" قديمة
+
+const fs = require('fs');
+const { buildSocialProofFeed } = require('../api/_lib/social-proof');
+
+const [file] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/build-social-proof.js <orders.json>');
+    process.exit(1);
+}
+
+const feed = buildSocialProofFeed(JSON.parse(fs.readFileSync(file, 'utf8')));
+console.log(JSON.stringify(feed, null, 2));
+console.error(`✅ ${feed.recentOrders.length} recent orders, ${feed.today.total} today`);
@@ -0,0 +1,42 @@
+// Police 288 - Local mock of the TikTok Events API
+// للتجربة المحلية بدون إرسال أحداث حقيقية:
+//   node scripts/mock-events-api.js
+//   TIKTOK_PIXEL_ID=test TIKTOK_ACCESS_TOKEN=test TIKTOK_EVENTS_API_URL=http://localhost:4599/event/track/ vercel dev
+
+const http = require('http');
+
+const PORT = Number(process.env.PORT) || 4599;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        let payload = null;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ code: 40002, message: 'Invalid JSON' }));
+            return;
+        }
+
+        if (!req.headers['access-token']) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ code: 40105, message: 'Access token is missing' }));
+            return;
+        }
+
+        (payload.data || []).forEach(event => {
+            console.log(`📥 ${event.event} event_id=${event.event_id} value=${event.properties && event.properties.value} ${event.properties && event.properties.currency}`);
+        });
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ code: 0, message: 'OK', data: {} }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock TikTok Events API listening on http://localhost:${PORT}/event/track/`);
+});
@@ -0,0 +1,44 @@
+// Police 288 - Local RUM report
+// يقرأ logs الـ function (أسطر "rum {...}" من api/rum.js) ويطبع p75 لكل صفحة ونوع جهاز:
+//   vercel logs <deployment> > logs.txt
+//   node scripts/rum-report.js logs.txt
+//   node scripts/rum-report.js logs.txt --json
+
+const fs = require('fs');
+const { aggregateRum, RUM_METRICS } = require('../api/_lib/rum');
+
+const [file, format] = process.argv.slice(2);
+if (!file) {
+    console.error('Usage: node scripts/rum-report.js <log-file> [--json]');
+    process.exit(1);
+}
+
+const samples = [];
+fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+    const start = line.indexOf('rum {');
+    if (start === -1) return;
+
+    try {
+        // العينات في الـ logs تم التحقق منها بالفعل في api/rum.js
+        const sample = JSON.parse(line.slice(start + 4));
+        if (sample.viewId && sample.metrics) samples.push(sample);
+    } catch (error) {
+        // سطر مقطوع في الـ logs
+    }
+});
+
+const report = aggregateRum(samples);
+
+if (format === '--json') {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    console.log(`📊 ${samples.length} samples\n`);
+    console.table(report.map(row => {
+        const columns = { page: row.page, device: row.deviceClass, views: row.views };
+        Object.keys(RUM_METRICS).forEach(name => {
+            const { value } = row.p75[name];
+            columns[name] = value === null ? '-' : Number(value.toFixed(name === 'cls' ? 3 : 0));
+        });
+        return columns;
+    }));
+}
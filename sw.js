@@ -1,19 +1,44 @@
 // Police 288 Service Worker - Performance Optimization
-// Version: 2.1.0
+// Version: 2.2.0
 
-const CACHE_NAME = 'police288-v2.1.0';
-const CACHE_STATIC_NAME = 'police288-static-v2.1.0';
-const CACHE_DYNAMIC_NAME = 'police288-dynamic-v2.1.0';
+importScripts('/js/order-queue.js');
+
+const CACHE_NAME = 'police288-v2.2.0';
+const CACHE_STATIC_NAME = 'police288-static-v2.2.0';
+const CACHE_DYNAMIC_NAME = 'police288-dynamic-v2.2.0';
 
 // Critical resources to cache immediately
 const STATIC_CACHE_URLS = [
     '/',
     '/index.html',
-    '/styles.css?v=2.1.0&t=1734705600',
-    '/mobile-reviews.css?v=2.1.0&t=1734705600',
-    '/script.js?v=2.1.0&t=1734705600',
+    '/styles.css?v=2.2.0&t=1792367383',
+    '/mobile-reviews.css?v=2.2.0&t=1792367383',
+    '/consent.css?v=2.2.0&t=1792367383',
+    '/js/config.js?v=2.2.0&t=1792367383',
+    '/js/i18n.js?v=2.2.0&t=1792367383',
+    '/js/i18n/ar.js?v=2.2.0&t=1792367383',
+    '/js/i18n/en.js?v=2.2.0&t=1792367383',
+    '/js/consent.js?v=2.2.0&t=1792367383',
+    '/js/experiments.js?v=2.2.0&t=1792367383',
+    '/js/analytics.js?v=2.2.0&t=1792367383',
+    '/script.js?v=2.2.0&t=1792367383',
+    '/js/phone-validator.js?v=2.2.0&t=1792367383',
+    '/js/governorates.js?v=2.2.0&t=1792367383',
+    '/js/catalog.js?v=2.2.0&t=1792367383',
+    '/js/offer-scheduler.js?v=2.2.0&t=1792367383',
+    '/js/coupons.js?v=2.2.0&t=1792367383',
+    '/js/order-queue.js?v=2.2.0&t=1792367383',
+    '/js/order-handoff.js?v=2.2.0&t=1792367383',
+    '/js/recent-orders.js?v=2.2.0&t=1792367383',
+    '/js/attribution.js?v=2.2.0&t=1792367383',
+    '/js/form-draft.js?v=2.2.0&t=1792367383',
+    '/js/social-proof-feed.js?v=2.2.0&t=1792367383',
+    '/js/whatsapp.js?v=2.2.0&t=1792367383',
+    '/js/carousel.js?v=2.2.0&t=1792367383',
+    '/js/lightbox.js?v=2.2.0&t=1792367383',
     '/public/images/288-flashlight-main-image.jpg',
     '/confirmation.html',
+    '/track.html',
     'https://fonts.googleapis.com/css2?family=Cairo:wght@400;600;700&display=swap',
     'https://fonts.gstatic.com/s/cairo/v28/SLXgc1nY6HkvalYAIYM4_z6rC7TODm6H7xaFU6jd_E0w0tKLUdwqjZjL.woff2'
 ];
@@ -96,10 +121,15 @@ self.addEventListener('fetch', event => {
 // Check if request is for static asset
 function isStaticAsset(url) {
     return STATIC_CACHE_URLS.some(staticUrl => 
-        url.includes(staticUrl.replace('/', ''))
+        !isDocumentUrl(staticUrl) && url.includes(staticUrl.replace('/', ''))
     ) || /\.(css|js|woff2|woff|ttf)$/i.test(url);
 }
 
+// HTML pages are precached for offline use but must stay network first
+function isDocumentUrl(url) {
+    return url === '/' || url.endsWith('.html');
+}
+
 // Check if request is for image
 function isImageRequest(url) {
     return /\.(png|jpg|jpeg|gif|webp|avif|svg|ico)$/i.test(url);
@@ -107,7 +137,8 @@ function isImageRequest(url) {
 
 // Check if request is for API
 function isAPIRequest(url) {
-    return url.includes('make.com') || 
+    return url.includes('/api/') ||
+           url.includes('make.com') || 
            url.includes('analytics.tiktok.com') ||
            url.includes('googleapis.com');
 }
@@ -225,6 +256,39 @@ self.addEventListener('message', event => {
     }
 });
 
+// Background Sync - إعادة إرسال الطلبات المحفوظة عند عودة الاتصال
+self.addEventListener('sync', event => {
+    if (event.tag === ORDER_SYNC_TAG) {
+        event.waitUntil(syncQueuedOrders());
+    }
+});
+
+async function syncQueuedOrders() {
+    console.log('🔄 Syncing queued orders...');
+    const results = await orderQueue.flush();
+
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    results.filter(result => result.success).forEach(result => {
+        clients.forEach(client => client.postMessage({
+            type: 'ORDER_SYNCED',
+            key: result.key,
+            data: result.data
+        }));
+    });
+    results.filter(result => result.rejected).forEach(result => {
+        clients.forEach(client => client.postMessage({
+            type: 'ORDER_REJECTED',
+            key: result.key,
+            rejection: result.rejection
+        }));
+    });
+
+    // رفض الـ promise يجعل المتصفح يعيد محاولة المزامنة لاحقاً
+    if (results.some(result => result.retryable)) {
+        throw new Error('Some queued orders are still pending');
+    }
+}
+
 // Clear all caches
 async function clearAllCaches() {
     const cacheNames = await caches.keys();